@@ -7,7 +7,8 @@
  * and executes trades on Base chain using your own private key.
  *
  * Run:  PRIVATE_KEY=0x... node standalone-agent.js
- * Opts: RPC_URL=...  CONFIG_PATH=...  SERVER_URL=...
+ * Opts: RPC_URL=...  RPC_URLS=url1,url2  CONFIG_PATH=...  SERVER_URL=...  DRY_RUN=1
+ * Backtest: node standalone-agent.js backtest <events.jsonl...> [--config path] [--out report.json]
  *
  * Dependencies: ethers, socket.io-client (npm install ethers socket.io-client)
  */
@@ -17,18 +18,26 @@ const { io } = require("socket.io-client");
 const fs = require("fs");
 const path = require("path");
 const http = require("http");
+const zlib = require("zlib");
+const vm = require("vm");
+const crypto = require("crypto");
+
+// Offline backtests replay recorded events and may run next to a live agent
+const BACKTEST = require.main === module && process.argv[2] === "backtest";
 
 // ── Singleton PID guard ──
 
 const PIDFILE = process.env.PIDFILE || path.join(__dirname, "agent.pid");
 
-if (fs.existsSync(PIDFILE)) {
-  const oldPid = parseInt(fs.readFileSync(PIDFILE, "utf8"));
-  try { process.kill(oldPid, 0); console.error(`Agent already running (PID ${oldPid})`); process.exit(1); }
-  catch {} // process dead, stale file
+if (!BACKTEST) {
+  if (fs.existsSync(PIDFILE)) {
+    const oldPid = parseInt(fs.readFileSync(PIDFILE, "utf8"));
+    try { process.kill(oldPid, 0); console.error(`Agent already running (PID ${oldPid})`); process.exit(1); }
+    catch {} // process dead, stale file
+  }
+  fs.writeFileSync(PIDFILE, String(process.pid));
 }
-fs.writeFileSync(PIDFILE, String(process.pid));
-const cleanupPid = () => { try { fs.unlinkSync(PIDFILE); } catch {} };
+const cleanupPid = () => { if (!BACKTEST) { try { fs.unlinkSync(PIDFILE); } catch {} } };
 process.on("exit", cleanupPid);
 process.on("SIGTERM", () => { cleanupPid(); process.exit(0); });
 
@@ -44,11 +53,17 @@ const ERC20_ABI = [
   "function balanceOf(address owner) view returns (uint256)",
   "function decimals() view returns (uint8)",
   "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
   "function allowance(address owner, address spender) view returns (uint256)",
   "function symbol() view returns (string)",
   "function name() view returns (string)",
 ];
 
+const WETH_ABI = [
+  "function deposit() payable",
+  "function withdraw(uint256 wad)",
+];
+
 const UNISWAP_V3_ROUTER_ABI = [
   {
     inputs: [
@@ -73,6 +88,29 @@ const UNISWAP_V3_ROUTER_ABI = [
     stateMutability: "payable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        components: [
+          { internalType: "address", name: "tokenIn", type: "address" },
+          { internalType: "address", name: "tokenOut", type: "address" },
+          { internalType: "uint24", name: "fee", type: "uint24" },
+          { internalType: "address", name: "recipient", type: "address" },
+          { internalType: "uint256", name: "deadline", type: "uint256" },
+          { internalType: "uint256", name: "amountOut", type: "uint256" },
+          { internalType: "uint256", name: "amountInMaximum", type: "uint256" },
+          { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" },
+        ],
+        internalType: "struct ISwapRouter.ExactOutputSingleParams",
+        name: "params",
+        type: "tuple",
+      },
+    ],
+    name: "exactOutputSingle",
+    outputs: [{ internalType: "uint256", name: "amountIn", type: "uint256" }],
+    stateMutability: "payable",
+    type: "function",
+  },
 ];
 
 const AERODROME_V3_ROUTER_ABI = [
@@ -99,6 +137,29 @@ const AERODROME_V3_ROUTER_ABI = [
     stateMutability: "payable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        components: [
+          { internalType: "address", name: "tokenIn", type: "address" },
+          { internalType: "address", name: "tokenOut", type: "address" },
+          { internalType: "int24", name: "tickSpacing", type: "int24" },
+          { internalType: "address", name: "recipient", type: "address" },
+          { internalType: "uint256", name: "deadline", type: "uint256" },
+          { internalType: "uint256", name: "amountOut", type: "uint256" },
+          { internalType: "uint256", name: "amountInMaximum", type: "uint256" },
+          { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" },
+        ],
+        internalType: "struct ISwapRouter.ExactOutputSingleParams",
+        name: "params",
+        type: "tuple",
+      },
+    ],
+    name: "exactOutputSingle",
+    outputs: [{ internalType: "uint256", name: "amountIn", type: "uint256" }],
+    stateMutability: "payable",
+    type: "function",
+  },
 ];
 
 const UNIVERSAL_ROUTER_V4_ABI = [
@@ -114,6 +175,25 @@ const POOL_ABI = [
   "function tickSpacing() view returns (int24)",
 ];
 
+const V2_PAIR_ABI = [
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+];
+
+const UNISWAP_V3_QUOTER_ABI = [
+  "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)",
+  "function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)",
+];
+
+const AERODROME_QUOTER_ABI = [
+  "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, int24 tickSpacing, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)",
+  "function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, int24 tickSpacing, uint160 sqrtPriceLimitX96) params) returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)",
+];
+
+const V4_QUOTER_ABI = [
+  "function quoteExactInputSingle(((address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) poolKey, bool zeroForOne, uint128 exactAmount, bytes hookData) params) returns (uint256 amountOut, uint256 gasEstimate)",
+  "function quoteExactOutputSingle(((address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) poolKey, bool zeroForOne, uint128 exactAmount, bytes hookData) params) returns (uint256 amountIn, uint256 gasEstimate)",
+];
+
 // Contract addresses (Base chain)
 const CONTRACTS = {
   tokenSwapper: "0x3b7b4f5CBffd457cD6E64C3C65e653bafD648Aa3",
@@ -121,6 +201,10 @@ const CONTRACTS = {
   aeroRouter: "0xBE6D8f0d05cC4be24d5167a3eF062215bE6D18a5",
   universalRouterV4: "0x6ff5693b99212da76ad316178a184ab56d299b43",
   permit2: "0x000000000022D473030F116dDEE9F6B43aC78BA3",
+  v4PoolManager: "0x498581fF718922c3f8e6A244956aF099B2652b2b",
+  uniV3Quoter: "0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a",
+  aeroQuoter: "0x254cF9E1E6e233aa1AC962CB9B05b2cfeAaE15b0",
+  v4Quoter: "0x0d5e0f971ed27fbff6c2837bf31316121532048d",
 };
 
 // Known base tokens on Base chain
@@ -131,10 +215,27 @@ const CLANKER_BASE = "0x1bc0c42215582d5A085795f4baDbaC3ff36d1Bcb".toLowerCase();
 // V4 constants
 const V4_ACTIONS = {
   SWAP_EXACT_IN_SINGLE: 0x06,
+  SWAP_EXACT_IN: 0x07,
+  SWAP_EXACT_OUT_SINGLE: 0x08,
+  SETTLE: 0x0b,
   SETTLE_ALL: 0x0c,
+  TAKE: 0x0e,
   TAKE_ALL: 0x0f,
 };
-const V4_COMMANDS = { V4_SWAP: 0x10 };
+// Universal Router commands
+const V4_COMMANDS = { V3_SWAP_EXACT_IN: 0x00, V2_SWAP_EXACT_IN: 0x08, V4_SWAP: 0x10 };
+
+// Universal Router special values: output kept by the router for the next hop,
+// "spend the router's whole balance" and "the full open delta" (V4)
+const ROUTER_ADDRESS_THIS = "0x0000000000000000000000000000000000000002";
+const ROUTER_CONTRACT_BALANCE = 1n << 255n;
+const V4_OPEN_DELTA = 0n;
+
+// Uniswap factories the Universal Router derives V2/V3 pool addresses from
+const UNISWAP_FACTORIES = {
+  v2: { factory: "0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6", initCodeHash: "0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f" },
+  v3: { factory: "0x33128a8fC17869897dcE68Ed026d694621f6FDfD", initCodeHash: "0xe34f199b19b2b4f47f68442619d555527d244f78a3297ea89325f843f87b8b54" },
+};
 
 const feeToTickSpacing = {
   100: 1,
@@ -143,11 +244,20 @@ const feeToTickSpacing = {
   10000: 200,
 };
 
+// TokenSwapper routes through standard Uniswap V2-style pairs (0.3% LP fee)
+const V2_FEE_BPS = 30n;
+
 // ── Config loading ──
 
+// Paper trading: swaps are simulated against the live feed, nothing is sent on-chain.
+// Backtests always simulate fills.
+const DRY_RUN = BACKTEST || /^(1|true|yes)$/i.test(process.env.DRY_RUN || "");
+
 const CONFIG_PATH = process.env.CONFIG_PATH || path.join(process.cwd(), "agent-config.json");
-const TRADES_PATH = process.env.TRADES_PATH || path.join(path.dirname(CONFIG_PATH), "agent-trades.json");
-const TRADE_LOG_PATH = process.env.TRADE_LOG_PATH || path.join(path.dirname(CONFIG_PATH), "agent-trade-log.jsonl");
+const TRADES_PATH = process.env.TRADES_PATH || path.join(path.dirname(CONFIG_PATH), DRY_RUN ? "agent-trades.dry-run.json" : "agent-trades.json");
+const TRADES_JOURNAL_PATH = process.env.TRADES_JOURNAL_PATH || TRADES_PATH.replace(/\.json$/, "") + ".journal.jsonl";
+const TRADE_LOG_PATH = process.env.TRADE_LOG_PATH || path.join(path.dirname(CONFIG_PATH), DRY_RUN ? "agent-trade-log.dry-run.jsonl" : "agent-trade-log.jsonl");
+const POLICY_STATE_PATH = process.env.POLICY_STATE_PATH || path.join(path.dirname(CONFIG_PATH), DRY_RUN ? "agent-policy-state.dry-run.json" : "agent-policy-state.json");
 const CONTROL_PORT = parseInt(process.env.CONTROL_PORT || "31415", 10);
 
 const DEFAULT_CONFIG = {
@@ -158,53 +268,739 @@ const DEFAULT_CONFIG = {
   onlyPairs: [],
   excludePairs: [],
   policies: [],
+  maxAdds: 0,             // policy-signalled scale-in buys per open trade (a policy's maxAdds overrides)
+  policyTimeoutMs: 50,    // CPU budget per entryFunc/exitFunc call
+  policyMaxFailures: 5,   // consecutive timeouts/exceptions before a policy is disabled
+  // Portfolio risk limits consulted before every buy (0 = no limit)
+  risk: {
+    maxOpenTrades: 0,
+    maxTotalEthExposure: 0,
+    maxEthPerToken: 0,
+    maxDailyLossEth: 0,       // realized loss since 00:00 UTC that halts new entries for the day
+    maxConsecutiveLosses: 0,
+    lossCooldownMinutes: 30,  // entry pause after maxConsecutiveLosses losing trades
+    baseTokenBudgets: {},     // max open cost basis per base token in its own units, e.g. { "ZORA": 250000 }
+  },
+  // Stop a policy's entries when its closed trades breach these (0 = off). A policy's
+  // own `guards` object overrides them field by field. Exits keep running.
+  policyGuards: {
+    minClosedTrades: 10,      // no verdict on fewer closed trades
+    minWinRatePct: 0,
+    minProfitFactor: 0,
+    maxDrawdownEth: 0,        // peak-to-trough of the policy's realized PnL
+    maxLossEth: 0,            // total realized loss
+  },
+  // Protective orders attached to every new trade (0 / [] = off). A policy's own
+  // `protection` object overrides these field by field.
+  protection: {
+    stopLossPct: 0,
+    takeProfits: [],          // [{ atPct, sellPct }] — sellPct of the remaining position
+    trailingStopPct: 0,       // drop from max_price_since_entry
+    maxHoldMinutes: 0,
+    checkIntervalSec: 5,      // timer-driven check, independent of feed events
+    refreshAfterSec: 60,      // re-price from an on-chain quote when the pair's feed is quiet this long
+  },
+  // RPC provider pool (see Section 2)
+  rpc: {
+    healthCheckSec: 15,
+    timeoutMs: 5000,
+    maxFailures: 3,           // consecutive failed calls before an endpoint is marked down
+    maxBlockLag: 5,           // blocks behind the best endpoint before it is marked down
+    quorum: 2,                // endpoints that must agree on a balance read
+    broadcastFanout: 3,       // endpoints each signed transaction is sent to
+  },
+  // Transaction manager (see Section 5)
+  tx: {
+    maxPending: 4,            // unconfirmed transactions in flight; further jobs wait in the priority queue
+    pollMs: 2000,
+    stuckAfterSec: 30,        // re-send with bumped fees when unconfirmed this long
+    maxReplacements: 3,
+    feeBumpPct: 15,           // nodes require >= 10% to accept a replacement
+    maxFeeGwei: 1,            // speed-ups never bid above this (0 = no cap)
+    autoCancel: true,         // cancel (0-value self-transfer) when speed-ups are exhausted, the swap deadline passed or confirmTimeoutSec is reached
+    confirmTimeoutSec: 300,
+  },
+  // How swaps reach the chain (see Section 5): "public" mempool, "private" relay only,
+  // or "both" (relay first, public broadcast as fallback). A policy's `submission`
+  // (a mode, or { buy, sell }) overrides these.
+  submission: {
+    mode: "public",
+    actions: {},              // per-action mode, e.g. { "buy": "private" }
+    relayUrl: "",
+    relayMethod: "eth_sendRawTransaction", // or "eth_sendBundle"
+    bundleBlocks: 3,          // eth_sendBundle: consecutive blocks each submission targets, re-sent as they pass
+    relayHeaders: {},         // e.g. an API key header for the relay
+    fallbackAfterSec: 12,     // "both": broadcast publicly if the relay has not landed it by then
+  },
+  // Multi-hop swaps (see Section 5): buy ZORA/CLANKER-paired tokens with WETH through
+  // liquid hub pools from the feed, and sell them back to WETH.
+  routing: {
+    enabled: false,
+    maxHops: 3,               // including the token's own pool (2-4)
+    minHubLiquidityUsd: 50000, // intermediate pools below this are not used
+  },
+  // Pre-trade token checks (see Section 5)
+  safety: {
+    enabled: true,
+    maxRoundTripLossPct: 25,  // skip entries losing more on an immediate buy + sell (pool fees, impact, taxes)
+    sizeDownAbovePct: 10,     // above this loss, buy sizeDownFactor of the normal amount
+    sizeDownFactor: 0.5,
+    blockTransferRestricted: true, // skip tokens whose buy/sell transfers revert
+    cacheMinutes: 15,
+  },
+  // Wallet inventory (see Section 5). Native ETH pays gas, WETH funds buys.
+  treasury: {
+    gasReserveEth: 0.002,     // native ETH kept for gas; WETH is unwrapped to refill it
+    tradingFloatEth: 0,       // WETH kept ready for buys (0 = maxEthPerTradeValue)
+    autoWrap: true,
+    autoUnwrap: true,
+    minWrapEth: 0.0005,       // smaller top-ups are not worth the gas
+    checkIntervalSec: 60,
+  },
+  // Raw feed capture for backtesting/debugging (see Section 6)
+  recorder: {
+    enabled: false,
+    dir: "recordings",
+    gzip: false,
+    maxFileMb: 100,
+    retentionDays: 7,
+    maxTotalMb: 2048,
+    onlyPairs: [],
+  },
+  // Where trade state and history are kept (see Section 1). Read at startup only.
+  storage: {
+    backend: "json",          // or "sqlite" (built-in node:sqlite, else the optional better-sqlite3 package)
+    sqlitePath: "",           // default: next to TRADES_PATH, e.g. agent-trades.sqlite
+    pnlSnapshotMin: 5,        // minutes between pnl_snapshots rows
+  },
 };
 
-function loadConfig() {
+function loadConfig(configPath = CONFIG_PATH) {
   try {
-    if (fs.existsSync(CONFIG_PATH)) {
-      const raw = fs.readFileSync(CONFIG_PATH, "utf8");
+    if (fs.existsSync(configPath)) {
+      const raw = fs.readFileSync(configPath, "utf8");
       const userConfig = JSON.parse(raw);
       return { ...DEFAULT_CONFIG, ...userConfig };
     }
   } catch (err) {
-    console.error(`[CONFIG] Error loading ${CONFIG_PATH}: ${err.message}, using defaults`);
+    console.error(`[CONFIG] Error loading ${configPath}: ${err.message}, using defaults`);
   }
   return { ...DEFAULT_CONFIG };
 }
 
+// Last content written by saveConfig — lets the file watcher ignore our own writes
+let lastSavedConfigRaw = null;
+
 /**
  * Save config to disk. Call this to persist policy changes made at runtime.
- * Agents can write their configs to agent-config.json and the standalone agent
- * will pick them up on next start, or call saveConfig() to persist mid-run.
+ * Agents can write their configs to agent-config.json and the running agent
+ * hot-reloads them (see watchConfigFile), or call saveConfig() to persist mid-run.
  */
 function saveConfig(configObj) {
   try {
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(configObj, null, 2), "utf8");
+    const raw = JSON.stringify(configObj, null, 2);
+    lastSavedConfigRaw = raw;
+    fs.writeFileSync(CONFIG_PATH, raw, "utf8");
     console.log(`[CONFIG] Saved to ${CONFIG_PATH}`);
   } catch (err) {
     console.error(`[CONFIG] Error saving ${CONFIG_PATH}: ${err.message}`);
   }
 }
 
+// Keys that can change at runtime (POST /config and config file reloads)
+const CONFIG_UPDATABLE_KEYS = ["maxEthPerTradeValue", "slippage", "groupInterval", "maxGroups", "onlyPairs", "excludePairs", "maxAdds", "policyTimeoutMs", "policyMaxFailures", "risk", "protection", "tx", "treasury", "safety", "rpc", "submission", "policyGuards", "routing"];
+
+// Bounds beyond "a number >= 0" for numeric settings, as [min, max, { above, integer }]
+// ("above": min itself is not allowed). Section keys are written "section.key".
+const CONFIG_NUMBER_BOUNDS = {
+  maxEthPerTradeValue: [0, Infinity, { above: true }],
+  slippage: [0, 100],
+  groupInterval: [0, Infinity, { above: true }],
+  maxGroups: [1, Infinity, { integer: true }],
+  maxAdds: [0, Infinity, { integer: true }],
+  policyTimeoutMs: [0, Infinity, { above: true }],
+  policyMaxFailures: [1, Infinity, { integer: true }],
+  "risk.maxOpenTrades": [0, Infinity, { integer: true }],
+  "risk.maxConsecutiveLosses": [0, Infinity, { integer: true }],
+  "policyGuards.minClosedTrades": [0, Infinity, { integer: true }],
+  "protection.checkIntervalSec": [0, Infinity, { above: true }],
+  "rpc.healthCheckSec": [0, Infinity, { above: true }],
+  "rpc.timeoutMs": [0, Infinity, { above: true }],
+  "rpc.maxFailures": [1, Infinity, { integer: true }],
+  "rpc.quorum": [1, Infinity, { integer: true }],
+  "rpc.broadcastFanout": [1, Infinity, { integer: true }],
+  "tx.maxPending": [1, Infinity, { integer: true }],
+  "tx.pollMs": [0, Infinity, { above: true }],
+  "tx.stuckAfterSec": [0, Infinity, { above: true }],
+  "tx.maxReplacements": [0, Infinity, { integer: true }],
+  "tx.confirmTimeoutSec": [0, Infinity, { above: true }],
+  "routing.maxHops": [2, 4, { integer: true }],
+  "submission.bundleBlocks": [1, 25, { integer: true }],
+  "safety.sizeDownFactor": [0, 1, { above: true }],
+  "treasury.checkIntervalSec": [0, Infinity, { above: true }],
+};
+
+function checkConfigNumber(name, value) {
+  const [min, max, { above = false, integer = false } = {}] = CONFIG_NUMBER_BOUNDS[name] || [0, Infinity];
+  const ok = typeof value === "number" && Number.isFinite(value) && (above ? value > min : value >= min) && value <= max && (!integer || Number.isInteger(value));
+  if (ok) return null;
+  const range = `${above ? ">" : ">="} ${min}${max < Infinity ? ` and <= ${max}` : ""}`;
+  return `${name} must be ${integer ? "an integer" : "a number"} ${range}`;
+}
+
+function checkConfigValue(name, value, defaultValue) {
+  if (typeof defaultValue === "number") return checkConfigNumber(name, value);
+  if (typeof defaultValue === "boolean") return typeof value === "boolean" ? null : `${name} must be true or false`;
+  if (typeof defaultValue === "string") return typeof value === "string" ? null : `${name} must be a string`;
+  if (Array.isArray(defaultValue)) return Array.isArray(value) ? null : `${name} must be an array`;
+  return value && typeof value === "object" && !Array.isArray(value) ? null : `${name} must be an object`;
+}
+
+/**
+ * Check the runtime-updatable keys of `updates` before any is applied. Settings
+ * sections may be partial but must not contain unknown keys. Returns a list of
+ * error strings (empty when valid).
+ */
+function validateConfigUpdate(updates) {
+  if (!updates || typeof updates !== "object" || Array.isArray(updates)) return ["config must be an object"];
+
+  const errors = [];
+  for (const key of CONFIG_UPDATABLE_KEYS) {
+    const value = updates[key];
+    if (value === undefined) continue;
+    const defaults = DEFAULT_CONFIG[key];
+    const error = checkConfigValue(key, value, defaults);
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+
+    if (key === "onlyPairs" || key === "excludePairs") {
+      value.forEach((pair, i) => {
+        if (typeof pair !== "string" || !ethers.isAddress(pair)) errors.push(`${key}[${i}] must be an address`);
+      });
+    }
+    if (typeof defaults !== "object" || Array.isArray(defaults)) continue;
+
+    const sectionErrors = [];
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (!(field in defaults)) sectionErrors.push(`${key}: unknown key "${field}"`);
+      else {
+        const fieldError = checkConfigValue(`${key}.${field}`, fieldValue, defaults[field]);
+        if (fieldError) sectionErrors.push(fieldError);
+      }
+    }
+    if (key === "risk" && sectionErrors.length === 0) {
+      for (const [symbol, budget] of Object.entries(value.baseTokenBudgets || {})) {
+        const budgetError = checkConfigNumber(`risk.baseTokenBudgets.${symbol}`, budget);
+        if (budgetError) sectionErrors.push(budgetError);
+      }
+    }
+    if (key === "protection" && sectionErrors.length === 0) {
+      for (const err of validateProtection(value)) sectionErrors.push(`protection: ${err}`);
+    }
+    if (key === "submission" && sectionErrors.length === 0) {
+      if (value.mode !== undefined && !SUBMISSION_MODES.includes(value.mode)) sectionErrors.push(`submission.mode must be one of ${SUBMISSION_MODES.join(", ")}`);
+      if (value.actions !== undefined) {
+        for (const err of validateSubmission(value.actions)) sectionErrors.push(`submission.actions: ${err}`);
+      }
+      if (value.relayMethod !== undefined && !["eth_sendRawTransaction", "eth_sendBundle"].includes(value.relayMethod)) {
+        sectionErrors.push("submission.relayMethod must be eth_sendRawTransaction or eth_sendBundle");
+      }
+      for (const [name, header] of Object.entries(value.relayHeaders || {})) {
+        if (typeof header !== "string") sectionErrors.push(`submission.relayHeaders.${name} must be a string`);
+      }
+    }
+    errors.push(...sectionErrors);
+  }
+  return errors;
+}
+
+/**
+ * Apply runtime-updatable keys from `updates` to the live config. Nested
+ * settings objects (e.g. risk) are merged, so partial updates are allowed.
+ * Callers check `updates` with validateConfigUpdate first. Returns the keys
+ * that actually changed.
+ */
+function applyConfigUpdate(updates) {
+  const updated = {};
+  for (const key of CONFIG_UPDATABLE_KEYS) {
+    if (updates[key] === undefined) continue;
+    const defaults = DEFAULT_CONFIG[key];
+    const isSection = defaults && typeof defaults === "object" && !Array.isArray(defaults);
+    const value = isSection ? { ...defaults, ...(config[key] || {}), ...updates[key] } : updates[key];
+    if (JSON.stringify(value) !== JSON.stringify(config[key])) {
+      config[key] = value;
+      updated[key] = value;
+    }
+  }
+  return updated;
+}
+
+/**
+ * Re-read CONFIG_PATH after an external edit: validate and swap policies, apply
+ * updatable keys. Invalid files are rejected as a whole and the running config kept.
+ */
+function reloadConfigFromDisk() {
+  let raw;
+  let fileConfig;
+  try {
+    raw = fs.readFileSync(CONFIG_PATH, "utf8");
+    if (raw === lastSavedConfigRaw) return; // our own write
+    fileConfig = JSON.parse(raw);
+  } catch (err) {
+    log(`[CONFIG] Reload skipped, could not read ${CONFIG_PATH}: ${err.message}`);
+    return;
+  }
+
+  const configErrors = validateConfigUpdate(fileConfig);
+  if (configErrors.length > 0) {
+    log(`[CONFIG] Reload rejected, invalid config: ${configErrors.join("; ")}`);
+    return;
+  }
+
+  if (fileConfig.policies !== undefined) {
+    const errors = validatePolicies(fileConfig.policies);
+    if (errors.length > 0) {
+      log(`[CONFIG] Reload rejected, invalid policies: ${errors.join("; ")}`);
+      return;
+    }
+    const changes = applyPolicies(fileConfig.policies);
+    if (changes.added.length || changes.updated.length || changes.removed.length) {
+      log(`[CONFIG] Policies reloaded from file: ${JSON.stringify(changes)}`);
+    }
+  }
+
+  const updated = applyConfigUpdate(fileConfig);
+  if (Object.keys(updated).length > 0) {
+    log(`[CONFIG] Config reloaded from file: ${JSON.stringify(updated)}`);
+  }
+}
+
+function watchConfigFile() {
+  fs.watchFile(CONFIG_PATH, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs || curr.mtimeMs === 0) return;
+    reloadConfigFromDisk();
+  });
+}
+
 const config = loadConfig();
 
+// ── SQLite storage ──
+
+// Optional backend behind saveTrades, loadTrades and appendTradeLog. Trades are
+// rows keyed by pair and open time, with the full record as JSON next to the
+// columns worth filtering on. The trade log goes to `fills`, triggered policy
+// actions to `decisions` and periodic computeSummary() rows to `pnl_snapshots`.
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS trades (
+    id TEXT PRIMARY KEY,
+    pair_address TEXT NOT NULL,
+    status TEXT NOT NULL,
+    symbol TEXT,
+    policy_id TEXT,
+    base_symbol TEXT,
+    opened_at INTEGER,
+    closed_at INTEGER,
+    close_reason TEXT,
+    eth_spent REAL,
+    realized_pnl_eth REAL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS trades_status_closed_at ON trades (status, closed_at);
+  CREATE INDEX IF NOT EXISTS trades_policy ON trades (policy_id, closed_at);
+  CREATE TABLE IF NOT EXISTS fills (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts INTEGER NOT NULL,
+    type TEXT,
+    status TEXT,
+    pair_address TEXT,
+    symbol TEXT,
+    policy_id TEXT,
+    eth_amount REAL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS fills_pair ON fills (pair_address, ts);
+  CREATE TABLE IF NOT EXISTS decisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts INTEGER NOT NULL,
+    policy_id TEXT,
+    pair_address TEXT,
+    symbol TEXT,
+    kind TEXT,
+    action_percent REAL,
+    price REAL
+  );
+  CREATE INDEX IF NOT EXISTS decisions_policy ON decisions (policy_id, ts);
+  CREATE TABLE IF NOT EXISTS pnl_snapshots (
+    ts INTEGER PRIMARY KEY,
+    open_trades INTEGER,
+    closed_trades INTEGER,
+    realized_pnl_eth REAL,
+    unrealized_pnl_eth REAL,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+const sqliteStore = {
+  db: null,             // null = JSON files
+  path: null,
+  driver: null,         // "node:sqlite" | "better-sqlite3"
+  statements: new Map(),
+  closedSaved: 0,       // inactiveTrades[0..closedSaved) are already in the trades table
+  lastPnlSnapshot: 0,
+};
+
+function storageSettings() {
+  return { ...DEFAULT_CONFIG.storage, ...(config.storage || {}) };
+}
+
+function sqliteEnabled() {
+  return sqliteStore.db !== null;
+}
+
+/**
+ * Open (and create) the database with node:sqlite, falling back to
+ * better-sqlite3. Returns false when neither is available, leaving the agent on
+ * JSON files.
+ */
+function openSqlite() {
+  const dbPath = storageSettings().sqlitePath || TRADES_PATH.replace(/\.json$/, "") + ".sqlite";
+  let db;
+  try {
+    const { DatabaseSync } = require("node:sqlite");
+    db = new DatabaseSync(dbPath);
+    sqliteStore.driver = "node:sqlite";
+  } catch {
+    try {
+      const Database = require("better-sqlite3");
+      db = new Database(dbPath);
+      sqliteStore.driver = "better-sqlite3";
+    } catch (err) {
+      log(`[STORAGE] SQLite unavailable (needs Node 22.5+ or the better-sqlite3 package): ${err.message}. Using JSON files`);
+      return false;
+    }
+  }
+  db.exec("PRAGMA journal_mode = WAL; PRAGMA synchronous = FULL;");
+  db.exec(SQLITE_SCHEMA);
+  sqliteStore.db = db;
+  sqliteStore.path = dbPath;
+  log(`[STORAGE] Using SQLite store ${dbPath} (${sqliteStore.driver})`);
+  return true;
+}
+
+// Both drivers take positional parameters but reject undefined and booleans
+function sqlStatement(sql) {
+  if (!sqliteStore.statements.has(sql)) sqliteStore.statements.set(sql, sqliteStore.db.prepare(sql));
+  return sqliteStore.statements.get(sql);
+}
+
+function sqlParams(params) {
+  return params.map((v) => (v === undefined ? null : typeof v === "boolean" ? Number(v) : v));
+}
+
+function sqlRun(sql, ...params) {
+  return sqlStatement(sql).run(...sqlParams(params));
+}
+
+function sqlAll(sql, ...params) {
+  return sqlStatement(sql).all(...sqlParams(params));
+}
+
+function sqliteTransaction(fn) {
+  sqliteStore.db.exec("BEGIN");
+  try {
+    fn();
+    sqliteStore.db.exec("COMMIT");
+  } catch (err) {
+    sqliteStore.db.exec("ROLLBACK");
+    throw err;
+  }
+}
+
+function getMeta(key) {
+  const row = sqlAll("SELECT value FROM meta WHERE key = ?", key)[0];
+  return row ? row.value : null;
+}
+
+function setMeta(key, value) {
+  sqlRun("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", key, value);
+}
+
+function storeTrade(pairAddress, t, status) {
+  sqlRun(
+    "INSERT OR REPLACE INTO trades (id, pair_address, status, symbol, policy_id, base_symbol, opened_at, closed_at, close_reason, eth_spent, realized_pnl_eth, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+    `${pairAddress}:${t.opened_at || 0}`, pairAddress, status, t.symbol, t.policy_id == null ? null : String(t.policy_id),
+    tradeBaseSymbol(t), t.opened_at, t.closed_at, t.close_reason, t.eth_spent, realizedPnlEth(t), JSON.stringify(t),
+  );
+}
+
+function storeFill(entry) {
+  sqlRun(
+    "INSERT INTO fills (ts, type, status, pair_address, symbol, policy_id, eth_amount, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+    Date.parse(entry.timestamp) || now(), entry.type, entry.status, entry.pairAddress, entry.symbol,
+    entry.policy_id == null ? null : String(entry.policy_id), entry.eth_amount ?? entry.eth_received, JSON.stringify(entry),
+  );
+}
+
+/**
+ * Snapshot trade state into the database: open trades are rewritten, closed
+ * trades are only inserted once.
+ */
+function saveTradesSqlite() {
+  sqliteTransaction(() => {
+    sqlRun("DELETE FROM trades WHERE status = 'open'");
+    for (const [pairAddress, t] of Object.entries(activeTrades)) storeTrade(pairAddress, t, "open");
+    for (const t of inactiveTrades.slice(sqliteStore.closedSaved)) storeTrade(t.pairAddress, t, "closed");
+    setMeta("pending_intents", JSON.stringify(Object.values(journal.intents)));
+    setMeta("journal_seq", String(journal.seq));
+  });
+  sqliteStore.closedSaved = inactiveTrades.length;
+}
+
+function loadTradesSqlite() {
+  for (const row of sqlAll("SELECT pair_address, status, data FROM trades ORDER BY closed_at, opened_at")) {
+    const trade = JSON.parse(row.data);
+    if (row.status === "open") activeTrades[row.pair_address] = trade;
+    else inactiveTrades.push(trade);
+  }
+  for (const intent of JSON.parse(getMeta("pending_intents") || "[]")) {
+    journal.intents[intent.intent] = intent;
+  }
+  journal.seq = Number(getMeta("journal_seq") || 0);
+  sqliteStore.closedSaved = inactiveTrades.length;
+  log(`[TRADES] Loaded ${Object.keys(activeTrades).length} active, ${inactiveTrades.length} inactive trade(s) from ${sqliteStore.path}`);
+}
+
+/**
+ * One-time import of TRADES_PATH and TRADE_LOG_PATH into a new database. The
+ * JSON files are left in place (they stop being updated).
+ */
+function migrateJsonToSqlite() {
+  if (getMeta("migrated_at")) return;
+  let trades = 0;
+  let fills = 0;
+  sqliteTransaction(() => {
+    if (fs.existsSync(TRADES_PATH)) {
+      const saved = JSON.parse(fs.readFileSync(TRADES_PATH, "utf8"));
+      const structured = saved.activeTrades && typeof saved.activeTrades === "object" && !Array.isArray(saved.activeTrades);
+      const active = structured ? saved.activeTrades : Object.fromEntries(Object.entries(saved).filter(([key]) => key !== "summary"));
+      for (const [pairAddress, t] of Object.entries(active)) {
+        storeTrade(pairAddress, t, "open");
+        trades++;
+      }
+      for (const t of (structured && saved.inactiveTrades) || []) {
+        storeTrade(t.pairAddress, t, "closed");
+        trades++;
+      }
+      if (structured) {
+        setMeta("pending_intents", JSON.stringify(saved.pending_intents || []));
+        setMeta("journal_seq", String(saved.journal_seq || 0));
+      }
+    }
+    if (fs.existsSync(TRADE_LOG_PATH)) {
+      for (const line of fs.readFileSync(TRADE_LOG_PATH, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          storeFill(JSON.parse(line));
+          fills++;
+        } catch { /* torn line */ }
+      }
+    }
+    setMeta("migrated_at", new Date().toISOString());
+  });
+  if (trades > 0 || fills > 0) {
+    log(`[STORAGE] Migrated ${trades} trade(s) from ${TRADES_PATH} and ${fills} trade log entries from ${TRADE_LOG_PATH}`);
+  }
+}
+
+/**
+ * Record a policy signal that led to a buy or sell attempt. SQLite only.
+ */
+function recordDecision(kind, policyId, pairAddress, pairData, actionPercent) {
+  if (!sqliteEnabled()) return;
+  try {
+    sqlRun(
+      "INSERT INTO decisions (ts, policy_id, pair_address, symbol, kind, action_percent, price) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      now(), String(policyId), pairAddress, pairData.symbol, kind, actionPercent, pairData.last_price,
+    );
+  } catch (err) {
+    log(`[STORAGE] Error recording decision: ${err.message}`);
+  }
+}
+
+/**
+ * Append a computeSummary() row every storage.pnlSnapshotMin minutes. SQLite only.
+ */
+function recordPnlSnapshot() {
+  if (!sqliteEnabled()) return;
+  if (now() - sqliteStore.lastPnlSnapshot < storageSettings().pnlSnapshotMin * 60 * 1000) return;
+  sqliteStore.lastPnlSnapshot = now();
+  try {
+    const summary = computeSummary();
+    sqlRun(
+      "INSERT OR REPLACE INTO pnl_snapshots (ts, open_trades, closed_trades, realized_pnl_eth, unrealized_pnl_eth, data) VALUES (?, ?, ?, ?, ?, ?)",
+      now(), summary.open_trades, summary.closed_trades, summary.realized_pnl_eth, summary.unrealized_pnl_eth, JSON.stringify(summary),
+    );
+  } catch (err) {
+    log(`[STORAGE] Error recording PnL snapshot: ${err.message}`);
+  }
+}
+
+function getStorageStatus() {
+  return sqliteEnabled()
+    ? { backend: "sqlite", path: sqliteStore.path, driver: sqliteStore.driver }
+    : { backend: "json", path: TRADES_PATH, trade_log: TRADE_LOG_PATH };
+}
+
 // ── Trade state persistence ──
 
+// Trade state is event-sourced. Every change to a trade (buy, lot, sell, close)
+// and every step of a swap (intent, tx sent, tx confirmed) is appended to
+// TRADES_JOURNAL_PATH and fsynced before the agent moves on. saveTrades() writes
+// a snapshot atomically (temp file + rename) and truncates the journal;
+// loadTrades() reads the snapshot and replays the journal on top. Swaps whose
+// intent never completed are reconciled against their receipts on startup
+// (see reconcileIntents). With storage.backend "sqlite" the snapshot goes to the
+// database instead of TRADES_PATH; the journal file works the same.
+const JOURNAL_SNAPSHOT_EVERY = 200; // journal events between automatic snapshots
+
+const journal = {
+  seq: 0,               // last event sequence number written or replayed
+  fd: null,
+  sinceSnapshot: 0,
+  intents: {},          // open buy/sell intents by id: { ...intent, txs: [{ hash, nonce, step, status }] }
+};
+
+/**
+ * Replace `filePath` with `data` so a crash leaves either the old or the new file.
+ */
+function writeFileAtomic(filePath, data) {
+  const tmp = `${filePath}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Fold one journal event into the in-memory state. Used both when appending
+ * and when replaying, so the two can never disagree.
+ */
+function applyJournalEvent(event) {
+  switch (event.type) {
+    case "trade":
+      activeTrades[event.pairAddress] = event.trade;
+      if (event.intent) delete journal.intents[event.intent];
+      break;
+    case "trade_closed":
+      delete activeTrades[event.pairAddress];
+      inactiveTrades.push(event.trade);
+      if (event.intent) delete journal.intents[event.intent];
+      break;
+    case "buy_intent":
+    case "sell_intent": {
+      const { seq, ts, type, ...intent } = event;
+      journal.intents[event.intent] = { ...intent, kind: type === "buy_intent" ? "buy" : "sell", opened_at: ts, txs: [] };
+      break;
+    }
+    case "tx_sent": {
+      const intent = journal.intents[event.intent];
+      if (intent) intent.txs.push({ hash: event.hash, nonce: event.nonce, step: event.step, status: "sent" });
+      break;
+    }
+    case "tx_confirmed": {
+      const tx = journal.intents[event.intent] && journal.intents[event.intent].txs.find((t) => t.hash === event.hash);
+      if (tx) tx.status = event.status;
+      break;
+    }
+    case "intent_done":
+      delete journal.intents[event.intent];
+      break;
+  }
+}
+
+/**
+ * Append an event to the journal (fsynced) and apply it. Backtests only apply it.
+ */
+function journalAppend(type, data) {
+  const event = { seq: journal.seq + 1, ts: now(), type, ...data };
+  if (!BACKTEST) {
+    try {
+      if (journal.fd === null) journal.fd = fs.openSync(TRADES_JOURNAL_PATH, "a");
+      fs.writeSync(journal.fd, JSON.stringify(event) + "\n");
+      fs.fsyncSync(journal.fd);
+    } catch (err) {
+      log(`[JOURNAL] Error appending ${type}: ${err.message}`);
+    }
+  }
+  journal.seq = event.seq;
+  applyJournalEvent(event);
+  if (!BACKTEST && ++journal.sinceSnapshot >= JOURNAL_SNAPSHOT_EVERY) saveTrades();
+}
+
+/**
+ * Journal the current state of an open trade. Passing the intent that changed
+ * it completes that intent in the same event.
+ */
+function journalTrade(pairAddress, intentId = null) {
+  if (activeTrades[pairAddress]) journalAppend("trade", { pairAddress, trade: activeTrades[pairAddress], intent: intentId });
+}
+
+/**
+ * Move an open trade to the closed list (journaled).
+ */
+function closeTrade(pairAddress, closedTrade, intentId = null) {
+  journalAppend("trade_closed", { pairAddress, trade: closedTrade, intent: intentId });
+  checkPolicyGuards(closedTrade.policy_id);
+}
+
+/**
+ * Snapshot trade state. The journal is truncated once the snapshot is on disk;
+ * events written between the two are skipped on replay by their seq.
+ */
 function saveTrades() {
+  if (BACKTEST) return;
   try {
-    const data = {
-      activeTrades,
-      inactiveTrades,
-      summary: computeSummary(),
-    };
-    fs.writeFileSync(TRADES_PATH, JSON.stringify(data, null, 2), "utf8");
+    if (sqliteEnabled()) {
+      saveTradesSqlite();
+    } else {
+      const data = {
+        activeTrades,
+        inactiveTrades,
+        pending_intents: Object.values(journal.intents),
+        journal_seq: journal.seq,
+        summary: computeSummary(),
+      };
+      writeFileAtomic(TRADES_PATH, JSON.stringify(data, null, 2));
+    }
+    if (journal.fd !== null) fs.ftruncateSync(journal.fd, 0);
+    else if (fs.existsSync(TRADES_JOURNAL_PATH)) fs.truncateSync(TRADES_JOURNAL_PATH, 0);
+    journal.sinceSnapshot = 0;
   } catch (err) {
     log(`[TRADES] Error saving: ${err.message}`);
   }
 }
 
 function loadTrades() {
+  if (storageSettings().backend === "sqlite" && !BACKTEST && openSqlite()) {
+    try {
+      migrateJsonToSqlite();
+      loadTradesSqlite();
+    } catch (err) {
+      log(`[TRADES] Error loading from ${sqliteStore.path}: ${err.message}`);
+    }
+    replayJournal();
+    return;
+  }
   try {
     if (fs.existsSync(TRADES_PATH)) {
       const raw = fs.readFileSync(TRADES_PATH, "utf8");
@@ -218,6 +1014,10 @@ function loadTrades() {
         if (Array.isArray(saved.inactiveTrades)) {
           inactiveTrades.push(...saved.inactiveTrades);
         }
+        for (const intent of saved.pending_intents || []) {
+          journal.intents[intent.intent] = intent;
+        }
+        journal.seq = saved.journal_seq || 0;
         log(`[TRADES] Loaded ${Object.keys(saved.activeTrades).length} active, ${inactiveTrades.length} inactive trade(s) from ${TRADES_PATH}`);
       } else {
         // Old flat format: { pairAddress: trade, ... }
@@ -233,32 +1033,113 @@ function loadTrades() {
   } catch (err) {
     log(`[TRADES] Error loading: ${err.message}`);
   }
+  replayJournal();
 }
 
-function appendTradeLog(entry) {
-  try {
-    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + "\n";
-    fs.appendFileSync(TRADE_LOG_PATH, line, "utf8");
-  } catch (err) {
-    log(`[TRADE_LOG] Error appending: ${err.message}`);
+/**
+ * Apply journal events newer than the snapshot. A torn last line (crash
+ * mid-append) is skipped.
+ */
+function replayJournal() {
+  if (!fs.existsSync(TRADES_JOURNAL_PATH)) return;
+  let replayed = 0;
+  const lines = fs.readFileSync(TRADES_JOURNAL_PATH, "utf8").split("\n");
+  for (const [i, line] of lines.entries()) {
+    if (!line.trim()) continue;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      log(`[JOURNAL] Skipping unreadable line ${i + 1} of ${TRADES_JOURNAL_PATH}`);
+      continue;
+    }
+    if (event.seq <= journal.seq) continue; // already in the snapshot
+    applyJournalEvent(event);
+    journal.seq = event.seq;
+    replayed++;
   }
+  if (replayed > 0) {
+    log(`[JOURNAL] Replayed ${replayed} event(s); ${Object.keys(journal.intents).length} open intent(s)`);
+    saveTrades(); // fold the replayed events into a fresh snapshot
+  }
+}
+
+// Per-policy trade log counters for computePolicyStats; rebuilt from the log at startup
+const tradeLogStats = {};
+
+function countTradeLogEntry(entry) {
+  if (entry.policy_id === undefined || entry.policy_id === null) return;
+  const id = String(entry.policy_id);
+  if (!tradeLogStats[id]) tradeLogStats[id] = { buys: 0, sells: 0, failed_buys: 0, failed_sells: 0, errors: 0, failed_gas_eth: 0 };
+  const row = tradeLogStats[id];
+  const side = entry.type === "BUY" ? "buys" : "sells";
+  if (entry.status === "SUCCESS") row[side]++;
+  else if (entry.status === "FAILED") {
+    row[`failed_${side}`]++;
+    row.failed_gas_eth += entry.gas_eth || 0;
+  } else if (entry.status === "ERROR") row.errors++;
+}
+
+function loadTradeLogStats() {
+  try {
+    if (sqliteEnabled()) {
+      for (const row of sqlAll("SELECT data FROM fills")) countTradeLogEntry(JSON.parse(row.data));
+    } else if (fs.existsSync(TRADE_LOG_PATH)) {
+      for (const line of fs.readFileSync(TRADE_LOG_PATH, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          countTradeLogEntry(JSON.parse(line));
+        } catch { /* torn line */ }
+      }
+    }
+  } catch (err) {
+    log(`[TRADE_LOG] Error reading for policy stats: ${err.message}`);
+  }
+}
+
+function appendTradeLog(entry) {
+  countTradeLogEntry(entry);
+  if (BACKTEST) {
+    backtestLog.push({ timestamp: new Date(now()).toISOString(), ...entry });
+    return;
+  }
+  try {
+    const record = { timestamp: new Date(now()).toISOString(), ...entry, ...(DRY_RUN ? { simulated: true } : {}) };
+    if (sqliteEnabled()) storeFill(record);
+    else fs.appendFileSync(TRADE_LOG_PATH, JSON.stringify(record) + "\n", "utf8");
+  } catch (err) {
+    log(`[TRADE_LOG] Error appending: ${err.message}`);
+  }
+}
+
+/**
+ * ETH result of a trade's sells so far, net of the buy cost and all gas paid.
+ * For an open trade add current_eth_value to get its total PnL.
+ */
+function realizedPnlEth(t) {
+  return (t.eth_sold || 0) - (t.eth_spent || 0) - (t.gas_eth || 0);
 }
 
-function computeSummary() {
-  const activeList = Object.values(activeTrades);
+/**
+ * PnL, volume and win/loss stats. Covers every trade unless given a subset
+ * (GET /trades passes the filtered one).
+ */
+function computeSummary(activeList = Object.values(activeTrades), closedList = inactiveTrades) {
   const openTrades = activeList.length;
-  const closedTrades = inactiveTrades.length;
+  const closedTrades = closedList.length;
 
-  // Unrealized PnL from active trades
+  // Unrealized PnL from active trades (PnL figures are net of gas)
   let unrealizedPnlEth = 0;
   let activeVolumeEth = 0;
+  let gasEth = 0;
   for (const t of activeList) {
-    unrealizedPnlEth += (t.current_eth_value || 0) + (t.eth_sold || 0) - (t.eth_spent || 0);
+    unrealizedPnlEth += (t.current_eth_value || 0) + realizedPnlEth(t);
     activeVolumeEth += t.eth_spent || 0;
+    gasEth += t.gas_eth || 0;
   }
 
   // Realized PnL from closed trades
-  let realizedPnlEth = 0;
+  let realizedPnlTotal = 0;
   let inactiveVolumeEth = 0;
   let wins = 0;
   let losses = 0;
@@ -266,15 +1147,16 @@ function computeSummary() {
   let lossPctSum = 0;
   let roiPctSum = 0;
 
-  for (const t of inactiveTrades) {
-    const pnl = (t.eth_sold || 0) - (t.eth_spent || 0);
-    realizedPnlEth += pnl;
+  for (const t of closedList) {
+    const pnl = realizedPnlEth(t);
+    realizedPnlTotal += pnl;
     inactiveVolumeEth += t.eth_spent || 0;
+    gasEth += t.gas_eth || 0;
 
     const roiPct = t.eth_spent > 0 ? (pnl / t.eth_spent) * 100 : 0;
     roiPctSum += roiPct;
 
-    if ((t.eth_sold || 0) >= (t.eth_spent || 0)) {
+    if (pnl >= 0) {
       wins++;
       winPctSum += roiPct;
     } else {
@@ -286,13 +1168,34 @@ function computeSummary() {
   const wethPrice = usdPrices.WETH || 0;
   const volumeEth = activeVolumeEth + inactiveVolumeEth;
 
+  // Per-base-token breakdown, all in ETH, so mixed-base portfolios stay comparable
+  const byBase = {};
+  const baseRow = (t) => {
+    const symbol = tradeBaseSymbol(t);
+    if (!byBase[symbol]) byBase[symbol] = { open_trades: 0, closed_trades: 0, volume_eth: 0, realized_pnl_eth: 0, unrealized_pnl_eth: 0 };
+    return byBase[symbol];
+  };
+  for (const t of activeList) {
+    const row = baseRow(t);
+    row.open_trades++;
+    row.volume_eth += t.eth_spent || 0;
+    row.unrealized_pnl_eth += (t.current_eth_value || 0) + realizedPnlEth(t);
+  }
+  for (const t of closedList) {
+    const row = baseRow(t);
+    row.closed_trades++;
+    row.volume_eth += t.eth_spent || 0;
+    row.realized_pnl_eth += realizedPnlEth(t);
+  }
+
   return {
     open_trades: openTrades,
     closed_trades: closedTrades,
     unrealized_pnl_eth: unrealizedPnlEth,
     unrealized_pnl_usd: unrealizedPnlEth * wethPrice,
-    realized_pnl_eth: realizedPnlEth,
-    realized_pnl_usd: realizedPnlEth * wethPrice,
+    realized_pnl_eth: realizedPnlTotal,
+    realized_pnl_usd: realizedPnlTotal * wethPrice,
+    gas_eth: gasEth,
     wins,
     losses,
     avg_win_pct: wins > 0 ? winPctSum / wins : 0,
@@ -301,8 +1204,83 @@ function computeSummary() {
     volume_eth: volumeEth,
     volume_usd: volumeEth * wethPrice,
     avg_roi_pct: closedTrades > 0 ? roiPctSum / closedTrades : 0,
-    net_roi_pct: volumeEth > 0 ? ((realizedPnlEth + unrealizedPnlEth) / volumeEth) * 100 : 0,
-    updated_at: new Date().toISOString(),
+    by_base_token: byBase,
+    net_roi_pct: volumeEth > 0 ? ((realizedPnlTotal + unrealizedPnlEth) / volumeEth) * 100 : 0,
+    updated_at: new Date(now()).toISOString(),
+  };
+}
+
+/**
+ * Performance of one policy from its trades and trade log entries. Closed trades
+ * before `since` (ms) are left out. Wins are PnL >= 0, as in computeSummary;
+ * profit_factor is null while there are no losses.
+ */
+function computePolicyStats(policyId, since = 0) {
+  const id = String(policyId);
+  const open = Object.values(activeTrades).filter((t) => String(t.policy_id) === id);
+  const closed = inactiveTrades
+    .filter((t) => String(t.policy_id) === id && (t.closed_at || 0) >= since)
+    .sort((a, b) => (a.closed_at || 0) - (b.closed_at || 0));
+
+  let wins = 0;
+  let losses = 0;
+  let grossWin = 0;
+  let grossLoss = 0;
+  let winPctSum = 0;
+  let lossPctSum = 0;
+  let holdMsSum = 0;
+  let held = 0;
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, trades: 0, pnl_eth: 0 }));
+
+  for (const t of closed) {
+    const pnl = realizedPnlEth(t);
+    const pct = t.eth_spent > 0 ? (pnl / t.eth_spent) * 100 : 0;
+    if (pnl >= 0) {
+      wins++;
+      grossWin += pnl;
+      winPctSum += pct;
+    } else {
+      losses++;
+      grossLoss -= pnl;
+      lossPctSum += pct;
+    }
+    // Equity curve in close order
+    equity += pnl;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    if (t.opened_at && t.closed_at) {
+      holdMsSum += t.closed_at - t.opened_at;
+      held++;
+    }
+    const hour = byHour[new Date(t.closed_at || 0).getUTCHours()];
+    hour.trades++;
+    hour.pnl_eth += pnl;
+  }
+
+  const n = closed.length;
+  return {
+    policy_id: id,
+    open_trades: open.length,
+    closed_trades: n,
+    wins,
+    losses,
+    win_rate_pct: n > 0 ? (wins / n) * 100 : 0,
+    avg_win_eth: wins > 0 ? grossWin / wins : 0,
+    avg_loss_eth: losses > 0 ? -grossLoss / losses : 0,
+    avg_win_pct: wins > 0 ? winPctSum / wins : 0,
+    avg_loss_pct: losses > 0 ? lossPctSum / losses : 0,
+    profit_factor: grossLoss > 0 ? grossWin / grossLoss : null,
+    expectancy_eth: n > 0 ? (grossWin - grossLoss) / n : 0,
+    expectancy_pct: n > 0 ? (winPctSum + lossPctSum) / n : 0,
+    realized_pnl_eth: grossWin - grossLoss,
+    unrealized_pnl_eth: open.reduce((sum, t) => sum + (t.current_eth_value || 0) + realizedPnlEth(t), 0),
+    max_drawdown_eth: maxDrawdown,
+    avg_hold_ms: held > 0 ? holdMsSum / held : null,
+    pnl_by_hour_utc: byHour,
+    trade_log: tradeLogStats[id] || { buys: 0, sells: 0, failed_buys: 0, failed_sells: 0, errors: 0, failed_gas_eth: 0 },
   };
 }
 
@@ -311,6 +1289,8 @@ function computeSummary() {
 // ═══════════════════════════════════════════════════════════════
 
 const RPC_URL = process.env.RPC_URL || "https://go.getblock.us/889f33a3782e48e9a46db80d496f7d2e";
+// Comma-separated endpoint list for the provider pool; RPC_URL alone when unset
+const RPC_URLS = (process.env.RPC_URLS || "").split(",").map((u) => u.trim()).filter(Boolean);
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 const SERVER_URL = process.env.SERVER_URL || "https://alpha.cssgod.io";
 
@@ -320,14 +1300,273 @@ let wallet;
 // USD price cache — updated via usdRates_update events from the server
 const usdPrices = { WETH: 0, ZORA: 0, CLANKER: 0, VIRTUAL: 0, SOL: 0, BNB: 0, BTC: 0 };
 
+function baseTokenSymbol(baseTokenAddress) {
+  const addr = (baseTokenAddress || "").toLowerCase();
+  if (addr === ZORA_BASE) return "ZORA";
+  if (addr === CLANKER_BASE) return "CLANKER";
+  return "WETH";
+}
+
+/**
+ * ETH per unit of a base token, from the USD price cache. WETH is always 1;
+ * null while either USD price is unknown.
+ */
+function baseEthRate(baseTokenAddress) {
+  const symbol = baseTokenSymbol(baseTokenAddress);
+  if (symbol === "WETH") return 1;
+  const baseUsd = usdPrices[symbol] || 0;
+  return baseUsd > 0 && usdPrices.WETH > 0 ? baseUsd / usdPrices.WETH : null;
+}
+
 // Gas price cache — updated periodically
 let gasPriceGwei = 0.01;
 
+// Virtual clock — set by the backtester so group keys, trade ages and grace
+// periods follow the replayed event timestamps instead of wall time.
+let virtualNow = null;
+
+function now() {
+  return virtualNow !== null ? virtualNow : Date.now();
+}
+
 function log(msg) {
-  const ts = new Date().toISOString();
+  if (BACKTEST && backtestQuiet) return;
+  const ts = new Date(now()).toISOString();
   console.log(`[${ts}] ${msg}`);
 }
 
+// ── RPC provider pool ──
+
+// One JsonRpcProvider per endpoint. `provider` (and `wallet`) always point at the
+// active endpoint; health checks and failed calls move them to the best healthy
+// one. Balance reads ask several endpoints, and signed transactions are
+// broadcast to several at once.
+const rpcPool = {
+  endpoints: [],
+  active: null,
+  best_block: 0,
+};
+
+function rpcSettings() {
+  return { ...DEFAULT_CONFIG.rpc, ...(config.rpc || {}) };
+}
+
+/**
+ * Hide API keys that RPC providers embed in the URL path or query.
+ */
+function redactRpcUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.pathname.length > 1 || u.search ? `${u.origin}/***` : u.origin;
+  } catch {
+    return "***";
+  }
+}
+
+function initRpcPool(urls) {
+  rpcPool.endpoints = [...new Set(urls)].map((url) => ({
+    url,
+    name: redactRpcUrl(url),
+    provider: new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true }),
+    healthy: true,
+    latency_ms: null,       // moving average of successful calls
+    error_rate: 0,          // moving average, 0..1
+    consecutive_failures: 0,
+    block_number: null,
+    last_error: null,
+    last_check_at: null,
+  }));
+  rpcPool.active = rpcPool.endpoints[0];
+  provider = rpcPool.active.provider;
+}
+
+function rpcTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`RPC timeout after ${ms}ms`), { code: "TIMEOUT" })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run `fn(provider)` against one endpoint and record latency / failure.
+ * Contract reverts are answers, not endpoint failures.
+ */
+async function rpcCall(endpoint, fn) {
+  const started = Date.now();
+  try {
+    const result = await rpcTimeout(fn(endpoint.provider), rpcSettings().timeoutMs);
+    const latency = Date.now() - started;
+    endpoint.latency_ms = endpoint.latency_ms === null ? latency : Math.round(endpoint.latency_ms * 0.8 + latency * 0.2);
+    endpoint.error_rate *= 0.8;
+    endpoint.consecutive_failures = 0;
+    return result;
+  } catch (error) {
+    if (error.code !== "CALL_EXCEPTION") recordRpcFailure(endpoint, error);
+    throw error;
+  }
+}
+
+function recordRpcFailure(endpoint, error) {
+  endpoint.error_rate = endpoint.error_rate * 0.8 + 0.2;
+  endpoint.consecutive_failures++;
+  endpoint.last_error = error.shortMessage || error.message;
+  if (endpoint.healthy && endpoint.consecutive_failures >= rpcSettings().maxFailures) {
+    endpoint.healthy = false;
+    log(`[RPC] ${endpoint.name} marked down: ${endpoint.last_error}`);
+    if (endpoint === rpcPool.active) selectActiveEndpoint();
+  }
+}
+
+/**
+ * Report a network-level error seen on the active provider outside rpcCall.
+ */
+function reportRpcError(error) {
+  if (rpcPool.active && error && error.code !== "CALL_EXCEPTION") recordRpcFailure(rpcPool.active, error);
+}
+
+/**
+ * Lower is better: latency, plus penalties for recent errors and block lag.
+ */
+function endpointScore(endpoint) {
+  const lag = endpoint.block_number === null ? 0 : Math.max(rpcPool.best_block - endpoint.block_number, 0);
+  return (endpoint.latency_ms ?? 1000) + endpoint.error_rate * 2000 + lag * 500;
+}
+
+/**
+ * Point `provider`/`wallet` at the best healthy endpoint. Keeps the current one
+ * unless it is down or another scores less than half as much (no flapping).
+ */
+function selectActiveEndpoint() {
+  const healthy = rpcPool.endpoints.filter((e) => e.healthy);
+  if (healthy.length === 0) return; // keep the last active and hope it recovers
+  const best = healthy.reduce((a, b) => (endpointScore(b) < endpointScore(a) ? b : a));
+  const current = rpcPool.active;
+  if (current && current.healthy && (best === current || endpointScore(best) * 2 > endpointScore(current))) return;
+
+  log(`[RPC] Switching to ${best.name}${current ? ` (was ${current.name}${current.healthy ? "" : ", down"})` : ""}`);
+  rpcPool.active = best;
+  provider = best.provider;
+  if (wallet) wallet = wallet.connect(provider);
+}
+
+async function checkRpcHealth() {
+  const settings = rpcSettings();
+  await Promise.all(rpcPool.endpoints.map(async (endpoint) => {
+    endpoint.last_check_at = Date.now();
+    try {
+      endpoint.block_number = await rpcCall(endpoint, (p) => p.getBlockNumber());
+    } catch { /* recorded by rpcCall */ }
+  }));
+
+  rpcPool.best_block = Math.max(0, ...rpcPool.endpoints.map((e) => e.block_number || 0));
+  for (const endpoint of rpcPool.endpoints) {
+    const lagging = endpoint.block_number !== null && rpcPool.best_block - endpoint.block_number > settings.maxBlockLag;
+    const healthy = endpoint.consecutive_failures < settings.maxFailures && !lagging;
+    if (healthy !== endpoint.healthy) {
+      log(`[RPC] ${endpoint.name} ${healthy ? "recovered" : `marked down: ${lagging ? `${rpcPool.best_block - endpoint.block_number} blocks behind` : endpoint.last_error}`}`);
+      endpoint.healthy = healthy;
+    }
+  }
+  selectActiveEndpoint();
+}
+
+function scheduleRpcHealthChecks() {
+  const intervalSec = Math.max(rpcSettings().healthCheckSec || 0, 1);
+  setTimeout(async () => {
+    await checkRpcHealth();
+    scheduleRpcHealthChecks();
+  }, intervalSec * 1000);
+}
+
+/**
+ * Active endpoint first, then the other healthy ones by score.
+ */
+function rankedEndpoints() {
+  const others = rpcPool.endpoints
+    .filter((e) => e.healthy && e !== rpcPool.active)
+    .sort((a, b) => endpointScore(a) - endpointScore(b));
+  return rpcPool.active ? [rpcPool.active, ...others] : others;
+}
+
+/**
+ * Read a value (e.g. a balance) from up to rpc.quorum endpoints and return it
+ * once that many agree. Without agreement the answer of the endpoint furthest
+ * ahead wins, with a warning. A single-endpoint pool reads directly.
+ */
+async function quorumRead(label, fn) {
+  const endpoints = rankedEndpoints();
+  const quorum = Math.min(rpcSettings().quorum, endpoints.length);
+  if (quorum <= 1) return fn(provider);
+
+  const answers = (await Promise.allSettled(endpoints.slice(0, quorum).map((endpoint) => rpcCall(endpoint, fn))))
+    .map((r, i) => ({ endpoint: endpoints[i], ...r }));
+  const ok = answers.filter((a) => a.status === "fulfilled");
+  if (ok.length === 0) throw answers[0].reason;
+
+  const counts = {};
+  for (const a of ok) counts[String(a.value)] = (counts[String(a.value)] || 0) + 1;
+  const agreed = ok.find((a) => counts[String(a.value)] >= quorum);
+  if (agreed) return agreed.value;
+
+  const newest = ok.reduce((a, b) => ((b.endpoint.block_number || 0) > (a.endpoint.block_number || 0) ? b : a));
+  log(`[RPC] No quorum for ${label} (${ok.map((a) => `${a.endpoint.name}=${a.value}`).join(", ")}), using ${newest.endpoint.name}`);
+  return newest.value;
+}
+
+/**
+ * Wallet balance of an ERC20 token, or native ETH when tokenAddress is null.
+ */
+function readBalance(tokenAddress) {
+  return quorumRead(`${tokenAddress || "ETH"} balance`, (p) => tokenAddress
+    ? new ethers.Contract(tokenAddress, ERC20_ABI, p).balanceOf(wallet.address)
+    : p.getBalance(wallet.address));
+}
+
+function broadcastEndpoints() {
+  return rankedEndpoints().slice(0, Math.max(rpcSettings().broadcastFanout, 1));
+}
+
+/**
+ * Sign once and broadcast to up to rpc.broadcastFanout endpoints.
+ */
+async function signAndBroadcast(tx) {
+  if (broadcastEndpoints().length < 2) return wallet.sendTransaction(tx);
+  return broadcastSignedTx(await wallet.signTransaction(await wallet.populateTransaction(tx)));
+}
+
+/**
+ * Broadcast an already signed transaction. The first accepted broadcast wins;
+ * the active endpoint's error is thrown if all fail.
+ */
+async function broadcastSignedTx(signedTx) {
+  const endpoints = broadcastEndpoints();
+  if (endpoints.length < 2) return provider.broadcastTransaction(signedTx);
+  const results = await Promise.allSettled(endpoints.map((endpoint) => rpcCall(endpoint, (p) => p.broadcastTransaction(signedTx))));
+  const accepted = results.find((r) => r.status === "fulfilled");
+  if (accepted) return accepted.value;
+  throw results[0].reason;
+}
+
+function getRpcStatus() {
+  return {
+    active: rpcPool.active ? rpcPool.active.name : null,
+    best_block: rpcPool.best_block || null,
+    endpoints: rpcPool.endpoints.map((e) => ({
+      url: e.name,
+      healthy: e.healthy,
+      active: e === rpcPool.active,
+      latency_ms: e.latency_ms,
+      error_rate: parseFloat(e.error_rate.toFixed(3)),
+      consecutive_failures: e.consecutive_failures,
+      block_number: e.block_number,
+      score: Math.round(endpointScore(e)),
+      last_error: e.last_error,
+      last_check_at: e.last_check_at ? new Date(e.last_check_at).toISOString() : null,
+    })),
+  };
+}
+
 // ═══════════════════════════════════════════════════════════════
 // Section 3: Data Aggregation Engine
 // ═══════════════════════════════════════════════════════════════
@@ -366,7 +1605,7 @@ function processPairUpdate(update) {
   const buyVolume = parseFloat(data.buy_volume || data.buyVolume || 0);
   const sellVolume = parseFloat(data.sell_volume || data.sellVolume || 0);
   const liquidity = parseFloat(data.liquidity || data.total_liquidity || 0);
-  const minuteKey = data.minute_key || data.minuteKey || Math.floor(Date.now() / 60000);
+  const minuteKey = data.minute_key || data.minuteKey || Math.floor(now() / 60000);
 
   if (lastPrice <= 0) return;
 
@@ -428,7 +1667,7 @@ function integrateNewData(data) {
       last_price: data.last_price,
       liquidity: data.liquidity,
       last_group_key: groupKey,
-      first_seen: Date.now(),
+      first_seen: now(),
     };
   }
 
@@ -436,6 +1675,7 @@ function integrateNewData(data) {
 
   // Update pair-level metadata
   pairData.last_price = data.last_price;
+  pairData.last_update_at = now();
   pairData.liquidity = data.liquidity;
   if (data.symbol) pairData.symbol = data.symbol;
   if (data.name) pairData.name = data.name;
@@ -493,6 +1733,10 @@ function integrateNewData(data) {
   if (!executing[pairAddress]) {
     if (activeTrades[pairAddress]) {
       evaluateExits(pairAddress, groupKey);
+      // Scale-in is only considered when the exit pass did not start a sell
+      if (activeTrades[pairAddress] && !executing[pairAddress]) {
+        evaluateScaleIn(pairAddress, groupKey);
+      }
     } else {
       evaluateEntries(pairAddress, groupKey);
     }
@@ -514,7 +1758,7 @@ function cleanupOldGroups() {
 
     // Remove stale pairs with no recent data (30 min)
     const lastGroup = groupKeys[groupKeys.length - 1] || 0;
-    const nowMinuteKey = Math.floor(Date.now() / 60000);
+    const nowMinuteKey = Math.floor(now() / 60000);
     if (nowMinuteKey - lastGroup > 30) {
       if (!activeTrades[pairAddress]) {
         delete computedPairData[pairAddress];
@@ -527,18 +1771,504 @@ function cleanupOldGroups() {
 // Section 4: Policy Evaluation Engine
 // ═══════════════════════════════════════════════════════════════
 
+// Policies run inside an isolated vm context: no require, process, wallet or fs.
+// Everything below is evaluated in that realm. ctx arrives as a JSON string and is
+// rebuilt and frozen inside the sandbox, and results leave it as a JSON string, so
+// no host object or function is ever reachable from policy code.
+const POLICY_SANDBOX_SOURCE = `
+"use strict";
+var __fns = Object.create(null);
+
 // Persistent custom data per pair — survives across evaluations.
 // Policies can read/write ctx.customData to track state (e.g. counters, flags).
-const pairCustomData = {};
+var __customData = Object.create(null);
 
 // Global shared data across ALL pairs — survives across evaluations.
 // Policies can read/write ctx.globalData to track market-wide state
 // (e.g. regime detection, portfolio risk, cross-pair correlations).
-const globalData = {};
+var __globalData = {};
+
+var __logs = [];
+
+function log() {
+  if (__logs.length >= 20) return;
+  var parts = [];
+  for (var i = 0; i < arguments.length; i++) {
+    var a = arguments[i];
+    parts.push(typeof a === "string" ? a : JSON.stringify(a));
+  }
+  __logs.push(parts.join(" ").slice(0, 500));
+}
+
+var helpers = Object.freeze({
+  sum: function (arr) { var t = 0; for (var i = 0; i < arr.length; i++) t += arr[i]; return t; },
+  avg: function (arr) { return arr.length ? helpers.sum(arr) / arr.length : 0; },
+  min: function (arr) { return arr.length ? Math.min.apply(null, arr) : 0; },
+  max: function (arr) { return arr.length ? Math.max.apply(null, arr) : 0; },
+  stdev: function (arr) {
+    if (arr.length < 2) return 0;
+    var mean = helpers.avg(arr);
+    var v = 0;
+    for (var i = 0; i < arr.length; i++) v += (arr[i] - mean) * (arr[i] - mean);
+    return Math.sqrt(v / (arr.length - 1));
+  },
+  pctChange: function (from, to) { return from ? ((to - from) / from) * 100 : 0; },
+  clamp: function (v, lo, hi) { return Math.min(Math.max(v, lo), hi); },
+  last: function (arr, n) { return n === undefined ? arr[arr.length - 1] : arr.slice(-n); },
+});
+
+// Technical indicators over ctx.groups, one bar per group (open = first_price,
+// high = max_price, low = min_price, close = last_price, volume = total_volume).
+// Each indicator keeps a running state per pair that has folded in every
+// completed group, so a call folds only the groups closed since the previous
+// call, then the still-forming newest group into a copy. The cost of a call does
+// not grow with maxGroups.
+var __TA_FIELDS = { open: "first_price", high: "max_price", low: "min_price", close: "last_price", volume: "total_volume", buy_volume: "buy_volume", sell_volume: "sell_volume" };
+var __TA_MAX_PERIOD = 500;
+var __TA_MAX_PAIRS = 500;     // least recently used pairs are dropped beyond this
+var __TA_MAX_STATES = 64;     // indicator/parameter combinations per pair
+var __taCache = new Map();    // pairAddress -> { indicator key -> { lastKey, state } }
+
+function __taPeriod(name, value, fallback) {
+  var period = value === undefined ? fallback : value;
+  if (typeof period !== "number" || period % 1 !== 0 || period < 1 || period > __TA_MAX_PERIOD) {
+    throw new RangeError("ta." + name + ": period must be an integer from 1 to " + __TA_MAX_PERIOD);
+  }
+  return period;
+}
+
+function __taField(name, field) {
+  var key = field === undefined ? "close" : field;
+  if (!Object.prototype.hasOwnProperty.call(__TA_FIELDS, key)) throw new RangeError("ta." + name + ": unknown field " + JSON.stringify(key));
+  return __TA_FIELDS[key];
+}
+
+function __taClone(state) {
+  if (Array.isArray(state)) return state.slice();
+  if (state && typeof state === "object") {
+    var copy = {};
+    for (var k in state) copy[k] = __taClone(state[k]);
+    return copy;
+  }
+  return state;
+}
+
+function __taPairStates(pairAddress) {
+  var states = __taCache.get(pairAddress);
+  if (states) {
+    __taCache.delete(pairAddress); // re-inserted below as most recently used
+  } else {
+    states = Object.create(null);
+  }
+  __taCache.set(pairAddress, states);
+  if (__taCache.size > __TA_MAX_PAIRS) __taCache.delete(__taCache.keys().next().value);
+  return states;
+}
+
+/**
+ * Run an indicator over the groups: fold completed groups into the cached
+ * state, then return a copy with the newest group folded in. The cache starts
+ * over when the groups are older than it (e.g. a new backtest run).
+ */
+function __taLive(pairAddress, groups, key, init, step) {
+  var n = groups.length;
+  var states = __taPairStates(pairAddress);
+  var entry = states[key];
+  var done = n - 2; // newest completed group
+  var stale = entry && entry.lastKey !== null && n > 0 &&
+    (entry.lastKey >= groups[n - 1].groupKey || (done >= 0 && entry.lastKey > groups[done].groupKey));
+  if (!entry || stale) {
+    if (!entry && Object.keys(states).length >= __TA_MAX_STATES) {
+      for (var old in states) delete states[old];
+    }
+    entry = states[key] = { lastKey: null, state: init() };
+  }
+  var start = 0;
+  if (entry.lastKey !== null) {
+    start = done + 1;
+    while (start > 0 && groups[start - 1].groupKey > entry.lastKey) start--;
+  }
+  for (var i = start; i <= done; i++) {
+    step(entry.state, groups[i]);
+    entry.lastKey = groups[i].groupKey;
+  }
+  var live = __taClone(entry.state);
+  if (n > 0) step(live, groups[n - 1]);
+  return live;
+}
+
+// Rolling window of one field: sum and sum of squares over the last period bars
+function __taWindowInit() { return { values: [], sum: 0, sumSq: 0, last: null }; }
+function __taWindowStep(state, value, period) {
+  state.values.push(value);
+  state.sum += value;
+  state.sumSq += value * value;
+  if (state.values.length > period) {
+    var out = state.values.shift();
+    state.sum -= out;
+    state.sumSq -= out * out;
+  }
+  state.last = value;
+}
+function __taWindowStats(state) {
+  var n = state.values.length;
+  var mean = state.sum / n;
+  return { mean: mean, sd: Math.sqrt(Math.max(state.sumSq / n - mean * mean, 0)) };
+}
+
+// EMA seeded with the SMA of its first period values
+function __taEmaInit() { return { ema: null, count: 0, seed: 0 }; }
+function __taEmaStep(state, value, period) {
+  state.count++;
+  if (state.ema === null) {
+    state.seed += value;
+    if (state.count === period) state.ema = state.seed / period;
+  } else {
+    var k = 2 / (period + 1);
+    state.ema = value * k + state.ema * (1 - k);
+  }
+}
+
+// Wilder smoothing: average of the first period values, then (avg * (period - 1) + value) / period
+function __taWilderStep(state, name, value, period, count) {
+  if (count < period) state[name] += value;
+  else if (count === period) state[name] = (state[name] + value) / period;
+  else state[name] = (state[name] * (period - 1) + value) / period;
+}
+
+function __makeTa(pairAddress, groups) {
+  function windowOf(name, field, period) {
+    var source = __taField(name, field);
+    return __taLive(pairAddress, groups, "win:" + source + ":" + period, __taWindowInit, function (state, group) {
+      __taWindowStep(state, group[source], period);
+    });
+  }
+
+  var ta = {
+    sma: function (period, field) {
+      period = __taPeriod("sma", period, 20);
+      var w = windowOf("sma", field, period);
+      return w.values.length === period ? w.sum / period : null;
+    },
+    ema: function (period, field) {
+      period = __taPeriod("ema", period, 20);
+      var source = __taField("ema", field);
+      return __taLive(pairAddress, groups, "ema:" + source + ":" + period, __taEmaInit, function (state, group) {
+        __taEmaStep(state, group[source], period);
+      }).ema;
+    },
+    rsi: function (period) {
+      period = __taPeriod("rsi", period, 14);
+      var s = __taLive(pairAddress, groups, "rsi:" + period, function () {
+        return { prev: null, gain: 0, loss: 0, count: 0 };
+      }, function (state, group) {
+        var close = group.last_price;
+        if (state.prev !== null) {
+          var change = close - state.prev;
+          state.count++;
+          __taWilderStep(state, "gain", Math.max(change, 0), period, state.count);
+          __taWilderStep(state, "loss", Math.max(-change, 0), period, state.count);
+        }
+        state.prev = close;
+      });
+      if (s.count < period) return null;
+      if (s.loss === 0) return s.gain === 0 ? 50 : 100;
+      return 100 - 100 / (1 + s.gain / s.loss);
+    },
+    macd: function (fast, slow, signal) {
+      fast = __taPeriod("macd", fast, 12);
+      slow = __taPeriod("macd", slow, 26);
+      signal = __taPeriod("macd", signal, 9);
+      var s = __taLive(pairAddress, groups, "macd:" + fast + ":" + slow + ":" + signal, function () {
+        return { fast: __taEmaInit(), slow: __taEmaInit(), signal: __taEmaInit() };
+      }, function (state, group) {
+        __taEmaStep(state.fast, group.last_price, fast);
+        __taEmaStep(state.slow, group.last_price, slow);
+        if (state.fast.ema !== null && state.slow.ema !== null) {
+          __taEmaStep(state.signal, state.fast.ema - state.slow.ema, signal);
+        }
+      });
+      if (s.signal.ema === null) return null;
+      var line = s.fast.ema - s.slow.ema;
+      return { macd: line, signal: s.signal.ema, histogram: line - s.signal.ema };
+    },
+    bollinger: function (period, mult) {
+      period = __taPeriod("bollinger", period, 20);
+      var k = mult === undefined ? 2 : mult;
+      if (typeof k !== "number" || !(k >= 0)) throw new RangeError("ta.bollinger: mult must be a number >= 0");
+      var w = windowOf("bollinger", "close", period);
+      if (w.values.length < period) return null;
+      var stats = __taWindowStats(w);
+      var upper = stats.mean + k * stats.sd;
+      var lower = stats.mean - k * stats.sd;
+      return {
+        middle: stats.mean,
+        upper: upper,
+        lower: lower,
+        width_pct: stats.mean ? ((upper - lower) / stats.mean) * 100 : 0,
+        percent_b: upper > lower ? (w.last - lower) / (upper - lower) : 0.5,
+      };
+    },
+    atr: function (period) {
+      period = __taPeriod("atr", period, 14);
+      var s = __taLive(pairAddress, groups, "atr:" + period, function () {
+        return { prevClose: null, atr: 0, count: 0 };
+      }, function (state, group) {
+        var range = group.max_price - group.min_price;
+        if (state.prevClose !== null) {
+          range = Math.max(range, Math.abs(group.max_price - state.prevClose), Math.abs(group.min_price - state.prevClose));
+        }
+        state.count++;
+        __taWilderStep(state, "atr", range, period, state.count);
+        state.prevClose = group.last_price;
+      });
+      return s.count >= period ? s.atr : null;
+    },
+    vwap: function (period) {
+      period = __taPeriod("vwap", period, 20);
+      var s = __taLive(pairAddress, groups, "vwap:" + period, function () {
+        return { pv: __taWindowInit(), volume: __taWindowInit() };
+      }, function (state, group) {
+        var typical = (group.max_price + group.min_price + group.last_price) / 3;
+        __taWindowStep(state.pv, typical * group.total_volume, period);
+        __taWindowStep(state.volume, group.total_volume, period);
+      });
+      return s.volume.sum > 0 ? s.pv.sum / s.volume.sum : null;
+    },
+    imbalance: function (period) {
+      period = __taPeriod("imbalance", period, 1);
+      var buys = windowOf("imbalance", "buy_volume", period);
+      var sells = windowOf("imbalance", "sell_volume", period);
+      var total = buys.sum + sells.sum;
+      return total > 0 ? (buys.sum - sells.sum) / total : 0;
+    },
+    zscore: function (period, field) {
+      period = __taPeriod("zscore", period, 20);
+      var w = windowOf("zscore", field, period);
+      if (w.values.length < period) return null;
+      var stats = __taWindowStats(w);
+      return stats.sd > 0 ? (w.last - stats.mean) / stats.sd : 0;
+    },
+  };
+  return Object.freeze(ta);
+}
+
+function __deepFreeze(obj) {
+  if (obj && typeof obj === "object" && !Object.isFrozen(obj)) {
+    Object.freeze(obj);
+    var keys = Object.keys(obj);
+    for (var i = 0; i < keys.length; i++) __deepFreeze(obj[keys[i]]);
+  }
+  return obj;
+}
+
+function __makeCtx(ctxJson, pairAddress) {
+  var data = __deepFreeze(JSON.parse(ctxJson));
+  if (!__customData[pairAddress]) __customData[pairAddress] = {};
+  var ctx = Object.assign({}, data, {
+    customData: __customData[pairAddress],
+    globalData: __globalData,
+    helpers: helpers,
+    ta: __makeTa(pairAddress, data.groups || []),
+  });
+  return Object.freeze(ctx);
+}
+
+function __call(key, pairAddress, ctxJson) {
+  __logs = [];
+  try {
+    var result = __fns[key](__makeCtx(ctxJson, pairAddress));
+    return JSON.stringify({ result: result === undefined ? null : result, logs: __logs });
+  } catch (e) {
+    var message;
+    try {
+      message = String(e && e.message !== undefined ? e.message : e);
+    } catch (_) {
+      message = "policy threw a non-serializable value";
+    }
+    return JSON.stringify({ error: message, logs: __logs });
+  }
+}
+`;
+
+function createPolicySandbox() {
+  const context = vm.createContext(Object.create(null), {
+    name: "policy-sandbox",
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: "afterEvaluate",
+  });
+  new vm.Script(POLICY_SANDBOX_SOURCE, { filename: "policy-sandbox.js" }).runInContext(context);
+  return context;
+}
+
+const policySandbox = createPolicySandbox();
+const sandboxFns = vm.runInContext("__fns", policySandbox);
+const policyCallScript = new vm.Script("__call(__callKey, __callPair, __callCtx)", { filename: "policy-call.js" });
 
 // Compiled function cache — avoids re-compiling on every event
 const compiledFuncs = {};
 
+// Per-policy sandbox health: timeouts/exceptions, auto-disable state (reported on /status)
+const policyHealth = {};
+
+// Entry stops (API or policyGuards) and the guards' baseline are also kept in
+// POLICY_STATE_PATH, so they survive restarts (start.sh rewrites the config) and
+// policy updates. Sandbox failures stay in memory and reset with the policy's code.
+let policyState = {}; // policy id -> { entries_disabled, entries_disabled_reason, entries_disabled_at, guard_since }
+
+function loadPolicyState() {
+  if (BACKTEST || !fs.existsSync(POLICY_STATE_PATH)) return;
+  try {
+    policyState = JSON.parse(fs.readFileSync(POLICY_STATE_PATH, "utf8")) || {};
+  } catch (err) {
+    log(`[POLICY] Could not read ${POLICY_STATE_PATH}: ${err.message}`);
+  }
+}
+
+function savePolicyState(policyId) {
+  const health = getPolicyHealth(policyId);
+  if (health.entries_disabled || health.guard_since) {
+    policyState[policyId] = {
+      entries_disabled: health.entries_disabled,
+      entries_disabled_reason: health.entries_disabled_reason,
+      entries_disabled_at: health.entries_disabled_at,
+      guard_since: health.guard_since,
+    };
+  } else {
+    delete policyState[policyId];
+  }
+  if (BACKTEST) return;
+  try {
+    writeFileAtomic(POLICY_STATE_PATH, JSON.stringify(policyState, null, 2));
+  } catch (err) {
+    log(`[POLICY] Could not save ${POLICY_STATE_PATH}: ${err.message}`);
+  }
+}
+
+function getPolicyHealth(policyId) {
+  if (!policyHealth[policyId]) {
+    const saved = policyState[policyId] || {};
+    policyHealth[policyId] = {
+      calls: 0,
+      errors: 0,
+      timeouts: 0,
+      consecutive_failures: 0,
+      disabled: false,
+      disabled_reason: null,
+      disabled_at: null,
+      entries_disabled: saved.entries_disabled === true,  // API or policyGuards: no new entries, exits keep running
+      entries_disabled_reason: saved.entries_disabled_reason || null,
+      entries_disabled_at: saved.entries_disabled_at || null,
+      guard_since: saved.guard_since || 0,  // policyGuards only judge trades closed after this (set on re-enable)
+      last_error: null,
+      last_error_at: null,
+    };
+  }
+  return policyHealth[policyId];
+}
+
+function disablePolicy(policyId, reason) {
+  const health = getPolicyHealth(policyId);
+  if (health.disabled) return;
+  health.disabled = true;
+  health.disabled_reason = reason;
+  health.disabled_at = now();
+  log(`[POLICY] Policy "${policyId}" DISABLED: ${reason}`);
+}
+
+function disablePolicyEntries(policyId, reason) {
+  const health = getPolicyHealth(policyId);
+  if (health.entries_disabled) return;
+  health.entries_disabled = true;
+  health.entries_disabled_reason = reason;
+  health.entries_disabled_at = now();
+  savePolicyState(policyId);
+  log(`[POLICY] Policy "${policyId}" entries DISABLED: ${reason} (exits keep running)`);
+}
+
+/**
+ * Clear both kinds of disable. Guards start counting afresh from here.
+ */
+function enablePolicy(policyId) {
+  Object.assign(getPolicyHealth(policyId), {
+    disabled: false,
+    disabled_reason: null,
+    disabled_at: null,
+    consecutive_failures: 0,
+    entries_disabled: false,
+    entries_disabled_reason: null,
+    entries_disabled_at: null,
+    guard_since: now(),
+  });
+  savePolicyState(policyId);
+  log(`[POLICY] Policy "${policyId}" enabled`);
+}
+
+/**
+ * Configured policy by id. Ids arrive as strings from URLs and the API but may
+ * be numbers in the config, so they are compared as strings.
+ */
+function findPolicy(policyId) {
+  return config.policies.find((p) => String(p.id) === String(policyId));
+}
+
+function resolvePolicyGuards(policy) {
+  return { ...DEFAULT_CONFIG.policyGuards, ...(config.policyGuards || {}), ...((policy && policy.guards) || {}) };
+}
+
+/**
+ * Stop a policy's entries once its closed trades breach policyGuards. Called
+ * whenever one of its trades closes.
+ */
+function checkPolicyGuards(policyId) {
+  const policy = findPolicy(policyId);
+  if (!policy) return;
+  const health = getPolicyHealth(policy.id);
+  if (health.entries_disabled) return;
+  const guards = resolvePolicyGuards(policy);
+  const stats = computePolicyStats(policy.id, health.guard_since);
+  if (stats.closed_trades < guards.minClosedTrades) return;
+
+  const breaches = [];
+  if (guards.minWinRatePct > 0 && stats.win_rate_pct < guards.minWinRatePct) {
+    breaches.push(`win rate ${stats.win_rate_pct.toFixed(1)}% < ${guards.minWinRatePct}%`);
+  }
+  if (guards.minProfitFactor > 0 && stats.profit_factor !== null && stats.profit_factor < guards.minProfitFactor) {
+    breaches.push(`profit factor ${stats.profit_factor.toFixed(2)} < ${guards.minProfitFactor}`);
+  }
+  if (guards.maxDrawdownEth > 0 && stats.max_drawdown_eth > guards.maxDrawdownEth) {
+    breaches.push(`drawdown ${stats.max_drawdown_eth.toFixed(6)} ETH > ${guards.maxDrawdownEth}`);
+  }
+  if (guards.maxLossEth > 0 && -stats.realized_pnl_eth > guards.maxLossEth) {
+    breaches.push(`realized loss ${(-stats.realized_pnl_eth).toFixed(6)} ETH > ${guards.maxLossEth}`);
+  }
+  if (breaches.length > 0) disablePolicyEntries(policy.id, `guard: ${breaches.join(", ")} over ${stats.closed_trades} trades`);
+}
+
+function validatePolicyGuards(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) return ["must be an object"];
+  const errors = [];
+  for (const [key, value] of Object.entries(spec)) {
+    if (!(key in DEFAULT_CONFIG.policyGuards)) errors.push(`unknown key "${key}"`);
+    else if (typeof value !== "number" || !(value >= 0)) errors.push(`${key} must be a number >= 0`);
+  }
+  return errors;
+}
+
+function recordPolicyFailure(policyId, kind, message) {
+  const health = getPolicyHealth(policyId);
+  if (kind === "timeout") health.timeouts++;
+  else health.errors++;
+  health.consecutive_failures++;
+  health.last_error = message;
+  health.last_error_at = now();
+
+  const maxFailures = config.policyMaxFailures || DEFAULT_CONFIG.policyMaxFailures;
+  if (health.consecutive_failures >= maxFailures) {
+    disablePolicy(policyId, `${health.consecutive_failures} consecutive failures (last: ${message})`);
+  }
+}
+
 function compileFunc(key, code) {
   if (compiledFuncs[key]) return compiledFuncs[key];
   try {
@@ -546,7 +2276,10 @@ function compileFunc(key, code) {
     //   false / 0        → no action
     //   true / 100       → full action (100%)
     //   number 1-99      → partial action at that percentage
-    const fn = new Function("ctx", code);
+    //   { percent, ... } → a decision object (see parsePolicyDecision)
+    // compileFunction parses `code` strictly as a function body inside the sandbox realm.
+    const fn = vm.compileFunction(code, ["ctx"], { parsingContext: policySandbox, filename: key });
+    sandboxFns[key] = fn;
     compiledFuncs[key] = fn;
     return fn;
   } catch (err) {
@@ -556,8 +2289,201 @@ function compileFunc(key, code) {
 }
 
 /**
- * Build the context object passed to entryFunc / exitFunc.
- *
+ * Run a compiled policy function in the sandbox with a CPU timeout.
+ * Returns { ok: true, result } or { ok: false, error }; failures count towards
+ * auto-disabling the policy.
+ */
+function runPolicyFunc(policyId, key, pairAddress, ctxJson) {
+  const health = getPolicyHealth(policyId);
+  health.calls++;
+
+  let output;
+  try {
+    policySandbox.__callKey = key;
+    policySandbox.__callPair = pairAddress;
+    policySandbox.__callCtx = ctxJson;
+    output = JSON.parse(policyCallScript.runInContext(policySandbox, {
+      timeout: config.policyTimeoutMs || DEFAULT_CONFIG.policyTimeoutMs,
+    }));
+  } catch (err) {
+    // __call catches everything the policy throws, so only vm errors (timeouts) land here
+    const isTimeout = !!err && err.code === "ERR_SCRIPT_EXECUTION_TIMEOUT";
+    const message = isTimeout ? `timed out after ${config.policyTimeoutMs || DEFAULT_CONFIG.policyTimeoutMs}ms` : `sandbox error: ${err && err.message}`;
+    recordPolicyFailure(policyId, isTimeout ? "timeout" : "error", message);
+    return { ok: false, error: message };
+  }
+
+  for (const line of output.logs || []) {
+    log(`[POLICY:${policyId}] ${line}`);
+  }
+
+  if (output.error !== undefined) {
+    recordPolicyFailure(policyId, "error", output.error);
+    return { ok: false, error: output.error };
+  }
+
+  health.consecutive_failures = 0;
+  return { ok: true, result: output.result };
+}
+
+function getPolicyStatus() {
+  return config.policies.map((p) => {
+    const stats = computePolicyStats(p.id);
+    return {
+      id: p.id,
+      version: policyVersion(p),
+      has_entry: !!p.entryFunc,
+      has_exit: !!p.exitFunc,
+      ...getPolicyHealth(p.id),
+      stats: {
+        open_trades: stats.open_trades,
+        closed_trades: stats.closed_trades,
+        win_rate_pct: stats.win_rate_pct,
+        profit_factor: stats.profit_factor,
+        expectancy_eth: stats.expectancy_eth,
+        realized_pnl_eth: stats.realized_pnl_eth,
+        unrealized_pnl_eth: stats.unrealized_pnl_eth,
+        max_drawdown_eth: stats.max_drawdown_eth,
+      },
+    };
+  });
+}
+
+// ── Policy hot-reload ──
+
+/**
+ * Content hash of a policy's code — recorded on every trade as policy_version.
+ */
+function policyVersion(policy) {
+  if (!policy) return null;
+  return crypto.createHash("sha256")
+    .update(`${policy.entryFunc || ""}\n${policy.exitFunc || ""}`)
+    .digest("hex")
+    .slice(0, 12);
+}
+
+/**
+ * Validate a replacement policy list by compiling every function in the sandbox.
+ * Returns a list of error strings (empty when valid).
+ */
+function validatePolicies(policies) {
+  if (!Array.isArray(policies)) return ["policies must be an array"];
+
+  const errors = [];
+  const seen = new Set();
+  for (const [i, policy] of policies.entries()) {
+    if (!policy || typeof policy !== "object") {
+      errors.push(`policies[${i}] must be an object`);
+      continue;
+    }
+    if (policy.id === undefined || policy.id === null || policy.id === "") {
+      errors.push(`policies[${i}] is missing an id`);
+      continue;
+    }
+    if (seen.has(String(policy.id))) errors.push(`duplicate policy id "${policy.id}"`);
+    seen.add(String(policy.id));
+
+    for (const field of ["entryFunc", "exitFunc"]) {
+      if (policy[field] === undefined || policy[field] === null) continue;
+      if (typeof policy[field] !== "string") {
+        errors.push(`policy "${policy.id}" ${field} must be a string`);
+        continue;
+      }
+      try {
+        vm.compileFunction(policy[field], ["ctx"], { parsingContext: policySandbox });
+      } catch (err) {
+        errors.push(`policy "${policy.id}" ${field}: ${err.message}`);
+      }
+    }
+
+    if (policy.protection !== undefined && policy.protection !== null) {
+      for (const err of validateProtection(policy.protection)) {
+        errors.push(`policy "${policy.id}" protection: ${err}`);
+      }
+    }
+    if (policy.submission !== undefined && policy.submission !== null) {
+      for (const err of validateSubmission(policy.submission)) {
+        errors.push(`policy "${policy.id}" submission: ${err}`);
+      }
+    }
+    if (policy.guards !== undefined && policy.guards !== null) {
+      for (const err of validatePolicyGuards(policy.guards)) {
+        errors.push(`policy "${policy.id}" guards: ${err}`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Drop a policy's compiled functions and give its new code a clean sandbox
+ * record. Entry stops and the guard baseline are kept.
+ */
+function invalidatePolicy(policyId) {
+  for (const key of [`entry:${policyId}`, `exit:${policyId}`]) {
+    delete compiledFuncs[key];
+    delete sandboxFns[key];
+  }
+  const health = policyHealth[policyId];
+  if (!health) return;
+  if (health.disabled) log(`[POLICY] Policy "${policyId}" re-enabled by the update (was disabled: ${health.disabled_reason})`);
+  if (health.entries_disabled) log(`[POLICY] Policy "${policyId}" entries stay disabled after the update: ${health.entries_disabled_reason}`);
+  Object.assign(health, {
+    calls: 0,
+    errors: 0,
+    timeouts: 0,
+    consecutive_failures: 0,
+    disabled: false,
+    disabled_reason: null,
+    disabled_at: null,
+    last_error: null,
+    last_error_at: null,
+  });
+}
+
+/**
+ * Atomically replace config.policies with an already-validated list. Only the
+ * compiled functions and health of added/changed/removed policies are reset;
+ * open trades keep their policy_id. Returns the ids per change type.
+ */
+function applyPolicies(newPolicies) {
+  const oldById = new Map(config.policies.map((p) => [String(p.id), p]));
+  const newIds = new Set(newPolicies.map((p) => String(p.id)));
+  const changes = { added: [], updated: [], removed: [], unchanged: [] };
+
+  for (const policy of newPolicies) {
+    const old = oldById.get(String(policy.id));
+    if (!old) {
+      changes.added.push(policy.id);
+    } else if (policyVersion(old) !== policyVersion(policy)) {
+      changes.updated.push(policy.id);
+    } else {
+      changes.unchanged.push(policy.id);
+    }
+  }
+  for (const old of config.policies) {
+    if (!newIds.has(String(old.id))) changes.removed.push(old.id);
+  }
+
+  for (const id of [...changes.added, ...changes.updated, ...changes.removed]) {
+    invalidatePolicy(id);
+  }
+
+  config.policies = newPolicies;
+
+  for (const id of changes.removed) {
+    const open = Object.values(activeTrades).filter((t) => String(t.policy_id) === String(id)).length;
+    if (open > 0) {
+      log(`[POLICY] Removed policy "${id}" still has ${open} open trade(s); they remain open and are exited by the remaining policies or manually`);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Build the context object passed to entryFunc / exitFunc.
+ *
  * ctx = {
  *   event      — latest raw market data event
  *   group      — current aggregated group (OHLCV)
@@ -565,7 +2491,13 @@ function compileFunc(key, code) {
  *   pair       — pair-level metadata (symbol, liquidity, etc.)
  *   trade      — active trade data (null for entry evaluation)
  *   customData — persistent object per pair, writable by the function
+ *   globalData — persistent object shared by all pairs, writable by the function
+ *   helpers    — small numeric helper library (sum, avg, stdev, pctChange, ...)
+ *   ta         — cached technical indicators over groups (sma, ema, rsi, macd, ...)
  * }
+ *
+ * customData, globalData, helpers and ta live in the policy sandbox and are attached
+ * there; this returns the plain, JSON-serializable part of ctx.
  */
 function buildContext(pairAddress, groupKey, activeTrade, rawEvent) {
   const pairData = computedPairData[pairAddress];
@@ -574,11 +2506,6 @@ function buildContext(pairAddress, groupKey, activeTrade, rawEvent) {
   const groups = Object.values(pairData.groups);
   const currentGroup = pairData.groups[groupKey] || groups[groups.length - 1] || {};
 
-  // Ensure persistent customData exists for this pair
-  if (!pairCustomData[pairAddress]) {
-    pairCustomData[pairAddress] = {};
-  }
-
   return {
     // Latest raw event data
     event: rawEvent || {
@@ -623,6 +2550,7 @@ function buildContext(pairAddress, groupKey, activeTrade, rawEvent) {
       fee: pairData.fee,
       fork: pairData.fork,
       chain: pairData.chain,
+      safety: safetyForContext(pairData.tokenAddress),
     },
 
     // Active trade (null when evaluating entries)
@@ -637,7 +2565,11 @@ function buildContext(pairAddress, groupKey, activeTrade, rawEvent) {
       min_price_since_entry: activeTrade.min_price_since_entry,
       max_price_since_entry: activeTrade.max_price_since_entry,
       opened_at: activeTrade.opened_at,
-      age_ms: Date.now() - (activeTrade.opened_at || Date.now()),
+      age_ms: now() - (activeTrade.opened_at || now()),
+      adds: tradeAdds(activeTrade),
+      last_buy_at: activeTrade.last_buy_at || activeTrade.opened_at,
+      lots: tradeLots(activeTrade).map((lot) => ({ price: lot.price, eth_spent: lot.eth_spent, tokens_bought: lot.tokens_bought, bought_at: lot.bought_at })),
+      entry_decision: activeTrade.entry_decision || null,
     } : null,
 
     // USD prices for base assets (updated periodically from server)
@@ -645,12 +2577,6 @@ function buildContext(pairAddress, groupKey, activeTrade, rawEvent) {
 
     // Current gas price
     gas: { price_gwei: gasPriceGwei },
-
-    // Persistent per-pair custom data — write anything here, it survives across events
-    customData: pairCustomData[pairAddress],
-
-    // Global shared data across all pairs — use for market regime, portfolio tracking, cross-pair signals
-    globalData,
   };
 }
 
@@ -662,27 +2588,78 @@ function evaluateEntries(pairAddress, groupKey) {
   // Already have a trade on this pair
   if (activeTrades[pairAddress]) return;
 
+  const ctx = buildContext(pairAddress, groupKey, null);
+  if (!ctx) return;
+  const ctxJson = JSON.stringify(ctx);
+
   for (const policy of config.policies) {
     if (!policy.entryFunc) continue;
+    const health = getPolicyHealth(policy.id);
+    if (health.disabled || health.entries_disabled) continue;
+
+    const key = `entry:${policy.id}`;
+    const fn = compileFunc(key, policy.entryFunc);
+    if (!fn) {
+      disablePolicy(policy.id, "entryFunc failed to compile");
+      continue;
+    }
 
-    const fn = compileFunc(`entry:${policy.id}`, policy.entryFunc);
-    if (!fn) continue;
+    const { ok, result, error } = runPolicyFunc(policy.id, key, pairAddress, ctxJson);
+    if (!ok) {
+      log(`[POLICY] entryFunc error for "${policy.id}" on ${pairData.symbol || pairAddress}: ${error}`);
+      continue;
+    }
 
-    const ctx = buildContext(pairAddress, groupKey, null);
-    if (!ctx) continue;
+    const action = parseEntryAction(result);
+    if (action) {
+      logDecisionErrors(policy.id, "entryFunc", pairData, action.errors);
+      log(`[ENTRY] Policy "${policy.id}" triggered for ${pairData.symbol || pairAddress} (action=${action.percent}${describeDecision(action.decision)})`);
+      recordDecision("entry", policy.id, pairAddress, pairData, action.percent);
+      executeBuy(pairAddress, pairData, policy, action.percent, { decision: action.decision });
+      return; // One buy per evaluation cycle
+    }
+  }
+}
 
-    try {
-      const result = fn(ctx);
-      const actionValue = result === true ? 100 : (typeof result === "number" ? Math.min(Math.max(result, 0), 100) : 0);
+/**
+ * Give the owning policy's entryFunc a chance to add to an open trade. ctx.trade
+ * is set (with adds / lots), so entryFunc can tell a scale-in from a fresh entry.
+ * Policy-signalled adds are capped by maxAdds.
+ */
+function evaluateScaleIn(pairAddress, groupKey) {
+  if (paused) return;
+  const trade = activeTrades[pairAddress];
+  const pairData = computedPairData[pairAddress];
+  if (!trade || !pairData) return;
+
+  const policy = findPolicy(trade.policy_id);
+  if (!policy || !policy.entryFunc) return;
+  const health = getPolicyHealth(policy.id);
+  if (health.disabled || health.entries_disabled) return;
+  if (tradeAdds(trade) >= resolveMaxAdds(policy.id)) return;
+
+  const key = `entry:${policy.id}`;
+  const fn = compileFunc(key, policy.entryFunc);
+  if (!fn) {
+    disablePolicy(policy.id, "entryFunc failed to compile");
+    return;
+  }
 
-      if (actionValue > 0) {
-        log(`[ENTRY] Policy "${policy.id}" triggered for ${pairData.symbol || pairAddress} (action=${actionValue})`);
-        executeBuy(pairAddress, pairData, policy, actionValue);
-        return; // One buy per evaluation cycle
-      }
-    } catch (err) {
-      log(`[POLICY] entryFunc error for "${policy.id}" on ${pairData.symbol || pairAddress}: ${err.message}`);
-    }
+  const ctx = buildContext(pairAddress, groupKey, trade);
+  if (!ctx) return;
+
+  const { ok, result, error } = runPolicyFunc(policy.id, key, pairAddress, JSON.stringify(ctx));
+  if (!ok) {
+    log(`[POLICY] entryFunc error for "${policy.id}" on ${pairData.symbol || pairAddress}: ${error}`);
+    return;
+  }
+
+  const action = parseEntryAction(result);
+  if (action) {
+    logDecisionErrors(policy.id, "entryFunc", pairData, action.errors);
+    log(`[SCALE-IN] Policy "${policy.id}" triggered add #${tradeAdds(trade) + 1} for ${pairData.symbol || pairAddress} (action=${action.percent}${describeDecision(action.decision)})`);
+    recordDecision("scale_in", policy.id, pairAddress, pairData, action.percent);
+    executeBuy(pairAddress, pairData, policy, action.percent, { decision: action.decision });
   }
 }
 
@@ -697,31 +2674,157 @@ function evaluateExits(pairAddress, groupKey) {
   // Update active trade metrics
   updateActiveTradeData(trade, pairData);
 
+  // Protective orders take precedence over policy exits
+  if (enforceProtection(pairAddress, trade)) return;
+
+  const ctx = buildContext(pairAddress, groupKey, trade);
+  if (!ctx) return;
+  const ctxJson = JSON.stringify(ctx);
+
   for (const policy of config.policies) {
     if (!policy.exitFunc) continue;
+    if (getPolicyHealth(policy.id).disabled) continue;
 
-    const fn = compileFunc(`exit:${policy.id}`, policy.exitFunc);
-    if (!fn) continue;
+    const key = `exit:${policy.id}`;
+    const fn = compileFunc(key, policy.exitFunc);
+    if (!fn) {
+      disablePolicy(policy.id, "exitFunc failed to compile");
+      continue;
+    }
 
-    const ctx = buildContext(pairAddress, groupKey, trade);
-    if (!ctx) continue;
+    const { ok, result, error } = runPolicyFunc(policy.id, key, pairAddress, ctxJson);
+    if (!ok) {
+      log(`[POLICY] exitFunc error for "${policy.id}" on ${pairData.symbol || pairAddress}: ${error}`);
+      continue;
+    }
 
-    try {
-      const result = fn(ctx);
-      const actionValue = result === true ? 100 : (typeof result === "number" ? Math.min(Math.max(result, 0), 100) : 0);
+    const action = parseExitAction(result, trade);
+    if (action) {
+      logDecisionErrors(policy.id, "exitFunc", pairData, action.errors);
+      log(`[EXIT] Policy "${policy.id}" triggered for ${pairData.symbol || pairAddress} (${action.sellEth !== undefined ? `sell ${action.sellEth.toFixed(6)} ETH` : `action=${action.percent}`}${describeDecision(action.decision)})`);
+      recordDecision("exit", policy.id, pairAddress, pairData, action.percent ?? null);
+      executeSell(pairAddress, trade, action.percent ?? 100, { reason: action.reason, sellEth: action.sellEth ?? null, decision: action.decision });
+      return;
+    }
+  }
+}
 
-      if (actionValue > 0) {
-        log(`[EXIT] Policy "${policy.id}" triggered for ${pairData.symbol || pairAddress} (action=${actionValue})`);
-        executeSell(pairAddress, trade, actionValue);
-        return;
+// entryFunc / exitFunc return true, a 0-100 percent, or a decision object:
+// { percent, reason, confidence, slippage, protection, tags } (exits may give
+// sellEth / recoverInitial instead of percent). Everything but the size is
+// optional and is carried to the swap, the trade and the trade log.
+const DECISION_REASON_MAX = 200;
+const DECISION_TAGS_MAX = 10;
+const DECISION_TAG_MAX = 40;
+
+/**
+ * Validate the optional fields of a decision object. Returns { decision, errors }:
+ * the stored form ({ reason, confidence, slippage_pct, protection, tags }, null
+ * when none is set) and one error per field that was dropped.
+ */
+function parsePolicyDecision(result) {
+  const decision = {};
+  const errors = [];
+  if (result.reason !== undefined && result.reason !== null) {
+    if (typeof result.reason === "string" && result.reason.trim()) decision.reason = result.reason.trim().slice(0, DECISION_REASON_MAX);
+    else errors.push("reason must be a non-empty string");
+  }
+  if (result.confidence !== undefined && result.confidence !== null) {
+    if (typeof result.confidence === "number" && result.confidence >= 0 && result.confidence <= 1) decision.confidence = result.confidence;
+    else errors.push("confidence must be a number from 0 to 1");
+  }
+  if (result.slippage !== undefined && result.slippage !== null) {
+    if (typeof result.slippage === "number" && result.slippage >= 0 && result.slippage <= 100) decision.slippage_pct = result.slippage;
+    else errors.push("slippage must be a number from 0 to 100");
+  }
+  if (result.protection !== undefined && result.protection !== null) {
+    const protectionErrors = validateProtection(result.protection);
+    if (protectionErrors.length === 0) {
+      decision.protection = {};
+      for (const key of PROTECTION_ORDER_KEYS) {
+        if (result.protection[key] !== undefined) decision.protection[key] = result.protection[key];
       }
-    } catch (err) {
-      log(`[POLICY] exitFunc error for "${policy.id}" on ${pairData.symbol || pairAddress}: ${err.message}`);
+    } else {
+      errors.push(...protectionErrors.map((e) => `protection: ${e}`));
     }
   }
+  if (result.tags !== undefined && result.tags !== null) {
+    if (Array.isArray(result.tags) && result.tags.every((tag) => typeof tag === "string")) {
+      const tags = [...new Set(result.tags.map((tag) => tag.trim().slice(0, DECISION_TAG_MAX)).filter(Boolean))];
+      if (tags.length > 0) decision.tags = tags.slice(0, DECISION_TAGS_MAX);
+    } else {
+      errors.push("tags must be an array of strings");
+    }
+  }
+  return { decision: Object.keys(decision).length > 0 ? decision : null, errors };
+}
+
+function clampPercent(value) {
+  return Math.min(Math.max(value, 0), 100);
+}
+
+/**
+ * Turn an entryFunc result into a buy size: true is 100, a number or a decision
+ * object's `percent` is the percent of maxEthPerTradeValue. Returns
+ * { percent, decision, errors }, or null for no action.
+ */
+function parseEntryAction(result) {
+  if (result === true) return { percent: 100, decision: null, errors: [] };
+  if (typeof result === "number") {
+    const percent = clampPercent(result);
+    return percent > 0 ? { percent, decision: null, errors: [] } : null;
+  }
+  if (!result || typeof result !== "object" || Array.isArray(result)) return null;
+
+  const percent = typeof result.percent === "number" ? clampPercent(result.percent) : 0;
+  return percent > 0 ? { percent, ...parsePolicyDecision(result) } : null;
+}
+
+/**
+ * Turn an exitFunc result into a sell: true or 0-100 sells that percent of the
+ * balance, { sellEth } sells just enough to receive that much ETH, and
+ * { recoverInitial: true } sells enough to take back the trade's cost (ETH spent
+ * plus gas, less ETH already received), once per trade. A decision object may
+ * give { percent } instead. Returns { percent } or { sellEth, reason? } with the
+ * decision and errors of parsePolicyDecision, or null for no action.
+ */
+function parseExitAction(result, trade) {
+  if (result === true) return { percent: 100, decision: null, errors: [] };
+  if (typeof result === "number") {
+    const percent = clampPercent(result);
+    return percent > 0 ? { percent, decision: null, errors: [] } : null;
+  }
+  if (!result || typeof result !== "object" || Array.isArray(result)) return null;
+
+  let action = null;
+  if (result.recoverInitial) {
+    if ((trade.sells || []).some((sell) => sell.reason === "recover_initial")) return null;
+    const costLeft = -realizedPnlEth(trade);
+    action = costLeft > 0 ? { sellEth: costLeft, reason: "recover_initial" } : null;
+  } else if (result.sellEth !== undefined) {
+    const sellEth = parseFloat(result.sellEth);
+    action = sellEth > 0 ? { sellEth } : null;
+  } else if (typeof result.percent === "number" && clampPercent(result.percent) > 0) {
+    action = { percent: clampPercent(result.percent) };
+  }
+  return action ? { ...action, ...parsePolicyDecision(result) } : null;
+}
+
+function describeDecision(decision) {
+  if (!decision) return "";
+  const parts = [];
+  if (decision.reason) parts.push(`reason: ${decision.reason}`);
+  if (decision.confidence !== undefined) parts.push(`confidence ${decision.confidence}`);
+  if (decision.tags) parts.push(`tags ${decision.tags.join(",")}`);
+  return parts.length > 0 ? `, ${parts.join(", ")}` : "";
+}
+
+function logDecisionErrors(policyId, funcName, pairData, errors) {
+  if (errors.length === 0) return;
+  log(`[POLICY] ${funcName} of "${policyId}" on ${pairData.symbol || pairData.pairAddress}: ignored ${errors.join("; ")}`);
 }
 
-function updateActiveTradeData(trade, pairData) {
+function updateActiveTradeData(trade, pairData, { trackExtremes = true } = {}) {
   if (!pairData || !pairData.last_price) return;
 
   const currentPrice = pairData.last_price;
@@ -734,16 +2837,19 @@ function updateActiveTradeData(trade, pairData) {
   trade.current_price = currentPrice;
 
   // Track min/max since entry
-  if (!trade.min_price_since_entry || currentPrice < trade.min_price_since_entry) {
+  if (trackExtremes && (!trade.min_price_since_entry || currentPrice < trade.min_price_since_entry)) {
     trade.min_price_since_entry = currentPrice;
   }
-  if (!trade.max_price_since_entry || currentPrice > trade.max_price_since_entry) {
+  if (trackExtremes && (!trade.max_price_since_entry || currentPrice > trade.max_price_since_entry)) {
     trade.max_price_since_entry = currentPrice;
   }
 
-  // Estimate current ETH value (remaining tokens only, not tokens already sold)
+  // Estimate current value (remaining tokens only, not tokens already sold). Prices are in
+  // base-token units; ZORA/CLANKER values are converted to ETH at the current USD rates.
   if (trade.tokens_in_possession && currentPrice > 0) {
-    trade.current_eth_value = trade.tokens_in_possession * currentPrice;
+    trade.current_base_value = trade.tokens_in_possession * currentPrice;
+    const ethRate = baseEthRate(trade.baseToken) ?? trade.base_eth_rate_at_entry ?? 1;
+    trade.current_eth_value = trade.current_base_value * ethRate;
   }
 }
 
@@ -754,6 +2860,9 @@ function updateActiveTradeData(trade, pairData) {
  * Called on startup (after loading saved trades) and periodically.
  */
 async function checkTradeBalances() {
+  // Simulated positions hold no on-chain tokens; their balances are tracked in-process
+  if (DRY_RUN) return;
+
   const pairs = Object.keys(activeTrades);
   if (pairs.length === 0) return;
 
@@ -772,20 +2881,18 @@ async function checkTradeBalances() {
 
     try {
       const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-      const balance = await tokenContract.balanceOf(wallet.address);
+      const balance = await readBalance(tokenAddress);
 
       if (balance === 0n) {
-        const ageMs = Date.now() - (trade.opened_at || 0);
+        const ageMs = now() - (trade.opened_at || 0);
         if (ageMs < 10 * 60 * 1000) {
           log(`[BALANCE] ${trade.symbol || pairAddress}: balance is 0 but trade is only ${Math.round(ageMs/1000)}s old, skipping archive`);
           continue;
         }
         log(`[BALANCE] ${trade.symbol || pairAddress}: balance is 0, archiving trade`);
-        const pnlEth = (trade.eth_sold || 0) - (trade.eth_spent || 0);
+        const pnlEth = realizedPnlEth(trade);
         const pnlPct = trade.eth_spent > 0 ? (pnlEth / trade.eth_spent) * 100 : 0;
-        inactiveTrades.push({ ...trade, exit_price: trade.current_price || 0, closed_at: Date.now(), realized_pnl_eth: pnlEth, realized_pnl_pct: pnlPct, close_reason: "zero_balance" });
-        delete activeTrades[pairAddress];
-        changed = true;
+        closeTrade(pairAddress, { ...trade, exit_price: trade.current_price || 0, closed_at: now(), realized_pnl_eth: pnlEth, realized_pnl_pct: pnlPct, close_reason: "zero_balance" });
       } else {
         let tokenDecimals = 18;
         try {
@@ -840,263 +2947,670 @@ async function getGasConfig() {
   }
 }
 
-async function sendTransactionWithRetry(txFn, maxRetries = 3) {
-  let attempts = 0;
-  let lastError;
-  let currentNonce = await wallet.getNonce();
+// ── Transaction manager ──
+
+// Every transaction goes through one in-process queue so concurrent buys and
+// sells never race for a nonce. Jobs are broadcast one at a time in priority
+// order, at most tx.maxPending unconfirmed at once. Confirmations are tracked
+// concurrently, and stuck transactions are re-sent with the same nonce and
+// bumped fees, or cancelled with a 0-value self-transfer at that nonce.
+const TX_PRIORITY = { emergency: 0, sell: 1, treasury: 2, buy: 3 };
+// Exits that jump ahead of ordinary sells
+const EMERGENCY_EXIT_REASONS = new Set(["stop_loss", "trailing_stop", "manual"]);
+const TX_RECENT_LIMIT = 50;
+
+const txManager = {
+  nextNonce: null,      // next nonce to assign; null = resync from the node before the next send
+  queue: [],            // jobs waiting to be broadcast
+  pending: new Map(),   // nonce -> broadcast, unconfirmed entry
+  recent: [],           // finished transactions, newest last
+  seq: 0,
+  pumping: false,
+};
 
-  while (attempts < maxRetries) {
-    try {
-      attempts++;
-      log(`[TX] Attempt ${attempts} with nonce ${currentNonce}`);
-      const txResponse = await txFn(currentNonce);
-      log(`[TX] Sent, waiting for confirmation...`);
-      const receipt = await txResponse.wait();
-      log(`[TX] Confirmed: ${receipt.hash}`);
-      return receipt;
-    } catch (error) {
-      lastError = error;
-      log(`[TX] Attempt ${attempts} failed: ${error.message}`);
-
-      if (error.code === "NONCE_EXPIRED" || (error.message && error.message.includes("nonce too low"))) {
-        log("[TX] Nonce issue, fetching latest nonce...");
-        currentNonce = await wallet.getNonce("latest");
-      } else if (error.code === "NETWORK_ERROR") {
-        log("[TX] Network error, retrying...");
-        await new Promise((r) => setTimeout(r, 250));
-      } else {
-        log("[TX] Non-recoverable error, not retrying.");
-        break;
-      }
-    }
-  }
+function txSettings() {
+  return { ...DEFAULT_CONFIG.tx, ...(config.tx || {}) };
+}
 
-  throw lastError;
+function isNonceError(error) {
+  const msg = (error && error.message) || "";
+  return error.code === "NONCE_EXPIRED" || error.code === "REPLACEMENT_UNDERPRICED" ||
+    msg.includes("nonce too low") || msg.includes("replacement transaction underpriced");
 }
 
-async function approveToken(tokenAddress, spender, amount) {
-  const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+// ── Submission strategies ──
 
-  let currentAllowance = 0n;
-  for (let i = 0; i < 3; i++) {
-    try {
-      currentAllowance = await tokenContract.allowance(wallet.address, spender);
-      break;
-    } catch (error) {
-      log(`[APPROVE] Allowance check attempt ${i + 1} failed: ${error.message}`);
-      if (i === 2) currentAllowance = 0n;
-      else await new Promise((r) => setTimeout(r, 1000));
-    }
-  }
+const SUBMISSION_MODES = ["public", "private", "both"];
 
-  const amountBig = BigInt(amount.toString());
-  if (currentAllowance >= amountBig) {
-    return;
-  }
+function submissionSettings() {
+  return { ...DEFAULT_CONFIG.submission, ...(config.submission || {}) };
+}
 
-  log(`[APPROVE] Approving ${spender} for ${tokenAddress}...`);
-  const receipt = await sendTransactionWithRetry(async (nonce) => {
-    const gasConfig = await getGasConfig();
-    return tokenContract.approve(spender, ethers.MaxUint256, {
-      nonce,
-      maxFeePerGas: gasConfig.maxFeePerGas,
-      maxPriorityFeePerGas: gasConfig.maxPriorityFeePerGas,
-      value: 0,
-    });
-  });
+/**
+ * Submission mode for a policy's buy or sell: the policy's `submission` (a mode
+ * or { buy, sell }), then submission.actions[action], then submission.mode.
+ */
+function resolveSubmission(policyId, action) {
+  const settings = submissionSettings();
+  const policy = findPolicy(policyId);
+  const own = policy && policy.submission;
+  const policyMode = typeof own === "string" ? own : own && own[action];
+  const mode = policyMode || (settings.actions || {})[action] || settings.mode;
+  return SUBMISSION_MODES.includes(mode) ? mode : "public";
+}
 
-  log(`[APPROVE] Confirmed: ${receipt.hash}`);
+function validateSubmission(spec) {
+  if (typeof spec === "string") return SUBMISSION_MODES.includes(spec) ? [] : [`must be one of ${SUBMISSION_MODES.join(", ")}`];
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) return ["must be a mode string or { buy, sell }"];
+  const errors = [];
+  for (const [action, mode] of Object.entries(spec)) {
+    if (action !== "buy" && action !== "sell") errors.push(`unknown action "${action}"`);
+    else if (!SUBMISSION_MODES.includes(mode)) errors.push(`${action} must be one of ${SUBMISSION_MODES.join(", ")}`);
+  }
+  return errors;
 }
 
-async function approvePermit2ToRouter(tokenAddress, amount) {
-  const permit2Contract = new ethers.Contract(CONTRACTS.permit2, PERMIT2_ABI, wallet);
+async function relayRequest(settings, params) {
+  const req = new ethers.FetchRequest(settings.relayUrl);
+  for (const [name, value] of Object.entries(settings.relayHeaders || {})) req.setHeader(name, value);
+  req.body = { jsonrpc: "2.0", id: 1, method: settings.relayMethod, params };
+  req.timeout = rpcSettings().timeoutMs;
 
-  let allowanceData = { amount: 0n, expiration: 0 };
-  for (let i = 0; i < 3; i++) {
-    try {
-      allowanceData = await permit2Contract.allowance(
-        wallet.address,
-        tokenAddress,
-        CONTRACTS.universalRouterV4
-      );
-      break;
-    } catch (error) {
-      log(`[PERMIT2] Check attempt ${i + 1} failed: ${error.message}`);
-      if (i < 2) await new Promise((r) => setTimeout(r, 1000));
-    }
+  let json;
+  try {
+    const response = await req.send();
+    response.assertOk();
+    json = response.bodyJson;
+  } catch (error) {
+    throw new Error(`relay ${redactRpcUrl(settings.relayUrl)}: ${error.shortMessage || error.message}`);
   }
+  if (json.error) throw new Error(`relay ${redactRpcUrl(settings.relayUrl)}: ${json.error.message || JSON.stringify(json.error)}`);
+}
 
-  const currentAmount = BigInt(allowanceData.amount.toString());
-  const requiredAmount = BigInt(amount.toString());
-  const currentTime = Math.floor(Date.now() / 1000);
-  const expiration = Number(allowanceData.expiration);
-
-  if (currentAmount >= requiredAmount && expiration > currentTime) {
-    return;
+/**
+ * Send a signed transaction to the private relay. Resolves with its hash and gas
+ * limit; relay errors are plain errors (not retried as RPC failures). A bundle
+ * relay gets one bundle per block for the next bundleBlocks blocks, and
+ * `bundle_until` is the last block targeted (null for eth_sendRawTransaction).
+ */
+async function sendToRelay(signedTx) {
+  const settings = submissionSettings();
+  if (!settings.relayUrl) throw new Error("submission.relayUrl is not configured");
+
+  let bundleUntil = null;
+  if (settings.relayMethod === "eth_sendBundle") {
+    const next = (await provider.getBlockNumber()) + 1;
+    const blocks = Array.from({ length: settings.bundleBlocks }, (_, i) => next + i);
+    const results = await Promise.allSettled(blocks.map((block) => relayRequest(settings, [{ txs: [signedTx], blockNumber: ethers.toQuantity(block) }])));
+    // Enough that one target block was accepted
+    if (results.every((r) => r.status === "rejected")) throw results[0].reason;
+    bundleUntil = blocks[blocks.length - 1];
+  } else {
+    await relayRequest(settings, [signedTx]);
   }
 
-  log("[PERMIT2] Approving Permit2 -> Universal Router...");
-  const maxUint160 = BigInt("0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF");
-  const futureExpiration = currentTime + 30 * 24 * 60 * 60; // 30 days
+  const tx = ethers.Transaction.from(signedTx);
+  return { hash: tx.hash, gasLimit: tx.gasLimit, bundle_until: bundleUntil };
+}
 
-  const receipt = await sendTransactionWithRetry(async (nonce) => {
-    const gasConfig = await getGasConfig();
-    return permit2Contract.approve(
-      tokenAddress,
-      CONTRACTS.universalRouterV4,
-      maxUint160,
-      futureExpiration,
-      {
-        nonce,
-        maxFeePerGas: gasConfig.maxFeePerGas,
-        maxPriorityFeePerGas: gasConfig.maxPriorityFeePerGas,
-        value: 0,
-      }
-    );
-  });
+/**
+ * Sign and submit `tx` by `mode`. Returns { hash, gasLimit, route, signed } where
+ * route is "public", "private" or "public_fallback" (relay refused under "both").
+ */
+async function submitTransaction(tx, mode = "public") {
+  if (mode === "public") {
+    const response = await signAndBroadcast(tx);
+    return { hash: response.hash, gasLimit: response.gasLimit, route: "public", signed: null };
+  }
 
-  log(`[PERMIT2] Confirmed: ${receipt.hash}`);
+  const signed = await wallet.signTransaction(await wallet.populateTransaction(tx));
+  try {
+    return { ...(await sendToRelay(signed)), route: "private", signed };
+  } catch (error) {
+    if (mode !== "both") throw error;
+    log(`[TX] ${error.message}, broadcasting publicly`);
+    const response = await broadcastSignedTx(signed);
+    return { hash: response.hash, gasLimit: response.gasLimit, route: "public_fallback", signed };
+  }
 }
 
-function detectBaseToken(token0, token1) {
-  const t0 = token0.toLowerCase();
-  const t1 = token1.toLowerCase();
-  if (t0 === ZORA_BASE || t1 === ZORA_BASE) return ZORA_BASE;
-  if (t0 === CLANKER_BASE || t1 === CLANKER_BASE) return CLANKER_BASE;
-  return WETH_BASE;
+/**
+ * "both": the relay has not landed the transaction in time, send the same
+ * signed transaction to the public mempool.
+ */
+async function fallbackToPublic(entry) {
+  entry.route = "public_fallback";
+  try {
+    await broadcastSignedTx(entry.signed);
+    log(`[TX] ${entry.job.label} not included via relay after ${submissionSettings().fallbackAfterSec}s, broadcast publicly`);
+  } catch (error) {
+    // Usually "already known" / "nonce too low": it landed meanwhile
+    log(`[TX] Public fallback for nonce ${entry.nonce} failed: ${error.message}`);
+  }
 }
 
-function formatTokenAmount(amountBig, decimals) {
-  const amount = BigInt(amountBig.toString());
-  const divisor = 10n ** BigInt(decimals);
-  const wholePart = amount / divisor;
-  const fractionalPart = amount % divisor;
-  let fractionalStr = fractionalPart.toString().padStart(decimals, "0").replace(/0+$/, "");
-  if (fractionalStr === "") fractionalStr = "0";
-  return `${wholePart}.${fractionalStr}`;
+/**
+ * A bundle only lands in the blocks it targets: once the chain reaches the last
+ * one, send the same signed transaction for the next bundleBlocks blocks.
+ */
+async function resubmitBundle(entry) {
+  let block;
+  try {
+    block = await provider.getBlockNumber();
+  } catch {
+    return; // retry on next poll
+  }
+  if (block < entry.bundle_until) return;
+  try {
+    const { bundle_until: bundleUntil } = await sendToRelay(entry.signed);
+    entry.bundle_until = bundleUntil;
+    log(`[TX] Bundle for nonce ${entry.nonce} (${entry.job.label}) re-sent for blocks ${block + 1}-${bundleUntil}`);
+  } catch (error) {
+    log(`[TX] Bundle re-send for nonce ${entry.nonce} failed: ${error.message}`);
+  }
 }
 
-async function getPoolTickSpacing(pairAddress) {
-  if (poolContractsCache[pairAddress]) return poolContractsCache[pairAddress];
-  const contract = new ethers.Contract(pairAddress, POOL_ABI, provider);
-  const tickSpacing = await contract.tickSpacing();
-  poolContractsCache[pairAddress] = tickSpacing.toString();
-  return poolContractsCache[pairAddress];
+/**
+ * Record a transaction step of a buy/sell intent in the trade journal.
+ */
+function journalTx(type, job, data) {
+  if (job.intent) journalAppend(type, { intent: job.intent.id, step: job.intent.step, ...data });
 }
 
-// ── Swap routing ──
+/**
+ * Submission details of a finished transaction, for the trade log.
+ */
+function txSubmissionInfo(hash) {
+  const tx = txManager.recent.find((r) => r.hash === hash);
+  return tx ? { mode: tx.submission, route: tx.route, inclusion_ms: tx.inclusion_ms } : null;
+}
+
+/**
+ * Queue a transaction and resolve with its receipt once mined (rejects on revert,
+ * cancellation, timeout or a non-recoverable send error). `buildTx` returns an
+ * unsigned request ({ to, data, value, gasLimit?, deadline? }) and is called at
+ * broadcast time so calldata such as deadlines is fresh; `deadline` (unix seconds,
+ * not sent) is the swap's own deadline, after which it can only revert. Nonce and
+ * fees are assigned here. `priority` is one of
+ * TX_PRIORITY's keys, `submission` one of SUBMISSION_MODES. `intent` ({ id, step })
+ * journals the transaction's hashes under a buy/sell intent.
+ */
+function sendTransactionWithRetry(buildTx, { priority = "buy", label = "tx", maxRetries = 3, submission = "public", intent = null } = {}) {
+  return new Promise((resolve, reject) => {
+    txManager.queue.push({
+      id: ++txManager.seq,
+      buildTx,
+      priority,
+      rank: TX_PRIORITY[priority] ?? TX_PRIORITY.buy,
+      submission,
+      intent,
+      label,
+      maxRetries,
+      attempts: 0,
+      queued_at: Date.now(),
+      resolve,
+      reject,
+    });
+    pumpTxQueue();
+  });
+}
 
-async function performSwap({ tradeData, amountIn, isToken0In, minAmountOut = 0, action = "buy" }) {
+async function pumpTxQueue() {
+  if (txManager.pumping) return;
+  txManager.pumping = true;
   try {
-    if (tradeData.isV2) {
-      return await swapV2({ tradeData, amountIn, isToken0In, minAmountOut, action });
-    } else if (tradeData.isV3) {
-      return await swapV3({ tradeData, amountIn, isToken0In, minAmountOut, action });
-    } else if (tradeData.isV4) {
-      return await swapV4({ tradeData, amountIn, isToken0In, minAmountOut, action });
-    } else {
-      throw new Error("Unsupported pool type");
+    while (txManager.queue.length > 0 && txManager.pending.size < txSettings().maxPending) {
+      txManager.queue.sort((a, b) => a.rank - b.rank || a.id - b.id);
+      await broadcastTxJob(txManager.queue.shift());
     }
-  } catch (e) {
-    return {
-      success: false,
-      message: `${action} failed`,
-      error: e.message || e,
-    };
+  } finally {
+    txManager.pumping = false;
   }
 }
 
-async function swapV2({ tradeData, amountIn, isToken0In, minAmountOut, action }) {
-  const swapper = new ethers.Contract(CONTRACTS.tokenSwapper, TOKEN_SWAPPER_ABI, wallet);
-  const taxValue = Math.round(action === "buy" ? (tradeData.buy_tax || 0) : (tradeData.sell_tax || 0));
-  const swapDirection = action === "sell" ? !isToken0In : isToken0In;
+/**
+ * Next nonce from the node's pending count, never below what is already in flight
+ * (a lagging node may not have seen our latest broadcasts yet).
+ */
+async function resyncNonce() {
+  const nodeNonce = await wallet.getNonce("pending");
+  const inFlight = txManager.pending.size > 0 ? Math.max(...txManager.pending.keys()) + 1 : 0;
+  txManager.nextNonce = Math.max(nodeNonce, inFlight);
+  return txManager.nextNonce;
+}
 
-  const receipt = await sendTransactionWithRetry(async (nonce) => {
+async function broadcastTxJob(job) {
+  job.attempts++;
+  try {
+    const { deadline = null, ...request } = await job.buildTx();
+    const nonce = txManager.nextNonce !== null ? txManager.nextNonce : await resyncNonce();
     const gasConfig = await getGasConfig();
-    return swapper.swap(
-      tradeData.pairAddress,
-      amountIn,
-      minAmountOut,
-      swapDirection,
-      taxValue,
-      {
-        nonce,
-        gasLimit: 300000,
-        maxFeePerGas: gasConfig.maxFeePerGas,
-        maxPriorityFeePerGas: gasConfig.maxPriorityFeePerGas,
-        value: 0,
+
+    log(`[TX] ${job.label} (${job.priority}, ${job.submission}) attempt ${job.attempts} with nonce ${nonce}`);
+    const response = await submitTransaction({ ...request, ...gasConfig, nonce }, job.submission);
+    txManager.nextNonce = nonce + 1;
+
+    const entry = {
+      job,
+      nonce,
+      request: { ...request, gasLimit: response.gasLimit },
+      fees: { maxFeePerGas: gasConfig.maxFeePerGas, maxPriorityFeePerGas: gasConfig.maxPriorityFeePerGas },
+      hashes: [response.hash],
+      route: response.route,
+      signed: response.signed,  // kept for the public fallback of "both" and bundle re-sends
+      bundle_until: response.bundle_until ?? null,
+      sent_at: Date.now(),
+      last_sent_at: Date.now(),
+      replacements: 0,
+      nonce_used_polls: 0,
+      overdue: false,       // past confirmTimeoutSec with autoCancel off; still tracked
+      deadline,
+      cancel: null,         // { reason, requested_at, hashes } once a cancel was sent
+    };
+    txManager.pending.set(nonce, entry);
+    journalTx("tx_sent", job, { hash: response.hash, nonce });
+    log(`[TX] Sent ${response.hash}, waiting for confirmation...`);
+    trackPendingTx(entry);
+  } catch (error) {
+    log(`[TX] ${job.label} attempt ${job.attempts} failed: ${error.message}`);
+
+    let retry = job.attempts < job.maxRetries;
+    if (isNonceError(error)) {
+      log("[TX] Nonce issue, resyncing from node...");
+      txManager.nextNonce = null;
+    } else if (error.code === "NETWORK_ERROR" || error.code === "TIMEOUT") {
+      log("[TX] Network error, retrying...");
+      reportRpcError(error);
+      await new Promise((r) => setTimeout(r, 250));
+    } else {
+      log("[TX] Non-recoverable error, not retrying.");
+      retry = false;
+    }
+
+    // Nothing was broadcast, so the nonce was not consumed and nextNonce stays put
+    if (retry) {
+      txManager.queue.push(job);
+    } else {
+      job.reject(error);
+    }
+  }
+}
+
+/**
+ * Poll until one of the entry's hashes (original, replacements or cancels) is
+ * mined. A stuck transaction is sped up until maxReplacements or maxFeeGwei, then
+ * cancelled; so is one past its swap deadline or confirmTimeoutSec. A cancel is
+ * re-sent with bumped fees until it lands. Without autoCancel an overdue
+ * transaction is only logged. Either way the job settles when a hash is mined or
+ * the nonce is used by another transaction, never while the original can still land.
+ */
+async function trackPendingTx(entry) {
+  try {
+    for (;;) {
+      const settings = txSettings();
+      await new Promise((r) => setTimeout(r, settings.pollMs));
+
+      const receipt = await findPendingReceipt(entry);
+      if (receipt) {
+        if (entry.cancel && entry.cancel.hashes.includes(receipt.hash)) {
+          const err = new Error(`Transaction cancelled (${entry.cancel.reason}) by ${receipt.hash}`);
+          err.receipt = receipt;
+          err.cancelled = true;
+          throw err;
+        }
+        if (receipt.status === 0) {
+          const err = new Error(`Transaction ${receipt.hash} reverted`);
+          err.receipt = receipt;
+          throw err;
+        }
+        log(`[TX] Confirmed: ${receipt.hash}`);
+        finishPendingTx(entry, "confirmed", receipt.hash);
+        entry.job.resolve(receipt);
+        return;
       }
-    );
-  });
 
-  const tokenDecimals = isToken0In ? (tradeData.token1Decimals || 18) : (tradeData.token0Decimals || 18);
-  return parseTransactionLogs(receipt, tokenDecimals);
+      const stuck = Date.now() - entry.last_sent_at > settings.stuckAfterSec * 1000;
+      if (entry.cancel) {
+        // The original can still be mined until the nonce is used, so keep the job open
+        if (!entry.cancel.overdue && Date.now() - entry.cancel.requested_at > settings.confirmTimeoutSec * 1000) {
+          entry.cancel.overdue = true;
+          log(`[TX] Cancel of nonce ${entry.nonce} not confirmed after ${settings.confirmTimeoutSec}s, still waiting for the nonce to be used`);
+        }
+        if (stuck) await cancelPendingTx(entry, entry.cancel.reason);
+        continue;
+      }
+
+      const timedOut = Date.now() - entry.sent_at > settings.confirmTimeoutSec * 1000;
+      const expired = entry.deadline !== null && Date.now() / 1000 > entry.deadline;
+      if (settings.autoCancel && (timedOut || expired)) {
+        await cancelPendingTx(entry, expired ? "deadline passed" : `not confirmed after ${settings.confirmTimeoutSec}s`);
+        continue;
+      }
+      if (timedOut && !entry.overdue) {
+        entry.overdue = true;
+        log(`[TX] Nonce ${entry.nonce} not confirmed after ${settings.confirmTimeoutSec}s (autoCancel off), still waiting for a receipt or the nonce to be used`);
+      }
+      if (entry.route === "private" && entry.job.submission === "both" &&
+          Date.now() - entry.last_sent_at > submissionSettings().fallbackAfterSec * 1000) {
+        await fallbackToPublic(entry);
+      }
+      if (entry.route === "private" && entry.bundle_until !== null) {
+        await resubmitBundle(entry);
+      }
+      if (stuck) {
+        const fees = entry.replacements < settings.maxReplacements ? await bumpedFees(entry) : null;
+        if (fees && feesWithinCap(fees)) {
+          await replacePendingTx(entry, fees);
+        } else if (settings.autoCancel) {
+          await cancelPendingTx(entry, fees ? `fee cap ${settings.maxFeeGwei} gwei reached` : `${settings.maxReplacements} speed-ups exhausted`);
+        }
+      }
+    }
+  } catch (error) {
+    log(`[TX] ${entry.job.label} nonce ${entry.nonce} failed: ${error.message}`);
+    const status = error.cancelled ? "cancelled" : error.receipt ? "reverted" : "failed";
+    finishPendingTx(entry, status, error.receipt ? error.receipt.hash : null, error.message);
+    if (!error.receipt) txManager.nextNonce = null; // the nonce may or may not have been used
+    entry.job.reject(error);
+  }
 }
 
-async function swapV3({ tradeData, amountIn, isToken0In, minAmountOut, action }) {
-  let tokenIn, tokenOut;
-  if (action === "sell") {
-    tokenIn = isToken0In ? tradeData.token1 : tradeData.token0;
-    tokenOut = isToken0In ? tradeData.token0 : tradeData.token1;
-  } else {
-    tokenIn = isToken0In ? tradeData.token0 : tradeData.token1;
-    tokenOut = isToken0In ? tradeData.token1 : tradeData.token0;
+async function findPendingReceipt(entry) {
+  for (const hash of entry.hashes) {
+    try {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    } catch { /* RPC hiccup, retry on next poll */ }
   }
 
-  log(`[SWAP] V3 ${action}: ${tokenIn} -> ${tokenOut}`);
+  // Nonce used but none of our hashes mined: another transaction took it.
+  // Require a few polls so a receipt that is not indexed yet is not misread.
+  let latestNonce = null;
+  try {
+    latestNonce = await wallet.getNonce("latest");
+  } catch { /* retry on next poll */ }
+  if (latestNonce !== null && latestNonce > entry.nonce && ++entry.nonce_used_polls >= 3) {
+    throw new Error(`nonce ${entry.nonce} was used by another transaction`);
+  }
+  return null;
+}
 
-  const params = {
-    tokenIn,
-    tokenOut,
-    fee: tradeData.fee * 10000,
-    recipient: wallet.address,
-    deadline: Math.floor(Date.now() / 1000) + 30,
-    amountIn,
-    amountOutMinimum: minAmountOut,
-    sqrtPriceLimitX96: 0,
+/**
+ * Fees for the next version of a pending transaction: the last bid raised by
+ * feeBumpPct, and never below the current network fees.
+ */
+async function bumpedFees(entry) {
+  const { feeBumpPct } = txSettings();
+  const gasConfig = await getGasConfig();
+  const bump = (fee) => (BigInt(fee) * BigInt(100 + feeBumpPct)) / 100n;
+  const maxBig = (a, b) => (a > b ? a : b);
+  return {
+    maxFeePerGas: maxBig(bump(entry.fees.maxFeePerGas), gasConfig.maxFeePerGas),
+    maxPriorityFeePerGas: maxBig(bump(entry.fees.maxPriorityFeePerGas), gasConfig.maxPriorityFeePerGas),
   };
+}
 
-  let routerAddress;
-  if (tradeData.fork === "aerodrome") {
-    routerAddress = CONTRACTS.aeroRouter;
-    const tickSpacing = await getPoolTickSpacing(tradeData.pairAddress);
-    params.tickSpacing = tickSpacing;
-    delete params.fee;
-  } else {
-    routerAddress = CONTRACTS.uniV3Router;
+function feesWithinCap(fees) {
+  const { maxFeeGwei } = txSettings();
+  return !(maxFeeGwei > 0) || fees.maxFeePerGas <= ethers.parseUnits(String(maxFeeGwei), "gwei");
+}
+
+/**
+ * The entry's request built again, so a replacement carries a fresh swap
+ * deadline. Keeps the gas limit of the first send. Falls back to the original
+ * request when rebuilding fails, unless its deadline has passed.
+ */
+async function rebuildPendingRequest(entry) {
+  try {
+    const { deadline = null, ...request } = await entry.job.buildTx();
+    return { request: { ...request, gasLimit: entry.request.gasLimit }, deadline };
+  } catch (error) {
+    if (entry.deadline !== null && Date.now() / 1000 > entry.deadline) {
+      throw new Error(`could not rebuild after its deadline passed: ${error.message}`);
+    }
+    log(`[TX] Rebuilding nonce ${entry.nonce} failed (${error.message}), re-sending it as is`);
+    return { request: entry.request, deadline: entry.deadline };
   }
+}
 
-  const routerABI = tradeData.fork === "aerodrome" ? AERODROME_V3_ROUTER_ABI : UNISWAP_V3_ROUTER_ABI;
-  const router = new ethers.Contract(routerAddress, routerABI, wallet);
+/**
+ * Re-send the entry's transaction at its nonce with higher fees and freshly
+ * built calldata. Returns { hash } of the new version, or { error } when it
+ * could not be rebuilt or the node refused it.
+ */
+async function replacePendingTx(entry, fees = null) {
+  fees = fees || await bumpedFees(entry);
+  entry.replacements++;
+  entry.last_sent_at = Date.now();
+  try {
+    const { request, deadline } = await rebuildPendingRequest(entry);
+    const response = await submitTransaction({ ...request, ...fees, type: 2, nonce: entry.nonce }, entry.job.submission);
+    entry.hashes.push(response.hash);
+    journalTx("tx_sent", entry.job, { hash: response.hash, nonce: entry.nonce });
+    entry.request = request;
+    entry.deadline = deadline;
+    entry.route = response.route;
+    entry.signed = response.signed;
+    entry.bundle_until = response.bundle_until ?? null;
+    entry.fees = fees;
+    log(`[TX] Replaced stuck nonce ${entry.nonce} (${entry.job.label}) with ${response.hash} at ${ethers.formatUnits(fees.maxFeePerGas, "gwei")} gwei`);
+    return { hash: response.hash };
+  } catch (error) {
+    // "nonce too low" means an earlier hash was mined; the next poll picks up its receipt
+    log(`[TX] Replacement for nonce ${entry.nonce} failed: ${error.message}`);
+    return { error: error.message };
+  }
+}
 
-  const receipt = await sendTransactionWithRetry(async (nonce) => {
-    const gasConfig = await getGasConfig();
-    return router.exactInputSingle(params, {
-      nonce,
-      gasLimit: 800000,
-      maxFeePerGas: gasConfig.maxFeePerGas,
-      maxPriorityFeePerGas: gasConfig.maxPriorityFeePerGas,
-      value: 0,
-    });
+/**
+ * Take the entry's nonce with a 0-value transfer to ourselves. Sent publicly and
+ * not capped by maxFeeGwei: it costs 21000 gas and has to outbid the original.
+ * Returns { hash } of the cancel, or { error } when the node refused it.
+ */
+async function cancelPendingTx(entry, reason) {
+  const fees = await bumpedFees(entry);
+  if (!entry.cancel) entry.cancel = { reason, requested_at: Date.now(), hashes: [] };
+  entry.last_sent_at = Date.now();
+  try {
+    const response = await submitTransaction({ to: wallet.address, value: 0, data: "0x", gasLimit: 21000, ...fees, type: 2, nonce: entry.nonce }, "public");
+    entry.hashes.push(response.hash);
+    entry.cancel.hashes.push(response.hash);
+    entry.fees = fees;
+    if (entry.job.intent) journalAppend("tx_sent", { intent: entry.job.intent.id, step: "cancel", hash: response.hash, nonce: entry.nonce });
+    log(`[TX] Cancelling nonce ${entry.nonce} (${entry.job.label}, ${reason}) with ${response.hash} at ${ethers.formatUnits(fees.maxFeePerGas, "gwei")} gwei`);
+    return { hash: response.hash };
+  } catch (error) {
+    log(`[TX] Cancel for nonce ${entry.nonce} failed: ${error.message}`);
+    return { error: error.message };
+  }
+}
+
+function findPendingTx(hash) {
+  const wanted = (hash || "").toLowerCase();
+  return [...txManager.pending.values()].find((entry) => entry.hashes.some((h) => h.toLowerCase() === wanted)) || null;
+}
+
+function finishPendingTx(entry, status, hash, error = null) {
+  txManager.pending.delete(entry.nonce);
+  if (hash) journalTx("tx_confirmed", entry.job, { hash, status });
+  txManager.recent.push({
+    nonce: entry.nonce,
+    label: entry.job.label,
+    priority: entry.job.priority,
+    status,
+    hash,
+    hashes: entry.hashes,
+    replacements: entry.replacements,
+    ...(entry.cancel ? { cancel_reason: entry.cancel.reason } : {}),
+    submission: entry.job.submission,
+    route: entry.route,
+    inclusion_ms: status === "confirmed" ? Date.now() - entry.sent_at : null,
+    sent_at: new Date(entry.sent_at).toISOString(),
+    finished_at: new Date().toISOString(),
+    ...(error ? { error } : {}),
   });
+  if (txManager.recent.length > TX_RECENT_LIMIT) txManager.recent.shift();
+  pumpTxQueue();
+}
 
-  const tokenDecimals = isToken0In ? (tradeData.token1Decimals || 18) : (tradeData.token0Decimals || 18);
-  const effectiveIsToken0In = action === "sell" ? !isToken0In : isToken0In;
-  return parseTransactionLogsV3(receipt, tokenDecimals, effectiveIsToken0In);
+function getTxStatus() {
+  return {
+    next_nonce: txManager.nextNonce,
+    queue_depth: txManager.queue.length,
+    queued: [...txManager.queue]
+      .sort((a, b) => a.rank - b.rank || a.id - b.id)
+      .map((job) => ({ label: job.label, priority: job.priority, attempts: job.attempts, waiting_ms: Date.now() - job.queued_at })),
+    pending: [...txManager.pending.values()].map((entry) => ({
+      nonce: entry.nonce,
+      label: entry.job.label,
+      priority: entry.job.priority,
+      submission: entry.job.submission,
+      route: entry.route,
+      hashes: entry.hashes,
+      replacements: entry.replacements,
+      max_fee_gwei: ethers.formatUnits(entry.fees.maxFeePerGas, "gwei"),
+      deadline: entry.deadline ? new Date(entry.deadline * 1000).toISOString() : null,
+      cancelling: entry.cancel ? entry.cancel.reason : null,
+      overdue: entry.overdue || Boolean(entry.cancel && entry.cancel.overdue),
+      age_ms: Date.now() - entry.sent_at,
+    })),
+    recent: txManager.recent.slice().reverse(),
+    inclusion_by_route: inclusionStats(),
+  };
 }
 
-async function swapV4({ tradeData, amountIn, isToken0In, minAmountOut, action }) {
-  if (!amountIn || amountIn.toString() === "0") {
-    throw new Error("Invalid amountIn for V4 swap");
+/**
+ * Average inclusion latency of recent confirmed transactions, per submission route.
+ */
+function inclusionStats() {
+  const stats = {};
+  for (const tx of txManager.recent) {
+    if (tx.inclusion_ms === null || tx.inclusion_ms === undefined) continue;
+    const s = stats[tx.route] || (stats[tx.route] = { count: 0, avg_inclusion_ms: 0 });
+    s.avg_inclusion_ms = Math.round((s.avg_inclusion_ms * s.count + tx.inclusion_ms) / (s.count + 1));
+    s.count++;
   }
+  return stats;
+}
 
-  const universalRouter = new ethers.Contract(
-    CONTRACTS.universalRouterV4,
-    UNIVERSAL_ROUTER_V4_ABI,
-    wallet
+// Approval helpers return the approval receipt, or null when no approval was needed.
+
+async function approveToken(tokenAddress, spender, amount, priority = "buy", intent = null) {
+  const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+
+  let currentAllowance = 0n;
+  for (let i = 0; i < 3; i++) {
+    try {
+      currentAllowance = await tokenContract.allowance(wallet.address, spender);
+      break;
+    } catch (error) {
+      log(`[APPROVE] Allowance check attempt ${i + 1} failed: ${error.message}`);
+      if (i === 2) currentAllowance = 0n;
+      else await new Promise((r) => setTimeout(r, 1000));
+    }
+  }
+
+  const amountBig = BigInt(amount.toString());
+  if (currentAllowance >= amountBig) {
+    return null;
+  }
+
+  log(`[APPROVE] Approving ${spender} for ${tokenAddress}...`);
+  const receipt = await sendTransactionWithRetry(
+    () => tokenContract.approve.populateTransaction(spender, ethers.MaxUint256),
+    { priority, label: `approve ${tokenAddress}`, intent: intent && { id: intent, step: "approve" } }
+  );
+
+  log(`[APPROVE] Confirmed: ${receipt.hash}`);
+  return receipt;
+}
+
+async function approvePermit2ToRouter(tokenAddress, amount, priority = "buy", intent = null) {
+  const permit2Contract = new ethers.Contract(CONTRACTS.permit2, PERMIT2_ABI, wallet);
+
+  let allowanceData = { amount: 0n, expiration: 0 };
+  for (let i = 0; i < 3; i++) {
+    try {
+      allowanceData = await permit2Contract.allowance(
+        wallet.address,
+        tokenAddress,
+        CONTRACTS.universalRouterV4
+      );
+      break;
+    } catch (error) {
+      log(`[PERMIT2] Check attempt ${i + 1} failed: ${error.message}`);
+      if (i < 2) await new Promise((r) => setTimeout(r, 1000));
+    }
+  }
+
+  const currentAmount = BigInt(allowanceData.amount.toString());
+  const requiredAmount = BigInt(amount.toString());
+  const currentTime = Math.floor(Date.now() / 1000);
+  const expiration = Number(allowanceData.expiration);
+
+  if (currentAmount >= requiredAmount && expiration > currentTime) {
+    return null;
+  }
+
+  log("[PERMIT2] Approving Permit2 -> Universal Router...");
+  const maxUint160 = BigInt("0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF");
+  const futureExpiration = currentTime + 30 * 24 * 60 * 60; // 30 days
+
+  const receipt = await sendTransactionWithRetry(
+    () => permit2Contract.approve.populateTransaction(tokenAddress, CONTRACTS.universalRouterV4, maxUint160, futureExpiration),
+    { priority, label: `permit2 approve ${tokenAddress}`, intent: intent && { id: intent, step: "approve" } }
   );
 
-  // Canonical token ordering
+  log(`[PERMIT2] Confirmed: ${receipt.hash}`);
+  return receipt;
+}
+
+function detectBaseToken(token0, token1) {
+  const t0 = token0.toLowerCase();
+  const t1 = token1.toLowerCase();
+  if (t0 === ZORA_BASE || t1 === ZORA_BASE) return ZORA_BASE;
+  if (t0 === CLANKER_BASE || t1 === CLANKER_BASE) return CLANKER_BASE;
+  return WETH_BASE;
+}
+
+function formatTokenAmount(amountBig, decimals) {
+  const amount = BigInt(amountBig.toString());
+  const divisor = 10n ** BigInt(decimals);
+  const wholePart = amount / divisor;
+  const fractionalPart = amount % divisor;
+  let fractionalStr = fractionalPart.toString().padStart(decimals, "0").replace(/0+$/, "");
+  if (fractionalStr === "") fractionalStr = "0";
+  return `${wholePart}.${fractionalStr}`;
+}
+
+async function getPoolTickSpacing(pairAddress) {
+  if (poolContractsCache[pairAddress]) return poolContractsCache[pairAddress];
+  const contract = new ethers.Contract(pairAddress, POOL_ABI, provider);
+  const tickSpacing = await contract.tickSpacing();
+  poolContractsCache[pairAddress] = tickSpacing.toString();
+  return poolContractsCache[pairAddress];
+}
+
+// ── Quoting & slippage ──
+
+/**
+ * Resolve tokenIn/tokenOut for a V2/V3 swap. `isToken0In` is "base token is
+ * token0" (as computed by executeBuy/executeSell), so sells flip direction.
+ */
+function resolveSwapTokens(tradeData, isToken0In, action) {
+  const zeroForOne = action === "sell" ? !isToken0In : isToken0In;
+  return {
+    tokenIn: zeroForOne ? tradeData.token0 : tradeData.token1,
+    tokenOut: zeroForOne ? tradeData.token1 : tradeData.token0,
+    zeroForOne,
+  };
+}
+
+/**
+ * Build the canonical V4 PoolKey and swap direction for a trade. Route hops pass
+ * `tokenIn` instead, since their direction does not follow the base token.
+ */
+function buildV4PoolKey(tradeData, action, tokenIn = null) {
   let token0 = tradeData.token0;
   let token1 = tradeData.token1;
   if (token0.toLowerCase() > token1.toLowerCase()) {
@@ -1116,206 +3630,2132 @@ async function swapV4({ tradeData, amountIn, isToken0In, minAmountOut, action })
     hooks: tradeData.hooks || ethers.ZeroAddress,
   };
 
+  if (tokenIn) {
+    return { poolKey, zeroForOne: token0.toLowerCase() === tokenIn.toLowerCase() };
+  }
+
   const baseTokenAddress = detectBaseToken(token0, token1);
   const baseTokenIsToken0 = token0.toLowerCase() === baseTokenAddress.toLowerCase();
-  const correctedIsToken0In = action === "buy" ? baseTokenIsToken0 : !baseTokenIsToken0;
+  const zeroForOne = action === "buy" ? baseTokenIsToken0 : !baseTokenIsToken0;
 
-  log(`[SWAP] V4 ${action}: zeroForOne=${correctedIsToken0In}`);
+  return { poolKey, zeroForOne };
+}
 
-  const actions = ethers.solidityPacked(
-    ["uint8", "uint8", "uint8"],
-    [V4_ACTIONS.SWAP_EXACT_IN_SINGLE, V4_ACTIONS.SETTLE_ALL, V4_ACTIONS.TAKE_ALL]
-  );
+/**
+ * Reduce an amount by a percentage tax (e.g. buy_tax / sell_tax from the feed).
+ */
+function applyTax(amount, taxPct) {
+  const taxBps = BigInt(Math.min(Math.max(Math.round((taxPct || 0) * 100), 0), 10000));
+  return (BigInt(amount.toString()) * (10000n - taxBps)) / 10000n;
+}
 
-  const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+async function quoteV2({ tradeData, amountIn, isToken0In, action }) {
+  const pair = new ethers.Contract(tradeData.pairAddress, V2_PAIR_ABI, provider);
+  const { zeroForOne } = resolveSwapTokens(tradeData, isToken0In, action);
+  const [reserve0, reserve1] = await pair.getReserves();
+  const reserveIn = zeroForOne ? reserve0 : reserve1;
+  const reserveOut = zeroForOne ? reserve1 : reserve0;
+  if (reserveIn === 0n || reserveOut === 0n) throw new Error("Pair has no reserves");
+
+  // Sell tax is taken from the tokens sent into the pair
+  const effectiveIn = action === "sell" ? applyTax(amountIn, tradeData.sell_tax) : BigInt(amountIn.toString());
+  const amountInWithFee = effectiveIn * (10000n - V2_FEE_BPS);
+  return (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+}
 
-  const swapParam = abiCoder.encode(
-    ["tuple(tuple(address,address,uint24,int24,address),bool,uint128,uint128,bytes)"],
-    [[
-      [poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks],
-      correctedIsToken0In,
-      amountIn,
-      minAmountOut,
-      "0x",
-    ]]
-  );
+async function quoteV3({ tradeData, amountIn, isToken0In, action }) {
+  const { tokenIn, tokenOut } = resolveSwapTokens(tradeData, isToken0In, action);
+
+  if (tradeData.fork === "aerodrome") {
+    const quoter = new ethers.Contract(CONTRACTS.aeroQuoter, AERODROME_QUOTER_ABI, provider);
+    const tickSpacing = await getPoolTickSpacing(tradeData.pairAddress);
+    const [amountOut] = await quoter.quoteExactInputSingle.staticCall({
+      tokenIn, tokenOut, amountIn, tickSpacing, sqrtPriceLimitX96: 0,
+    });
+    return amountOut;
+  }
+
+  const quoter = new ethers.Contract(CONTRACTS.uniV3Quoter, UNISWAP_V3_QUOTER_ABI, provider);
+  const [amountOut] = await quoter.quoteExactInputSingle.staticCall({
+    tokenIn, tokenOut, amountIn, fee: tradeData.fee * 10000, sqrtPriceLimitX96: 0,
+  });
+  return amountOut;
+}
+
+async function quoteV4({ tradeData, amountIn, action, tokenIn = null }) {
+  const quoter = new ethers.Contract(CONTRACTS.v4Quoter, V4_QUOTER_ABI, provider);
+  const { poolKey, zeroForOne } = buildV4PoolKey(tradeData, action, tokenIn);
+  // The V4 quoter executes the pool's hooks, so hook fees are reflected in amountOut
+  const [amountOut] = await quoter.quoteExactInputSingle.staticCall({
+    poolKey, zeroForOne, exactAmount: amountIn, hookData: "0x",
+  });
+  return amountOut;
+}
+
+/**
+ * Quote the expected output of a swap through the same pool performSwap uses.
+ * Token taxes reported by the feed are deducted from the quote.
+ * Returns { success, amountOut, source } with amountOut as a raw bigint.
+ */
+async function quoteSwap({ tradeData, amountIn, isToken0In, action = "buy" }) {
+  try {
+    let amountOut;
+    let source;
+    if (tradeData.isV2) {
+      amountOut = await quoteV2({ tradeData, amountIn, isToken0In, action });
+      source = "v2_reserves";
+    } else if (tradeData.isV3) {
+      amountOut = await quoteV3({ tradeData, amountIn, isToken0In, action });
+      source = tradeData.fork === "aerodrome" ? "aerodrome_quoter" : "v3_quoter";
+    } else if (tradeData.isV4) {
+      amountOut = await quoteV4({ tradeData, amountIn, action });
+      source = "v4_quoter";
+    } else {
+      throw new Error("Unsupported pool type");
+    }
+
+    if (action === "buy") amountOut = applyTax(amountOut, tradeData.buy_tax);
+    return { success: true, amountOut, source };
+  } catch (e) {
+    return {
+      success: false,
+      message: `${action} quote failed`,
+      error: e.shortMessage || e.message || e,
+      reverted: e.code === "CALL_EXCEPTION",
+    };
+  }
+}
+
+/**
+ * Increase an amount so that what is left after a percentage tax is the original
+ * (the inverse of applyTax, rounded up).
+ */
+function grossUpForTax(amount, taxPct) {
+  const taxBps = BigInt(Math.min(Math.max(Math.round((taxPct || 0) * 100), 0), 9999));
+  return (BigInt(amount.toString()) * 10000n + (10000n - taxBps) - 1n) / (10000n - taxBps);
+}
+
+async function quoteV2In({ tradeData, amountOut, isToken0In, action }) {
+  const pair = new ethers.Contract(tradeData.pairAddress, V2_PAIR_ABI, provider);
+  const { zeroForOne } = resolveSwapTokens(tradeData, isToken0In, action);
+  const [reserve0, reserve1] = await pair.getReserves();
+  const reserveIn = zeroForOne ? reserve0 : reserve1;
+  const reserveOut = zeroForOne ? reserve1 : reserve0;
+  const out = BigInt(amountOut.toString());
+  if (out >= reserveOut) throw new Error("Pair cannot cover the requested output");
+  return (reserveIn * out * 10000n) / ((reserveOut - out) * (10000n - V2_FEE_BPS)) + 1n;
+}
+
+async function quoteV3In({ tradeData, amountOut, isToken0In, action }) {
+  const { tokenIn, tokenOut } = resolveSwapTokens(tradeData, isToken0In, action);
+
+  if (tradeData.fork === "aerodrome") {
+    const quoter = new ethers.Contract(CONTRACTS.aeroQuoter, AERODROME_QUOTER_ABI, provider);
+    const tickSpacing = await getPoolTickSpacing(tradeData.pairAddress);
+    const [amountIn] = await quoter.quoteExactOutputSingle.staticCall({
+      tokenIn, tokenOut, amount: amountOut, tickSpacing, sqrtPriceLimitX96: 0,
+    });
+    return amountIn;
+  }
+
+  const quoter = new ethers.Contract(CONTRACTS.uniV3Quoter, UNISWAP_V3_QUOTER_ABI, provider);
+  const [amountIn] = await quoter.quoteExactOutputSingle.staticCall({
+    tokenIn, tokenOut, amount: amountOut, fee: tradeData.fee * 10000, sqrtPriceLimitX96: 0,
+  });
+  return amountIn;
+}
+
+async function quoteV4In({ tradeData, amountOut, action }) {
+  const quoter = new ethers.Contract(CONTRACTS.v4Quoter, V4_QUOTER_ABI, provider);
+  const { poolKey, zeroForOne } = buildV4PoolKey(tradeData, action);
+  const [amountIn] = await quoter.quoteExactOutputSingle.staticCall({
+    poolKey, zeroForOne, exactAmount: amountOut, hookData: "0x",
+  });
+  return amountIn;
+}
+
+/**
+ * Quote the input a swap needs to produce exactly `amountOut`, through the same
+ * pool performSwap uses. Sell tax is added on top, since it is taken from the
+ * tokens sent in. Returns { success, amountIn, source } like quoteSwap.
+ */
+async function quoteSwapIn({ tradeData, amountOut, isToken0In, action = "sell" }) {
+  try {
+    let amountIn;
+    let source;
+    if (tradeData.isV2) {
+      amountIn = await quoteV2In({ tradeData, amountOut, isToken0In, action });
+      source = "v2_reserves";
+    } else if (tradeData.isV3) {
+      amountIn = await quoteV3In({ tradeData, amountOut, isToken0In, action });
+      source = tradeData.fork === "aerodrome" ? "aerodrome_quoter" : "v3_quoter";
+    } else if (tradeData.isV4) {
+      amountIn = await quoteV4In({ tradeData, amountOut, action });
+      source = "v4_quoter";
+    } else {
+      throw new Error("Unsupported pool type");
+    }
+
+    if (action === "sell") amountIn = grossUpForTax(amountIn, tradeData.sell_tax);
+    return { success: true, amountIn, source };
+  } catch (e) {
+    return {
+      success: false,
+      message: `${action} exact-output quote failed`,
+      error: e.shortMessage || e.message || e,
+      reverted: e.code === "CALL_EXCEPTION",
+    };
+  }
+}
+
+/**
+ * Slippage tolerance (percent) for a policy: policy.slippage overrides config.slippage.
+ */
+function resolveSlippage(policyId) {
+  const policy = findPolicy(policyId);
+  const slippage = policy && policy.slippage !== undefined ? policy.slippage : config.slippage;
+  const pct = parseFloat(slippage);
+  return Number.isFinite(pct) ? Math.min(Math.max(pct, 0), 100) : DEFAULT_CONFIG.slippage;
+}
+
+function applySlippage(amountOut, slippagePct) {
+  const slippageBps = BigInt(Math.round(slippagePct * 100));
+  return (BigInt(amountOut.toString()) * (10000n - slippageBps)) / 10000n;
+}
+
+/**
+ * Realized fill relative to the quote, in percent (negative = worse than quoted).
+ */
+function fillVsQuotePct(quotedOut, realizedOut) {
+  const quoted = BigInt(quotedOut.toString());
+  if (quoted === 0n) return 0;
+  const realized = BigInt(realizedOut.toString());
+  return Number(((realized - quoted) * 1000000n) / quoted) / 10000;
+}
+
+// ── Token safety ──
+
+// Before a buy the token is checked without sending anything. eth_simulateV1 runs
+// the real approve + swap calldata from the wallet: the buy, then a sell of what
+// it delivered on top of the post-buy state, and separately a plain transfer of
+// those tokens from the wallet into the pool. Token balances of the wallet and
+// the pool around each swap give the effective buy and sell taxes. Nodes without
+// eth_simulateV1, or a wallet short of a non-WETH base, fall back to quoting the
+// round trip and adding the feed's taxes (method "quote"). Results are cached per
+// token and exposed to policies as ctx.pair.safety.
+const tokenSafety = {}; // lowercased token address -> last check result
+let simulateV1Supported = true; // cleared when the node rejects eth_simulateV1
+
+function safetySettings() {
+  return { ...DEFAULT_CONFIG.safety, ...(config.safety || {}) };
+}
+
+/**
+ * Cached check for a token, or null when never checked or expired.
+ */
+function cachedSafety(tokenAddress) {
+  const result = tokenSafety[(tokenAddress || "").toLowerCase()];
+  if (!result) return null;
+  if (now() - result.checked_at > safetySettings().cacheMinutes * 60 * 1000) return null;
+  return result;
+}
+
+/**
+ * eth_call a token transfer from `from`. Returns null when it goes through,
+ * otherwise the revert reason.
+ */
+async function probeTransfer(tokenAddress, from, to, amount) {
+  try {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const ok = await token.transfer.staticCall(to, amount, { from });
+    return ok === false ? "transfer returned false" : null;
+  } catch (e) {
+    if (e.code !== "CALL_EXCEPTION") throw e;
+    return e.shortMessage || e.reason || "reverted";
+  }
+}
+
+/**
+ * Run `calls` ({ to, data, value }) from the wallet, in order, in one simulated
+ * block on top of `blockTag`, with the wallet's ETH balance set to `ethBalance`.
+ * Returns { ok, data, error } per call, or null when the node has no eth_simulateV1.
+ */
+async function simulateWalletCalls(calls, { blockTag = "latest", ethBalance = null } = {}) {
+  if (!simulateV1Supported) return null;
+  const from = wallet.address;
+  const block = {
+    calls: calls.map((call) => ({ from, to: call.to, data: call.data, value: ethers.toQuantity(call.value || 0n) })),
+  };
+  if (ethBalance !== null) block.stateOverrides = { [from]: { balance: ethers.toQuantity(ethBalance) } };
+
+  let blocks;
+  try {
+    blocks = await provider.send("eth_simulateV1", [{ blockStateCalls: [block], validation: false }, blockTag]);
+  } catch (e) {
+    const code = e.error && e.error.code;
+    if (code === -32601 || /method not found|not supported|does not exist|unsupported/i.test(e.message || "")) {
+      simulateV1Supported = false;
+      log(`[SAFETY] eth_simulateV1 not available (${e.error ? e.error.message : e.message}), estimating from quotes`);
+      return null;
+    }
+    throw e;
+  }
+  return blocks[0].calls.map((call) => ({
+    ok: call.status === "0x1",
+    data: call.returnData,
+    error: call.status === "0x1" ? null : (call.error && call.error.message) || "reverted",
+  }));
+}
+
+/**
+ * Approvals a swap spending `token` needs, as simulation calls.
+ */
+function approvalCalls(token, spender) {
+  const erc20 = new ethers.Interface(ERC20_ABI);
+  const calls = [{ to: token, data: erc20.encodeFunctionData("approve", [spender, ethers.MaxUint256]) }];
+  if (spender === CONTRACTS.permit2) {
+    const expiration = Math.floor(Date.now() / 1000) + 24 * 60 * 60;
+    calls.push({
+      to: CONTRACTS.permit2,
+      data: new ethers.Interface(PERMIT2_ABI).encodeFunctionData("approve", [token, CONTRACTS.universalRouterV4, (1n << 160n) - 1n, expiration]),
+    });
+  }
+  return calls;
+}
+
+function balanceOfCall(token, owner) {
+  return { to: token, data: new ethers.Interface(ERC20_ABI).encodeFunctionData("balanceOf", [owner]) };
+}
+
+/**
+ * Percent of `sent` that did not arrive, 0-100.
+ */
+function lossPct(sent, arrived) {
+  if (sent <= 0n) return 0;
+  const pct = Number(((sent - arrived) * 1000000n) / sent) / 10000;
+  return Math.min(Math.max(pct, 0), 100);
+}
+
+/**
+ * Simulated buy of `fundAmount` and sell of what it delivered. Returns the result
+ * fields, or null when the check has to fall back to quotes.
+ */
+async function simulateRoundTrip({ tradeData, tokenAddress, holder, fundToken, fundAmount, isToken0In, route }) {
+  const isWeth = fundToken.toLowerCase() === WETH_BASE;
+  if (!simulateV1Supported) return null;
+  if (!isWeth) {
+    const held = await new ethers.Contract(fundToken, ERC20_ABI, provider).balanceOf(wallet.address);
+    if (held < fundAmount) return null;
+  }
+
+  const spender = swapSpender(tradeData, route);
+  const deadline = Math.floor(Date.now() / 1000) + 600;
+  const buyTx = await populateSwap({ tradeData, amountIn: fundAmount, isToken0In, minAmountOut: 0n, action: "buy", route, deadline });
+  // WETH is minted from an overridden ETH balance, other bases must already be held
+  const prefix = [
+    ...(isWeth ? [{ to: WETH_BASE, data: new ethers.Interface(WETH_ABI).encodeFunctionData("deposit"), value: fundAmount }] : []),
+    ...approvalCalls(fundToken, spender),
+  ];
+  const options = {
+    blockTag: ethers.toQuantity(await provider.getBlockNumber()),
+    ethBalance: isWeth ? fundAmount + ethers.parseEther("1") : null,
+  };
+  const uint = (call) => {
+    if (!call.ok) throw new Error(`simulated balanceOf failed: ${call.error}`);
+    return BigInt(call.data);
+  };
+
+  const buySim = await simulateWalletCalls([
+    ...prefix,
+    balanceOfCall(tokenAddress, holder),
+    balanceOfCall(tokenAddress, wallet.address),
+    buyTx,
+    balanceOfCall(tokenAddress, holder),
+    balanceOfCall(tokenAddress, wallet.address),
+  ], options);
+  if (!buySim) return null;
+
+  const [poolBefore, walletBefore, buy, poolAfter, walletAfter] = buySim.slice(prefix.length);
+  const failedSetup = buySim.slice(0, prefix.length).find((call) => !call.ok);
+  if (failedSetup) throw new Error(`simulated approval failed: ${failedSetup.error}`);
+  const result = { method: "simulation", buy_error: null, sell_error: null, buy_transfer_error: null, sell_transfer_error: null };
+  if (!buy.ok) return { ...result, buy_error: buy.error };
+  const received = uint(walletAfter) - uint(walletBefore);
+  if (received <= 0n) return { ...result, buy_error: "buy delivered no tokens" };
+  result.buy_tax_pct = lossPct(uint(poolBefore) - uint(poolAfter), received);
+
+  const sellRoute = route ? reverseRoute(route) : null;
+  const sellTx = await populateSwap({ tradeData, amountIn: received, isToken0In, minAmountOut: 0n, action: "sell", route: sellRoute, deadline });
+  const afterBuy = [...prefix, buyTx, ...approvalCalls(tokenAddress, spender)];
+  const [sellSim, transferSim] = await Promise.all([
+    simulateWalletCalls([
+      ...afterBuy,
+      balanceOfCall(tokenAddress, holder),
+      balanceOfCall(fundToken, wallet.address),
+      sellTx,
+      balanceOfCall(tokenAddress, holder),
+      balanceOfCall(fundToken, wallet.address),
+    ], options),
+    simulateWalletCalls([
+      ...afterBuy,
+      { to: tokenAddress, data: new ethers.Interface(ERC20_ABI).encodeFunctionData("transfer", [holder, received]) },
+    ], options),
+  ]);
+  if (!sellSim || !transferSim) return null;
+
+  const failedApproval = sellSim.slice(prefix.length + 1, afterBuy.length).find((call) => !call.ok);
+  if (failedApproval) return { ...result, sell_error: `approve reverted: ${failedApproval.error}` };
+
+  const transfer = transferSim[afterBuy.length];
+  if (!transfer.ok) result.sell_transfer_error = transfer.error;
+  else if (transfer.data && transfer.data !== "0x" && BigInt(transfer.data) === 0n) result.sell_transfer_error = "transfer returned false";
+
+  const [sellPoolBefore, fundBefore, sell, sellPoolAfter, fundAfter] = sellSim.slice(afterBuy.length);
+  if (!sell.ok) return { ...result, sell_error: sell.error };
+  result.sell_tax_pct = lossPct(received, uint(sellPoolAfter) - uint(sellPoolBefore));
+
+  // What came back, and what would have without the taxes (pool fees and impact only)
+  const back = Number(((uint(fundAfter) - uint(fundBefore)) * 1000000n) / fundAmount) / 1000000;
+  const untaxed = back / Math.max((1 - result.buy_tax_pct / 100) * (1 - result.sell_tax_pct / 100), 0.0001);
+  result.round_trip_loss_pct = parseFloat(((1 - back) * 100).toFixed(2));
+  result.pool_round_trip_loss_pct = parseFloat(((1 - Math.min(untaxed, 1)) * 100).toFixed(2));
+  return result;
+}
+
+/**
+ * Round trip estimated from quotes of the pair's pool (taxes ignored) plus the
+ * feed's taxes. Both legs are quoted against the current pool, so the buy's
+ * price impact is counted again on the sell.
+ */
+async function quoteRoundTrip({ tradeData, pairData, tokenAddress, holder, amountIn, isToken0In }) {
+  const poolTradeData = { ...tradeData, buy_tax: 0, sell_tax: 0 };
+  const result = {
+    method: "quote",
+    buy_tax_pct: pairData.buy_tax || 0,
+    sell_tax_pct: pairData.sell_tax || 0,
+    buy_error: null,
+    sell_error: null,
+    buy_transfer_error: null,
+    sell_transfer_error: null,
+  };
+
+  const buyQuote = await quoteSwap({ tradeData: poolTradeData, amountIn, isToken0In, action: "buy" });
+  if (!buyQuote.success && !buyQuote.reverted) throw new Error(`buy quote failed: ${buyQuote.error}`);
+  if (!buyQuote.success) return { ...result, buy_error: buyQuote.error };
+
+  const tokensOut = buyQuote.amountOut;
+  const sellQuote = await quoteSwap({ tradeData: poolTradeData, amountIn: tokensOut, isToken0In, action: "sell" });
+  if (!sellQuote.success && !sellQuote.reverted) throw new Error(`sell quote failed: ${sellQuote.error}`);
+  if (sellQuote.success) {
+    const back = Number((sellQuote.amountOut * 1000000n) / BigInt(amountIn.toString())) / 1000000;
+    const withTaxes = back * (1 - result.buy_tax_pct / 100) * (1 - result.sell_tax_pct / 100);
+    result.pool_round_trip_loss_pct = parseFloat(((1 - back) * 100).toFixed(2));
+    result.round_trip_loss_pct = parseFloat(((1 - withTaxes) * 100).toFixed(2));
+  } else {
+    result.sell_error = sellQuote.error;
+  }
+
+  // Pool -> wallet as a buy delivers; wallet -> pool as a sell pays in, when the
+  // wallet already holds some of the token to send
+  result.buy_transfer_error = await probeTransfer(tokenAddress, holder, wallet.address, tokensOut);
+  const held = await new ethers.Contract(tokenAddress, ERC20_ABI, provider).balanceOf(wallet.address);
+  if (held > 0n) {
+    result.sell_transfer_error = await probeTransfer(tokenAddress, wallet.address, holder, held < tokensOut ? held : tokensOut);
+  }
+  return result;
+}
+
+function safetyVerdict(result) {
+  const settings = safetySettings();
+  if (result.buy_error) return { verdict: "fail", reason: `buy reverted: ${result.buy_error}` };
+  if (result.sell_error) return { verdict: "fail", reason: `sell reverted: ${result.sell_error}` };
+  if (settings.blockTransferRestricted && result.buy_transfer_error) return { verdict: "fail", reason: `buy transfer reverted: ${result.buy_transfer_error}` };
+  if (settings.blockTransferRestricted && result.sell_transfer_error) return { verdict: "fail", reason: `sell transfer reverted: ${result.sell_transfer_error}` };
+  if (settings.maxRoundTripLossPct > 0 && result.round_trip_loss_pct > settings.maxRoundTripLossPct) {
+    return { verdict: "fail", reason: `round trip loss ${result.round_trip_loss_pct}% > ${settings.maxRoundTripLossPct}%` };
+  }
+  if (settings.sizeDownAbovePct > 0 && result.round_trip_loss_pct > settings.sizeDownAbovePct) {
+    return { verdict: "size_down", reason: `round trip loss ${result.round_trip_loss_pct}% > ${settings.sizeDownAbovePct}%` };
+  }
+  return { verdict: "pass", reason: null };
+}
+
+/**
+ * Check a token by buying `amountIn` base token (or `fundAmount` WETH along
+ * `route`) and selling the result, without sending anything. Reverting swaps or
+ * transfers are findings; RPC errors throw and are not cached.
+ */
+async function checkTokenSafety({ pairData, tradeData, baseTokenAddress, amountIn, isToken0In, route = null, fundAmount = amountIn }) {
+  const tokenAddress = pairData.tokenAddress || (isToken0In ? tradeData.token1 : tradeData.token0);
+  const cached = cachedSafety(tokenAddress);
+  if (cached) return cached;
+
+  // The pool's tokens sit in the pair contract (V2/V3) or the PoolManager (V4)
+  const holder = tradeData.isV4 ? CONTRACTS.v4PoolManager : tradeData.pairAddress;
+  const fundToken = route ? WETH_BASE : baseTokenAddress;
+  const measured = await simulateRoundTrip({ tradeData, tokenAddress, holder, fundToken, fundAmount: BigInt(fundAmount.toString()), isToken0In, route })
+    || await quoteRoundTrip({ tradeData, pairData, tokenAddress, holder, amountIn, isToken0In });
+
+  const result = {
+    token: tokenAddress.toLowerCase(),
+    symbol: pairData.symbol || "",
+    pairAddress: pairData.pairAddress,
+    base_symbol: route ? "WETH" : baseTokenSymbol(baseTokenAddress),
+    feed_buy_tax_pct: pairData.buy_tax || 0,
+    feed_sell_tax_pct: pairData.sell_tax || 0,
+    buy_tax_pct: null,
+    sell_tax_pct: null,
+    pool_round_trip_loss_pct: null,
+    round_trip_loss_pct: null,
+    ...measured,
+  };
+
+  Object.assign(result, safetyVerdict(result), { checked_at: now() });
+  tokenSafety[result.token] = result;
+  const pct = (value) => (value === null || value === undefined ? "n/a" : `${value}%`);
+  log(`[SAFETY] ${result.symbol || tokenAddress}: ${result.verdict}${result.reason ? ` (${result.reason})` : ""} | round trip ${pct(result.round_trip_loss_pct)} (pool ${pct(result.pool_round_trip_loss_pct)}, tax ${pct(result.buy_tax_pct)}/${pct(result.sell_tax_pct)}, feed ${result.feed_buy_tax_pct}/${result.feed_sell_tax_pct}%) via ${result.method}`);
+  return result;
+}
+
+/**
+ * Policy-facing view of a token's last check (ctx.pair.safety).
+ */
+function safetyForContext(tokenAddress) {
+  const result = cachedSafety(tokenAddress);
+  if (!result) return null;
+  return {
+    verdict: result.verdict,
+    reason: result.reason,
+    round_trip_loss_pct: result.round_trip_loss_pct,
+    pool_round_trip_loss_pct: result.pool_round_trip_loss_pct,
+    buy_tax_pct: result.buy_tax_pct,
+    sell_tax_pct: result.sell_tax_pct,
+    method: result.method,
+    transfers_ok: !result.buy_transfer_error && !result.sell_transfer_error,
+    checked_at: result.checked_at,
+  };
+}
+
+// ── Swap routing ──
+
+/**
+ * Build a swap request whose deadline is `seconds` past the point where the
+ * transaction manager would first speed it up (tx.stuckAfterSec), and hand the
+ * deadline to the manager. Speed-ups rebuild the request with a fresh deadline.
+ */
+async function swapRequest(seconds, populate) {
+  const deadline = Math.floor(Date.now() / 1000) + txSettings().stuckAfterSec + seconds;
+  return { ...(await populate(deadline)), deadline };
+}
+
+/**
+ * Execute a swap on the trade's pool, or along `route`. With `amountOut` the swap
+ * is exact-output (V3/V4 pools only): exactly amountOut is bought and `amountIn`
+ * is the most that may be spent.
+ */
+async function performSwap({ tradeData, amountIn, isToken0In, minAmountOut = 0, action = "buy", priority = action, submission = "public", intent = null, route = null, amountOut = null }) {
+  try {
+    if (DRY_RUN) {
+      return route
+        ? simulateRoute({ tradeData, route, amountIn, isToken0In, minAmountOut, action })
+        : simulateSwap({ tradeData, amountIn, isToken0In, minAmountOut, action, amountOut });
+    }
+    if (amountOut !== null) {
+      if (route || !(tradeData.isV3 || tradeData.isV4)) throw new Error("Exact-output swaps need a V3 or V4 pool");
+      const exactOut = tradeData.isV3 ? swapV3ExactOut : swapV4ExactOut;
+      return await exactOut({ tradeData, amountIn, amountOut, isToken0In, action, priority, submission, intent });
+    } else if (route) {
+      return await swapRoute({ tradeData, route, amountIn, minAmountOut, action, priority, submission, intent });
+    } else if (tradeData.isV2) {
+      return await swapV2({ tradeData, amountIn, isToken0In, minAmountOut, action, priority, submission, intent });
+    } else if (tradeData.isV3) {
+      return await swapV3({ tradeData, amountIn, isToken0In, minAmountOut, action, priority, submission, intent });
+    } else if (tradeData.isV4) {
+      return await swapV4({ tradeData, amountIn, isToken0In, minAmountOut, action, priority, submission, intent });
+    } else {
+      throw new Error("Unsupported pool type");
+    }
+  } catch (e) {
+    return {
+      success: false,
+      message: `${action} failed`,
+      error: e.message || e,
+      receipt: e.receipt || null, // reverted swaps still cost gas
+    };
+  }
+}
+
+/**
+ * Which contract pulls the tokens a swap spends, i.e. what to approve.
+ */
+function swapSpender(tradeData, route = null) {
+  if (tradeData.isV4 || route) return CONTRACTS.permit2;
+  if (tradeData.isV3) return tradeData.fork === "aerodrome" ? CONTRACTS.aeroRouter : CONTRACTS.uniV3Router;
+  return CONTRACTS.tokenSwapper;
+}
+
+/**
+ * The unsigned exact-input swap transaction for the trade's pool, or along
+ * `route`: what the swap functions send, and what the safety check simulates.
+ */
+async function populateSwap({ tradeData, amountIn, isToken0In, minAmountOut, action, route = null, deadline }) {
+  if (route) {
+    const universalRouter = new ethers.Contract(CONTRACTS.universalRouterV4, UNIVERSAL_ROUTER_V4_ABI, wallet);
+    const { commands, inputs } = encodeRoute(route, amountIn, minAmountOut);
+    return universalRouter["execute(bytes,bytes[],uint256)"].populateTransaction(
+      commands, inputs, deadline,
+      { gasLimit: 400000 * route.length, value: 0 }
+    );
+  }
+
+  if (tradeData.isV2) {
+    const swapper = new ethers.Contract(CONTRACTS.tokenSwapper, TOKEN_SWAPPER_ABI, wallet);
+    const taxValue = Math.round(action === "buy" ? (tradeData.buy_tax || 0) : (tradeData.sell_tax || 0));
+    const swapDirection = action === "sell" ? !isToken0In : isToken0In;
+    return swapper.swap.populateTransaction(
+      tradeData.pairAddress,
+      amountIn,
+      minAmountOut,
+      swapDirection,
+      taxValue,
+      { gasLimit: 300000, value: 0 }
+    );
+  }
+
+  if (tradeData.isV3) {
+    const { tokenIn, tokenOut } = resolveSwapTokens(tradeData, isToken0In, action);
+    const params = {
+      tokenIn,
+      tokenOut,
+      fee: tradeData.fee * 10000,
+      recipient: wallet.address,
+      amountIn,
+      amountOutMinimum: minAmountOut,
+      sqrtPriceLimitX96: 0,
+    };
+
+    let routerAddress;
+    if (tradeData.fork === "aerodrome") {
+      routerAddress = CONTRACTS.aeroRouter;
+      params.tickSpacing = await getPoolTickSpacing(tradeData.pairAddress);
+      delete params.fee;
+    } else {
+      routerAddress = CONTRACTS.uniV3Router;
+    }
+
+    const routerABI = tradeData.fork === "aerodrome" ? AERODROME_V3_ROUTER_ABI : UNISWAP_V3_ROUTER_ABI;
+    const router = new ethers.Contract(routerAddress, routerABI, wallet);
+    return router.exactInputSingle.populateTransaction(
+      { ...params, deadline },
+      { gasLimit: 800000, value: 0 }
+    );
+  }
+
+  if (tradeData.isV4) {
+    const universalRouter = new ethers.Contract(CONTRACTS.universalRouterV4, UNIVERSAL_ROUTER_V4_ABI, wallet);
+
+    // Canonical token ordering
+    const { poolKey, zeroForOne } = buildV4PoolKey(tradeData, action);
+    const token0 = poolKey.currency0;
+    const token1 = poolKey.currency1;
+
+    const actions = ethers.solidityPacked(
+      ["uint8", "uint8", "uint8"],
+      [V4_ACTIONS.SWAP_EXACT_IN_SINGLE, V4_ACTIONS.SETTLE_ALL, V4_ACTIONS.TAKE_ALL]
+    );
+
+    const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+    const swapParam = abiCoder.encode(
+      ["tuple(tuple(address,address,uint24,int24,address),bool,uint128,uint128,bytes)"],
+      [[
+        [poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks],
+        zeroForOne,
+        amountIn,
+        minAmountOut,
+        "0x",
+      ]]
+    );
+
+    const settleParam = abiCoder.encode(
+      ["address", "uint128"],
+      [zeroForOne ? token0 : token1, amountIn]
+    );
+
+    const takeParam = abiCoder.encode(
+      ["address", "uint128"],
+      [zeroForOne ? token1 : token0, minAmountOut]
+    );
+
+    const v4Input = abiCoder.encode(
+      ["bytes", "bytes[]"],
+      [actions, [swapParam, settleParam, takeParam]]
+    );
+
+    const commands = ethers.solidityPacked(["uint8"], [V4_COMMANDS.V4_SWAP]);
+    return universalRouter["execute(bytes,bytes[],uint256)"].populateTransaction(
+      commands, [v4Input], deadline,
+      { gasLimit: 800000, value: 0 }
+    );
+  }
+
+  throw new Error("Unsupported pool type");
+}
+
+async function swapV2({ tradeData, amountIn, isToken0In, minAmountOut, action, priority, submission, intent }) {
+  const receipt = await sendTransactionWithRetry(
+    () => populateSwap({ tradeData, amountIn, isToken0In, minAmountOut, action }),
+    { priority, submission, label: `V2 ${action} ${tradeData.pairAddress}`, intent: intent && { id: intent, step: "swap" } }
+  );
+
+  const tokenDecimals = isToken0In ? (tradeData.token1Decimals || 18) : (tradeData.token0Decimals || 18);
+  return { ...parseTransactionLogs(receipt, tokenDecimals), receipt };
+}
+
+async function swapV3({ tradeData, amountIn, isToken0In, minAmountOut, action, priority, submission, intent }) {
+  const { tokenIn, tokenOut } = resolveSwapTokens(tradeData, isToken0In, action);
+
+  log(`[SWAP] V3 ${action}: ${tokenIn} -> ${tokenOut}`);
+
+  // Deadline is set when the queued transaction is actually broadcast
+  const receipt = await sendTransactionWithRetry(
+    () => swapRequest(30, (deadline) => populateSwap({ tradeData, amountIn, isToken0In, minAmountOut, action, deadline })),
+    { priority, submission, label: `V3 ${action} ${tradeData.pairAddress}`, intent: intent && { id: intent, step: "swap" } }
+  );
+
+  const tokenDecimals = isToken0In ? (tradeData.token1Decimals || 18) : (tradeData.token0Decimals || 18);
+  const effectiveIsToken0In = action === "sell" ? !isToken0In : isToken0In;
+  return { ...parseTransactionLogsV3(receipt, tokenDecimals, effectiveIsToken0In), receipt };
+}
+
+async function swapV4({ tradeData, amountIn, isToken0In, minAmountOut, action, priority, submission, intent }) {
+  if (!amountIn || amountIn.toString() === "0") {
+    throw new Error("Invalid amountIn for V4 swap");
+  }
+
+  const { zeroForOne } = buildV4PoolKey(tradeData, action);
+  log(`[SWAP] V4 ${action}: zeroForOne=${zeroForOne}`);
+
+  // Pre-flight simulation
+  try {
+    const deadline = Math.floor(Date.now() / 1000) + 60;
+    await wallet.call(await populateSwap({ tradeData, amountIn, isToken0In, minAmountOut, action, deadline }));
+    log("[SWAP] V4 pre-flight simulation passed");
+  } catch (simError) {
+    log(`[SWAP] V4 pre-flight simulation failed: ${simError.message}`);
+  }
+
+  // Deadline is set when the queued transaction is actually broadcast
+  const receipt = await sendTransactionWithRetry(
+    () => swapRequest(60, (deadline) => populateSwap({ tradeData, amountIn, isToken0In, minAmountOut, action, deadline })),
+    { priority, submission, label: `V4 ${action} ${tradeData.pairAddress}`, intent: intent && { id: intent, step: "swap" } }
+  );
+
+  const tokenDecimals = isToken0In ? (tradeData.token1Decimals || 18) : (tradeData.token0Decimals || 18);
+  return { ...parseTransactionLogsV4(receipt, tokenDecimals, isToken0In), receipt };
+}
+
+/**
+ * Token amounts an exact-output swap actually moved: what the wallet paid and
+ * received, from the receipt's Transfer logs.
+ */
+function exactOutputResult(receipt, tokenIn, tokenOut, outDecimals) {
+  const amountOut = sumTransfers(receipt, tokenOut, { to: wallet.address });
+  if (amountOut === null) {
+    return { success: false, message: "Could not find transfer event in transaction logs", receipt };
+  }
+  const amountIn = sumTransfers(receipt, tokenIn, { from: wallet.address });
+  return {
+    success: true,
+    amountHex: amountOut.toString(),
+    readableAmount: formatTokenAmount(amountOut, outDecimals),
+    ...(amountIn !== null ? { amountInHex: amountIn.toString() } : {}),
+    receipt,
+  };
+}
+
+async function swapV3ExactOut({ tradeData, amountIn, amountOut, isToken0In, action, priority, submission, intent }) {
+  const { tokenIn, tokenOut, zeroForOne } = resolveSwapTokens(tradeData, isToken0In, action);
+
+  log(`[SWAP] V3 exact-output ${action}: ${tokenIn} -> ${tokenOut}`);
+
+  const params = {
+    tokenIn,
+    tokenOut,
+    fee: tradeData.fee * 10000,
+    recipient: wallet.address,
+    amountOut,
+    amountInMaximum: amountIn,
+    sqrtPriceLimitX96: 0,
+  };
+
+  let routerAddress;
+  if (tradeData.fork === "aerodrome") {
+    routerAddress = CONTRACTS.aeroRouter;
+    params.tickSpacing = await getPoolTickSpacing(tradeData.pairAddress);
+    delete params.fee;
+  } else {
+    routerAddress = CONTRACTS.uniV3Router;
+  }
+
+  const routerABI = tradeData.fork === "aerodrome" ? AERODROME_V3_ROUTER_ABI : UNISWAP_V3_ROUTER_ABI;
+  const router = new ethers.Contract(routerAddress, routerABI, wallet);
+
+  const receipt = await sendTransactionWithRetry(
+    () => swapRequest(30, (deadline) => router.exactOutputSingle.populateTransaction(
+      { ...params, deadline },
+      { gasLimit: 800000, value: 0 }
+    )),
+    { priority, submission, label: `V3 exact-output ${action} ${tradeData.pairAddress}`, intent: intent && { id: intent, step: "swap" } }
+  );
+
+  const outDecimals = (zeroForOne ? tradeData.token1Decimals : tradeData.token0Decimals) || 18;
+  return exactOutputResult(receipt, tokenIn, tokenOut, outDecimals);
+}
+
+async function swapV4ExactOut({ tradeData, amountIn, amountOut, action, priority, submission, intent }) {
+  const universalRouter = new ethers.Contract(
+    CONTRACTS.universalRouterV4,
+    UNIVERSAL_ROUTER_V4_ABI,
+    wallet
+  );
+
+  const { poolKey, zeroForOne } = buildV4PoolKey(tradeData, action);
+  const currencyIn = zeroForOne ? poolKey.currency0 : poolKey.currency1;
+  const currencyOut = zeroForOne ? poolKey.currency1 : poolKey.currency0;
+
+  log(`[SWAP] V4 exact-output ${action}: zeroForOne=${zeroForOne}`);
+
+  const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+  const actions = ethers.solidityPacked(
+    ["uint8", "uint8", "uint8"],
+    [V4_ACTIONS.SWAP_EXACT_OUT_SINGLE, V4_ACTIONS.SETTLE_ALL, V4_ACTIONS.TAKE_ALL]
+  );
+  const swapParam = abiCoder.encode(
+    ["tuple(tuple(address,address,uint24,int24,address),bool,uint128,uint128,bytes)"],
+    [[
+      [poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks],
+      zeroForOne,
+      amountOut,
+      amountIn,
+      "0x",
+    ]]
+  );
+  // SETTLE_ALL pays at most amountIn, TAKE_ALL requires at least amountOut
+  const settleParam = abiCoder.encode(["address", "uint256"], [currencyIn, amountIn]);
+  const takeParam = abiCoder.encode(["address", "uint256"], [currencyOut, amountOut]);
+  const v4Input = abiCoder.encode(["bytes", "bytes[]"], [actions, [swapParam, settleParam, takeParam]]);
+  const commands = ethers.solidityPacked(["uint8"], [V4_COMMANDS.V4_SWAP]);
+
+  const receipt = await sendTransactionWithRetry(
+    () => swapRequest(60, (deadline) => universalRouter["execute(bytes,bytes[],uint256)"].populateTransaction(
+      commands, [v4Input], deadline,
+      { gasLimit: 800000, value: 0 }
+    )),
+    { priority, submission, label: `V4 exact-output ${action} ${tradeData.pairAddress}`, intent: intent && { id: intent, step: "swap" } }
+  );
+
+  const outDecimals = (currencyOut.toLowerCase() === tradeData.token0.toLowerCase() ? tradeData.token0Decimals : tradeData.token1Decimals) || 18;
+  return exactOutputResult(receipt, currencyIn, currencyOut, outDecimals);
+}
+
+// ── Multi-hop routing ──
+// Tokens paired only against ZORA or CLANKER are bought with WETH through hub
+// pools (e.g. WETH -> ZORA -> token) and sold back the same way, so capital and
+// PnL stay in WETH. Routes run as one Universal Router transaction, so every pool
+// on them must be one the router can address: canonical Uniswap V2/V3 pools
+// (verified by their CREATE2 address) and V4 pools without native ETH.
+
+const routablePools = new Map(); // lowercased pool address -> verified against the factories
+
+function routingSettings() {
+  const settings = { ...DEFAULT_CONFIG.routing, ...(config.routing || {}) };
+  settings.maxHops = Math.min(Math.max(parseInt(settings.maxHops, 10) || 2, 2), 4);
+  return settings;
+}
+
+function isRoutablePool(pool) {
+  if (!pool || !pool.pairAddress || !pool.token0 || !pool.token1) return false;
+  if (pool.token0 === ethers.ZeroAddress || pool.token1 === ethers.ZeroAddress) return false;
+  if (pool.isV4) return true; // pools live in the PoolManager, any PoolKey is reachable
+  if (!(pool.isV2 || pool.isV3) || pool.fork === "aerodrome") return false;
+
+  const key = pool.pairAddress.toLowerCase();
+  if (!routablePools.has(key)) {
+    const [token0, token1] = [pool.token0, pool.token1].sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1));
+    let expected = null;
+    try {
+      if (pool.isV2) {
+        const salt = ethers.keccak256(ethers.solidityPacked(["address", "address"], [token0, token1]));
+        expected = ethers.getCreate2Address(UNISWAP_FACTORIES.v2.factory, salt, UNISWAP_FACTORIES.v2.initCodeHash);
+      } else {
+        const salt = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "address", "uint24"], [token0, token1, Math.round(pool.fee * 10000)]));
+        expected = ethers.getCreate2Address(UNISWAP_FACTORIES.v3.factory, salt, UNISWAP_FACTORIES.v3.initCodeHash);
+      }
+    } catch { /* malformed feed data, not routable */ }
+    routablePools.set(key, expected !== null && expected.toLowerCase() === key);
+  }
+  return routablePools.get(key);
+}
+
+/**
+ * One swap of a route: the pool fields quoting and encoding need, plus its direction.
+ * Plain JSON, so it can be journaled with the intent and stored on the trade.
+ */
+function routeHop(pool, tokenIn) {
+  const tokenInLc = tokenIn.toLowerCase();
+  const isToken0In = pool.token0.toLowerCase() === tokenInLc;
+  return {
+    pairAddress: pool.pairAddress,
+    token0: pool.token0,
+    token1: pool.token1,
+    isV2: pool.isV2,
+    isV3: pool.isV3,
+    isV4: pool.isV4,
+    fee: pool.fee,
+    fork: pool.fork,
+    tickSpacing: pool.tickSpacing,
+    hooks: pool.hooks,
+    token0Decimals: pool.token0Decimals,
+    token1Decimals: pool.token1Decimals,
+    tokenIn: tokenInLc,
+    tokenOut: (isToken0In ? pool.token1 : pool.token0).toLowerCase(),
+  };
+}
+
+function hopDecimals(hop, token) {
+  const isToken0 = hop.token0.toLowerCase() === token.toLowerCase();
+  return (isToken0 ? hop.token0Decimals : hop.token1Decimals) || 18;
+}
+
+function reverseRoute(route) {
+  return route.slice().reverse().map((hop) => ({ ...hop, tokenIn: hop.tokenOut, tokenOut: hop.tokenIn }));
+}
+
+function routeLabel(route, symbol = null) {
+  const name = (token, i) => {
+    if (token === WETH_BASE || token === ZORA_BASE || token === CLANKER_BASE) return baseTokenSymbol(token);
+    return (i === 0 || i === route.length) && symbol ? symbol : token.slice(0, 10);
+  };
+  return [route[0].tokenIn, ...route.map((hop) => hop.tokenOut)].map(name).join(" -> ");
+}
+
+/**
+ * WETH -> token route for a pair whose base is not WETH: the hub path with the
+ * fewest hops (widest bottleneck liquidity among those) from WETH to the pair's
+ * base, then the pair itself. Null when routing is off, the pair already trades
+ * against WETH, or no routable path exists.
+ */
+function findBuyRoute(pairData) {
+  const settings = routingSettings();
+  if (!settings.enabled) return null;
+  const baseTokenAddress = detectBaseToken(pairData.token0, pairData.token1);
+  if (baseTokenAddress === WETH_BASE || !isRoutablePool(pairData)) return null;
+
+  // Hub graph: liquid, routable pools seen on the feed, both directions
+  const edges = {};
+  const ownPool = pairData.pairAddress.toLowerCase();
+  for (const pool of Object.values(computedPairData)) {
+    if (!pool || !(pool.liquidity >= settings.minHubLiquidityUsd)) continue;
+    if ((pool.pairAddress || "").toLowerCase() === ownPool || !isRoutablePool(pool)) continue;
+    const token0 = pool.token0.toLowerCase();
+    const token1 = pool.token1.toLowerCase();
+    (edges[token0] = edges[token0] || []).push({ pool, to: token1 });
+    (edges[token1] = edges[token1] || []).push({ pool, to: token0 });
+  }
+
+  // Level-by-level search from WETH, keeping the widest path into each token
+  const reached = { [WETH_BASE]: { liquidity: Infinity, hops: [] } };
+  let frontier = [WETH_BASE];
+  for (let depth = 1; depth < settings.maxHops && frontier.length > 0; depth++) {
+    const next = {};
+    for (const from of frontier) {
+      for (const { pool, to } of edges[from] || []) {
+        if (reached[to]) continue;
+        const liquidity = Math.min(reached[from].liquidity, pool.liquidity);
+        if (!next[to] || liquidity > next[to].liquidity) {
+          next[to] = { liquidity, hops: [...reached[from].hops, routeHop(pool, from)] };
+        }
+      }
+    }
+    Object.assign(reached, next);
+    if (reached[baseTokenAddress]) {
+      return [...reached[baseTokenAddress].hops, routeHop(pairData, baseTokenAddress)];
+    }
+    frontier = Object.keys(next);
+  }
+  return null;
+}
+
+/**
+ * Chain single-pool quotes along a route. Sell tax comes off the tokens sent into
+ * the first pool, buy tax off the tokens received from the last, as in quoteSwap.
+ */
+async function quoteRoute({ tradeData, route, amountIn, action = "buy" }) {
+  try {
+    let amount = action === "sell" ? applyTax(amountIn, tradeData.sell_tax) : BigInt(amountIn.toString());
+    for (const hop of route) {
+      const isToken0In = hop.token0.toLowerCase() === hop.tokenIn;
+      if (hop.isV4) {
+        amount = await quoteV4({ tradeData: hop, amountIn: amount, action: "buy", tokenIn: hop.tokenIn });
+      } else if (hop.isV3) {
+        amount = await quoteV3({ tradeData: hop, amountIn: amount, isToken0In, action: "buy" });
+      } else {
+        amount = await quoteV2({ tradeData: hop, amountIn: amount, isToken0In, action: "buy" });
+      }
+    }
+    if (action === "buy") amount = applyTax(amount, tradeData.buy_tax);
+    return { success: true, amountOut: amount, source: "route" };
+  } catch (e) {
+    return {
+      success: false,
+      message: `${action} route quote failed`,
+      error: e.shortMessage || e.message || e,
+      reverted: e.code === "CALL_EXCEPTION",
+    };
+  }
+}
+
+/**
+ * Universal Router commands for a route: consecutive hops on the same protocol
+ * share one command. The first pulls amountIn from the wallet via Permit2, later
+ * ones spend what the router holds, and only the last enforces minAmountOut and
+ * pays the wallet.
+ */
+function encodeRoute(route, amountIn, minAmountOut) {
+  const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+  const kind = (hop) => (hop.isV4 ? "v4" : hop.isV3 ? "v3" : "v2");
+  const segments = [];
+  for (const hop of route) {
+    const last = segments[segments.length - 1];
+    if (last && last.kind === kind(hop)) last.hops.push(hop);
+    else segments.push({ kind: kind(hop), hops: [hop] });
+  }
+
+  const commands = [];
+  const inputs = [];
+  segments.forEach(({ kind: segmentKind, hops }, i) => {
+    const isFirst = i === 0;
+    const isLast = i === segments.length - 1;
+    const recipient = isLast ? wallet.address : ROUTER_ADDRESS_THIS;
+    const segmentIn = isFirst ? BigInt(amountIn.toString()) : ROUTER_CONTRACT_BALANCE;
+    const segmentMinOut = isLast ? BigInt(minAmountOut.toString()) : 0n;
+    const currencyIn = hops[0].tokenIn;
+    const currencyOut = hops[hops.length - 1].tokenOut;
+
+    if (segmentKind === "v2") {
+      commands.push(V4_COMMANDS.V2_SWAP_EXACT_IN);
+      inputs.push(abiCoder.encode(
+        ["address", "uint256", "uint256", "address[]", "bool"],
+        [recipient, segmentIn, segmentMinOut, [currencyIn, ...hops.map((hop) => hop.tokenOut)], isFirst]
+      ));
+    } else if (segmentKind === "v3") {
+      const types = ["address"];
+      const values = [currencyIn];
+      for (const hop of hops) {
+        types.push("uint24", "address");
+        values.push(Math.round(hop.fee * 10000), hop.tokenOut);
+      }
+      commands.push(V4_COMMANDS.V3_SWAP_EXACT_IN);
+      inputs.push(abiCoder.encode(
+        ["address", "uint256", "uint256", "bytes", "bool"],
+        [recipient, segmentIn, segmentMinOut, ethers.solidityPacked(types, values), isFirst]
+      ));
+    } else {
+      const path = hops.map((hop) => [
+        hop.tokenOut,
+        hop.fee,
+        hop.tickSpacing || feeToTickSpacing[hop.fee] || 60,
+        hop.hooks || ethers.ZeroAddress,
+        "0x",
+      ]);
+      const swapParam = abiCoder.encode(
+        ["tuple(address,tuple(address,uint24,int24,address,bytes)[],uint128,uint128)"],
+        [[currencyIn, path, isFirst ? segmentIn : V4_OPEN_DELTA, segmentMinOut]]
+      );
+      // Mid-route the router's balance is settled first and swapped as open credit
+      const actions = isFirst
+        ? [V4_ACTIONS.SWAP_EXACT_IN, V4_ACTIONS.SETTLE_ALL]
+        : [V4_ACTIONS.SETTLE, V4_ACTIONS.SWAP_EXACT_IN];
+      const params = isFirst
+        ? [swapParam, abiCoder.encode(["address", "uint256"], [currencyIn, segmentIn])]
+        : [abiCoder.encode(["address", "uint256", "bool"], [currencyIn, ROUTER_CONTRACT_BALANCE, false]), swapParam];
+      if (isLast) {
+        actions.push(V4_ACTIONS.TAKE_ALL);
+        params.push(abiCoder.encode(["address", "uint256"], [currencyOut, segmentMinOut]));
+      } else {
+        actions.push(V4_ACTIONS.TAKE);
+        params.push(abiCoder.encode(["address", "address", "uint256"], [currencyOut, ROUTER_ADDRESS_THIS, V4_OPEN_DELTA]));
+      }
+      commands.push(V4_COMMANDS.V4_SWAP);
+      inputs.push(abiCoder.encode(
+        ["bytes", "bytes[]"],
+        [ethers.solidityPacked(actions.map(() => "uint8"), actions), params]
+      ));
+    }
+  });
+
+  return { commands: ethers.solidityPacked(commands.map(() => "uint8"), commands), inputs };
+}
+
+async function swapRoute({ tradeData, route, amountIn, minAmountOut, action, priority, submission, intent }) {
+  if (!amountIn || amountIn.toString() === "0") {
+    throw new Error("Invalid amountIn for route swap");
+  }
+
+  log(`[SWAP] Route ${action}: ${routeLabel(route)}`);
+
+  // Deadline is set when the queued transaction is actually broadcast
+  const receipt = await sendTransactionWithRetry(
+    () => swapRequest(60, (deadline) => populateSwap({ tradeData, amountIn, minAmountOut, action, route, deadline })),
+    { priority, submission, label: `Route ${action} ${tradeData.pairAddress}`, intent: intent && { id: intent, step: "swap" } }
+  );
+
+  const lastHop = route[route.length - 1];
+  const amountOut = sumTransfers(receipt, lastHop.tokenOut, { to: wallet.address });
+  if (amountOut === null) {
+    return { success: false, message: "Could not find transfer event in transaction logs", receipt };
+  }
+  return { success: true, amountHex: amountOut.toString(), readableAmount: formatTokenAmount(amountOut, hopDecimals(lastHop, lastHop.tokenOut)), receipt };
+}
+
+// ── Simulated execution (DRY_RUN) ──
+
+/**
+ * Pool fee in percent. V4 fees are in hundredths of a bip, V3 fees arrive from the
+ * feed already in percent (see swapV3), V2 pairs charge a flat 0.3%.
+ */
+function poolFeePct(tradeData) {
+  if (tradeData.isV4) return (tradeData.fee || 0) / 10000;
+  if (tradeData.isV3) return tradeData.fee || 0;
+  return Number(V2_FEE_BPS) / 100;
+}
+
+/**
+ * Approximate price impact (0-1) of trading `baseAmount` of the base token into a
+ * constant-product pool. The feed reports `liquidity` as total pool value in USD,
+ * so half of it is the reserve on the side we trade into.
+ */
+function estimatePriceImpact(baseAmount, baseTokenAddress, liquidity) {
+  if (!(liquidity > 0) || !(baseAmount > 0)) return 0;
+  const baseUsd = usdPrices[baseTokenSymbol(baseTokenAddress)] || 0;
+  if (!(baseUsd > 0)) return 0;
+  const tradeUsd = baseAmount * baseUsd;
+  const reserveUsd = liquidity / 2;
+  return tradeUsd / (reserveUsd + tradeUsd);
+}
+
+/**
+ * Input a paper-traded exact-output swap needs for `amountOut` at the feed price,
+ * after the pool fee, taxes and price impact (estimated on the output side).
+ * Returns a raw bigint, or null while the pair has no price.
+ */
+function simulatedAmountIn({ tradeData, amountOut, isToken0In, action }) {
+  const pairData = computedPairData[tradeData.pairAddress];
+  const price = pairData ? pairData.last_price : 0;
+  if (!(price > 0)) return null;
+
+  const baseTokenAddress = isToken0In ? tradeData.token0 : tradeData.token1;
+  const baseDecimals = (isToken0In ? tradeData.token0Decimals : tradeData.token1Decimals) || 18;
+  const tokenDecimals = (isToken0In ? tradeData.token1Decimals : tradeData.token0Decimals) || 18;
+  const feeFactor = 1 - poolFeePct(tradeData) / 100;
+
+  let needed;
+  let inDecimals;
+  if (action === "buy") {
+    const baseNet = parseFloat(ethers.formatUnits(amountOut, tokenDecimals)) * price / (1 - (tradeData.buy_tax || 0) / 100);
+    const impact = estimatePriceImpact(baseNet, baseTokenAddress, pairData.liquidity);
+    needed = baseNet / (feeFactor * (1 - impact));
+    inDecimals = baseDecimals;
+  } else {
+    const baseOut = parseFloat(ethers.formatUnits(amountOut, baseDecimals));
+    const impact = estimatePriceImpact(baseOut, baseTokenAddress, pairData.liquidity);
+    needed = baseOut / (feeFactor * (1 - impact)) / price / (1 - (tradeData.sell_tax || 0) / 100);
+    inDecimals = tokenDecimals;
+  }
+  return ethers.parseUnits(Math.max(needed, 0).toFixed(inDecimals), inDecimals);
+}
+
+/**
+ * Paper-trade fill at the pair's current feed price. Applies the pool fee,
+ * buy_tax / sell_tax and a liquidity-based price impact, and returns the same
+ * shape as the on-chain swap functions. With `amountOut` the fill is exact-output
+ * and `amountIn` is the most it may spend.
+ */
+function simulateSwap({ tradeData, amountIn, isToken0In, minAmountOut = 0, action, amountOut: exactOut = null }) {
+  const pairData = computedPairData[tradeData.pairAddress];
+  const price = pairData ? pairData.last_price : 0;
+  if (!(price > 0)) {
+    return { success: false, message: `${action} simulation failed`, error: "No current price for pair" };
+  }
+
+  if (exactOut !== null) {
+    const needed = simulatedAmountIn({ tradeData, amountOut: exactOut, isToken0In, action });
+    if (needed > BigInt(amountIn.toString())) {
+      return { success: false, message: `${action} failed`, error: "Simulated input above amountIn maximum" };
+    }
+    const exactDecimals = ((action === "buy") === isToken0In ? tradeData.token1Decimals : tradeData.token0Decimals) || 18;
+    log(`[SIM] exact-output ${action} ${tradeData.pairAddress} at ${price} -> ${formatTokenAmount(exactOut, exactDecimals)}`);
+    return { success: true, amountHex: exactOut.toString(), readableAmount: formatTokenAmount(exactOut, exactDecimals), amountInHex: needed.toString(), simulated: true };
+  }
+
+  const baseTokenAddress = isToken0In ? tradeData.token0 : tradeData.token1;
+  const baseDecimals = (isToken0In ? tradeData.token0Decimals : tradeData.token1Decimals) || 18;
+  const tokenDecimals = (isToken0In ? tradeData.token1Decimals : tradeData.token0Decimals) || 18;
+  const feeFactor = 1 - poolFeePct(tradeData) / 100;
+
+  let outAmount;
+  let outDecimals;
+  if (action === "buy") {
+    const baseIn = parseFloat(ethers.formatUnits(amountIn, baseDecimals));
+    const impact = estimatePriceImpact(baseIn, baseTokenAddress, pairData.liquidity);
+    outAmount = (baseIn * feeFactor * (1 - impact) / price) * (1 - (tradeData.buy_tax || 0) / 100);
+    outDecimals = tokenDecimals;
+  } else {
+    const tokensIn = parseFloat(ethers.formatUnits(amountIn, tokenDecimals)) * (1 - (tradeData.sell_tax || 0) / 100);
+    const grossOut = tokensIn * price;
+    const impact = estimatePriceImpact(grossOut, baseTokenAddress, pairData.liquidity);
+    outAmount = grossOut * feeFactor * (1 - impact);
+    outDecimals = baseDecimals;
+  }
+
+  const amountOut = ethers.parseUnits(Math.max(outAmount, 0).toFixed(outDecimals), outDecimals);
+  if (amountOut < BigInt(minAmountOut.toString())) {
+    return { success: false, message: `${action} failed`, error: "Simulated output below minAmountOut" };
+  }
+
+  log(`[SIM] ${action} ${tradeData.pairAddress} at ${price} -> ${formatTokenAmount(amountOut, outDecimals)}`);
+  return { success: true, amountHex: amountOut.toString(), readableAmount: formatTokenAmount(amountOut, outDecimals), simulated: true };
+}
+
+/**
+ * Paper-trade fill for a routed swap: the hub hops convert WETH to the pair's base
+ * at the USD-implied rate less their pool fees, and the pair itself is simulated
+ * as a direct swap. Amounts in and out on the WETH side are WETH.
+ */
+function simulateRoute({ tradeData, route, amountIn, isToken0In, minAmountOut = 0, action }) {
+  const baseTokenAddress = isToken0In ? tradeData.token0 : tradeData.token1;
+  const baseDecimals = (isToken0In ? tradeData.token0Decimals : tradeData.token1Decimals) || 18;
+  const rate = baseEthRate(baseTokenAddress);
+  if (!rate) {
+    return { success: false, message: `${action} simulation failed`, error: `No USD price for ${baseTokenSymbol(baseTokenAddress)}` };
+  }
+  const hubHops = route.filter((hop) => hop.pairAddress !== tradeData.pairAddress);
+  const hubFactor = hubHops.reduce((factor, hop) => factor * (1 - poolFeePct(hop) / 100), 1);
+
+  if (action === "buy") {
+    const baseIn = parseFloat(ethers.formatEther(amountIn)) * hubFactor / rate;
+    return simulateSwap({ tradeData, amountIn: ethers.parseUnits(baseIn.toFixed(baseDecimals), baseDecimals), isToken0In, minAmountOut, action });
+  }
+
+  const result = simulateSwap({ tradeData, amountIn, isToken0In, action });
+  if (!result.success) return result;
+  const wethOut = parseFloat(ethers.formatUnits(result.amountHex, baseDecimals)) * rate * hubFactor;
+  const amountOut = ethers.parseEther(Math.max(wethOut, 0).toFixed(18));
+  if (amountOut < BigInt(minAmountOut.toString())) {
+    return { success: false, message: `${action} failed`, error: "Simulated output below minAmountOut" };
+  }
+  return { success: true, amountHex: amountOut.toString(), readableAmount: formatTokenAmount(amountOut, 18), simulated: true };
+}
+
+// ── Transaction log parsing ──
+
+function parseTransactionLogs(txReceipt, tokenDecimals) {
+  try {
+    const transferEventSignature = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+    const normalizedWallet = "0x" + wallet.address.toLowerCase().slice(2).padStart(64, "0");
+
+    const transferLog = txReceipt.logs.find(
+      (log) =>
+        log.topics[0] === transferEventSignature &&
+        log.topics[2] &&
+        log.topics[2].toLowerCase() === normalizedWallet
+    );
+
+    if (!transferLog) {
+      return { success: false, message: "Could not find transfer event in transaction logs" };
+    }
+
+    const amountBig = BigInt(transferLog.data);
+    const readableAmount = formatTokenAmount(amountBig, tokenDecimals);
+
+    return { success: true, amountHex: amountBig.toString(), readableAmount };
+  } catch (error) {
+    return { success: false, message: "Transaction log parsing failed", error: error.message };
+  }
+}
+
+function parseSwapLog(swapLog, tokenDecimals, isToken0In) {
+  const dataHex = swapLog.data.startsWith("0x") ? swapLog.data.slice(2) : swapLog.data;
+
+  function parseSignedInt256(hex) {
+    hex = hex.padStart(64, "0");
+    const val = BigInt("0x" + hex);
+    const max = (1n << 255n) - 1n;
+    return val > max ? val - (1n << 256n) : val;
+  }
+
+  const amount0 = parseSignedInt256(dataHex.slice(0, 64));
+  const amount1 = parseSignedInt256(dataHex.slice(64, 128));
+
+  let tokenOutAmount = isToken0In ? amount1 : amount0;
+  if (tokenOutAmount < 0n) tokenOutAmount = -tokenOutAmount;
+
+  const readableAmount = formatTokenAmount(tokenOutAmount, tokenDecimals);
+  return { success: true, amountHex: tokenOutAmount.toString(), readableAmount };
+}
+
+function parseTransactionLogsV3(txReceipt, tokenDecimals, isToken0In) {
+  try {
+    const swapEventSignature = "0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67";
+    const swapLog = txReceipt.logs.find((l) => l.topics[0].toLowerCase() === swapEventSignature);
+
+    if (!swapLog) {
+      return { success: false, message: "Could not find swap event in transaction logs" };
+    }
+
+    return parseSwapLog(swapLog, tokenDecimals, isToken0In);
+  } catch (error) {
+    return { success: false, message: "V3 log parsing failed", error: error.message };
+  }
+}
+
+function parseTransactionLogsV4(txReceipt, tokenDecimals, isToken0In) {
+  try {
+    const transferEventSignature = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+    const normalizedWallet = "0x" + wallet.address.toLowerCase().slice(2).padStart(64, "0");
+
+    const transferLogs = txReceipt.logs.filter(
+      (l) =>
+        l.topics[0] === transferEventSignature &&
+        l.topics[2] &&
+        l.topics[2].toLowerCase() === normalizedWallet
+    );
+
+    if (transferLogs.length === 0) {
+      // Fallback: try V3 Swap event parsing
+      const swapEventSignature = "0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67";
+      const swapLog = txReceipt.logs.find((l) => l.topics[0].toLowerCase() === swapEventSignature);
+      if (swapLog) {
+        return parseSwapLog(swapLog, tokenDecimals, isToken0In);
+      }
+      return { success: false, message: "No transfer or swap logs found for V4 transaction" };
+    }
+
+    const transferLog = transferLogs[transferLogs.length - 1];
+    const amountBig = BigInt(transferLog.data);
+    const readableAmount = formatTokenAmount(amountBig, tokenDecimals);
+
+    return { success: true, amountHex: amountBig.toString(), readableAmount };
+  } catch (error) {
+    return { success: false, message: "V4 log parsing failed", error: error.message };
+  }
+}
+
+// ── Fills & gas ──
+
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+/**
+ * Sum the ERC20 Transfer amounts of `token` in a receipt, filtered by sender
+ * and/or recipient. Returns null when no matching log exists.
+ */
+function sumTransfers(receipt, token, { from = null, to = null } = {}) {
+  const topicFor = (addr) => "0x" + addr.toLowerCase().slice(2).padStart(64, "0");
+  let total = null;
+  for (const l of receipt.logs || []) {
+    if (l.topics[0] !== TRANSFER_TOPIC || l.topics.length < 3) continue;
+    if (l.address.toLowerCase() !== token.toLowerCase()) continue;
+    if (from && l.topics[1].toLowerCase() !== topicFor(from)) continue;
+    if (to && l.topics[2].toLowerCase() !== topicFor(to)) continue;
+    total = (total || 0n) + BigInt(l.data);
+  }
+  return total;
+}
+
+/**
+ * Total cost of mined transactions in ETH: gasUsed × effective gas price, plus
+ * the L1 data fee that OP-stack chains (Base) report only in the raw receipt.
+ */
+async function gasCostEth(receipts) {
+  let wei = 0n;
+  for (const receipt of receipts) {
+    if (!receipt) continue;
+    wei += BigInt(receipt.gasUsed) * BigInt(receipt.gasPrice || 0n);
+    try {
+      const raw = await provider.send("eth_getTransactionReceipt", [receipt.hash]);
+      if (raw && raw.l1Fee) wei += BigInt(raw.l1Fee);
+    } catch { /* L1 fee unavailable, count L2 gas only */ }
+  }
+  return parseFloat(ethers.formatEther(wei));
+}
+
+/**
+ * Describe an executed swap from what actually moved on-chain: the base and token
+ * amounts from the wallet's Transfer logs (falling back to the requested input and
+ * the parsed output), gas for all of the action's transactions, the execution
+ * price in base per token, and its slippage against the feed price (positive =
+ * worse than the feed). Routed swaps pay or receive `fundToken` (WETH) instead;
+ * it is reported as fund_amount and converted to base at `baseRate` (ETH per base)
+ * so the execution price stays comparable with the feed.
+ */
+async function summarizeFill({ action, tradeData, baseTokenAddress, amountIn, result, receipts, feedPrice, fundToken = null, baseRate = null }) {
+  const isBase0 = tradeData.token0.toLowerCase() === baseTokenAddress.toLowerCase();
+  const tokenAddress = isBase0 ? tradeData.token1 : tradeData.token0;
+  const baseDecimals = (isBase0 ? tradeData.token0Decimals : tradeData.token1Decimals) || 18;
+  const tokenDecimals = (isBase0 ? tradeData.token1Decimals : tradeData.token0Decimals) || 18;
+  const payToken = fundToken || baseTokenAddress;
+  const isBuy = action === "buy";
+
+  // Exact-output swaps report what they actually spent, which is below the amountIn cap
+  let rawIn = BigInt(result.amountInHex || amountIn.toString());
+  let rawOut = BigInt(result.amountHex || "0");
+  if (result.receipt && wallet) {
+    rawIn = sumTransfers(result.receipt, isBuy ? payToken : tokenAddress, { from: wallet.address }) ?? rawIn;
+    rawOut = sumTransfers(result.receipt, isBuy ? tokenAddress : payToken, { to: wallet.address }) ?? rawOut;
+  }
+
+  const fundAmount = fundToken ? parseFloat(ethers.formatEther(isBuy ? rawIn : rawOut)) : null;
+  const baseAmount = fundToken
+    ? (baseRate > 0 ? fundAmount / baseRate : 0)
+    : parseFloat(ethers.formatUnits(isBuy ? rawIn : rawOut, baseDecimals));
+  const tokenAmount = parseFloat(ethers.formatUnits(isBuy ? rawOut : rawIn, tokenDecimals));
+  const execPrice = tokenAmount > 0 ? baseAmount / tokenAmount : 0;
+  const slippage = feedPrice > 0 && execPrice > 0
+    ? ((isBuy ? execPrice - feedPrice : feedPrice - execPrice) / feedPrice) * 100
+    : null;
+
+  const mined = receipts.filter(Boolean);
+  return {
+    tx_hashes: mined.map((r) => r.hash),
+    gas_eth: mined.length > 0 ? await gasCostEth(mined) : 0,
+    base_amount: baseAmount,
+    ...(fundToken ? { fund_amount: fundAmount } : {}),
+    token_amount: tokenAmount,
+    token_amount_hex: (isBuy ? rawOut : rawIn).toString(),
+    exec_price: execPrice,
+    feed_price: feedPrice,
+    slippage_vs_feed_pct: slippage,
+  };
+}
+
+/**
+ * Average slippage_vs_feed_pct over fills (lots or sells), weighted by `weightKey`.
+ */
+function weightedSlippagePct(fills, weightKey) {
+  let sum = 0;
+  let weight = 0;
+  for (const fill of fills || []) {
+    if (typeof fill.slippage_vs_feed_pct !== "number") continue;
+    sum += fill.slippage_vs_feed_pct * (fill[weightKey] || 0);
+    weight += fill[weightKey] || 0;
+  }
+  return weight > 0 ? parseFloat((sum / weight).toFixed(4)) : null;
+}
+
+// ── Treasury ──
+
+// Wallet inventory. Native ETH pays gas and WETH/ZORA/CLANKER fund buys. Balances
+// are cached, refreshed on a timer and after every trade, and ETH is wrapped or
+// unwrapped to keep tx gas at treasury.gasReserveEth and WETH at the trading float.
+const TREASURY_TOKENS = { WETH: WETH_BASE, ZORA: ZORA_BASE, CLANKER: CLANKER_BASE }; // all 18 decimals
+const TREASURY_RECENT_LIMIT = 20;
+
+const treasuryState = {
+  balances: null,       // { ETH, WETH, ZORA, CLANKER } in whole units; null until first read
+  updated_at: null,
+  pending: [],          // wraps/unwraps not yet mined
+  recent: [],           // finished wraps/unwraps, newest last
+  last_error: null,
+  low_gas_warned: false,
+  running: false,
+};
+
+function treasurySettings() {
+  return { ...DEFAULT_CONFIG.treasury, ...(config.treasury || {}) };
+}
+
+function tradingFloatEth() {
+  const settings = treasurySettings();
+  return settings.tradingFloatEth > 0 ? settings.tradingFloatEth : config.maxEthPerTradeValue;
+}
+
+/**
+ * Base token committed to buys that are still in flight. Routed buys commit WETH.
+ */
+function reservedBase(symbol) {
+  let reserved = 0;
+  for (const r of Object.values(riskState.reservations)) {
+    if (r.fundSymbol) {
+      if (r.fundSymbol === symbol) reserved += r.fund;
+    } else if ((r.baseSymbol || "WETH") === symbol) {
+      reserved += r.base ?? r.eth ?? 0;
+    }
+  }
+  return reserved;
+}
+
+function availableBase(symbol) {
+  if (!treasuryState.balances) return null;
+  return Math.max((treasuryState.balances[symbol] || 0) - reservedBase(symbol), 0);
+}
+
+async function refreshTreasuryBalances() {
+  const [eth, ...tokens] = await Promise.all([
+    readBalance(null),
+    ...Object.values(TREASURY_TOKENS).map((address) => readBalance(address)),
+  ]);
+  const balances = { ETH: parseFloat(ethers.formatEther(eth)) };
+  Object.keys(TREASURY_TOKENS).forEach((symbol, i) => { balances[symbol] = parseFloat(ethers.formatEther(tokens[i])); });
+  treasuryState.balances = balances;
+  treasuryState.updated_at = now();
+  return balances;
+}
+
+/**
+ * Entry gate: the wallet must hold enough of the pair's base token, net of other
+ * in-flight buys. Passes when balances are unknown (never read yet) or simulated.
+ */
+function checkTreasuryFloat(baseSymbol, baseAmount) {
+  const available = DRY_RUN ? null : availableBase(baseSymbol);
+  if (available === null || available >= baseAmount) return { allowed: true, reason: null };
+  return { allowed: false, reason: `${baseSymbol} float ${available.toFixed(6)} cannot cover ${baseAmount.toFixed(6)} ${baseSymbol}` };
+}
+
+/**
+ * Wrap (ETH -> WETH) or unwrap (WETH -> ETH) through the transaction manager.
+ */
+async function runTreasuryTx(type, amountEth) {
+  const amount = ethers.parseEther(amountEth.toFixed(18));
+  const weth = new ethers.Contract(WETH_BASE, WETH_ABI, wallet);
+  const entry = { type, amount_eth: amountEth, started_at: new Date(now()).toISOString() };
+  treasuryState.pending.push(entry);
+  log(`[TREASURY] ${type === "wrap" ? "Wrapping" : "Unwrapping"} ${amountEth.toFixed(6)} ETH`);
+
+  try {
+    const receipt = await sendTransactionWithRetry(
+      () => type === "wrap" ? weth.deposit.populateTransaction({ value: amount }) : weth.withdraw.populateTransaction(amount),
+      { priority: "treasury", label: `${type} ${amountEth.toFixed(6)} ETH` }
+    );
+    entry.status = "confirmed";
+    entry.tx_hash = receipt.hash;
+    entry.gas_eth = await gasCostEth([receipt]);
+    log(`[TREASURY] ${type} confirmed: ${receipt.hash}`);
+  } catch (error) {
+    entry.status = "failed";
+    entry.error = error.message;
+    log(`[TREASURY] ${type} failed: ${error.message}`);
+  } finally {
+    entry.finished_at = new Date(now()).toISOString();
+    treasuryState.pending = treasuryState.pending.filter((e) => e !== entry);
+    treasuryState.recent.push(entry);
+    if (treasuryState.recent.length > TREASURY_RECENT_LIMIT) treasuryState.recent.shift();
+  }
+  return entry.status === "confirmed";
+}
+
+/**
+ * Refresh balances, then top up the gas reserve (unwrap) or the trading float
+ * (wrap). The gas reserve comes first: without gas, exits cannot run. Paper
+ * trading only refreshes balances.
+ */
+async function maintainTreasury() {
+  if (treasuryState.running || !wallet) return;
+  treasuryState.running = true;
+  try {
+    const balances = await refreshTreasuryBalances();
+    treasuryState.last_error = null;
+    if (DRY_RUN) return;
+
+    const settings = treasurySettings();
+    const wethAvailable = availableBase("WETH");
+    const gasShort = settings.gasReserveEth - balances.ETH;
+
+    if (gasShort > 0) {
+      const amount = Math.min(gasShort, wethAvailable);
+      if (settings.autoUnwrap && amount >= settings.minWrapEth) {
+        if (await runTreasuryTx("unwrap", amount)) await refreshTreasuryBalances();
+      } else if (!treasuryState.low_gas_warned) {
+        log(`[TREASURY] WARNING: ${balances.ETH.toFixed(6)} ETH is below the ${settings.gasReserveEth} ETH gas reserve`);
+        treasuryState.low_gas_warned = true;
+      }
+      return;
+    }
+    treasuryState.low_gas_warned = false;
+
+    const amount = Math.min(tradingFloatEth() - wethAvailable, balances.ETH - settings.gasReserveEth);
+    if (settings.autoWrap && amount >= settings.minWrapEth) {
+      if (await runTreasuryTx("wrap", amount)) await refreshTreasuryBalances();
+    }
+  } catch (error) {
+    treasuryState.last_error = error.message;
+    log(`[TREASURY] Balance check failed: ${error.message}`);
+  } finally {
+    treasuryState.running = false;
+  }
+}
+
+function scheduleTreasuryChecks() {
+  const intervalSec = Math.max(treasurySettings().checkIntervalSec || 0, 5);
+  setTimeout(async () => {
+    await maintainTreasury();
+    scheduleTreasuryChecks();
+  }, intervalSec * 1000);
+}
+
+function getTreasuryStatus() {
+  const settings = treasurySettings();
+  const balances = treasuryState.balances;
+  const reserved = Object.fromEntries(Object.keys(TREASURY_TOKENS).map((symbol) => [symbol, reservedBase(symbol)]));
+  let totalEth = null;
+  if (balances) {
+    totalEth = balances.ETH;
+    for (const symbol of Object.keys(TREASURY_TOKENS)) {
+      const rate = baseEthRate(TREASURY_TOKENS[symbol]);
+      if (rate) totalEth += balances[symbol] * rate;
+    }
+  }
+  const wethAvailable = availableBase("WETH");
+  return {
+    address: wallet ? wallet.address : null,
+    dry_run: DRY_RUN,
+    balances,
+    total_eth_value: totalEth,
+    reserved: { gas_eth: settings.gasReserveEth, ...reserved },
+    available: balances ? Object.fromEntries(Object.keys(TREASURY_TOKENS).map((symbol) => [symbol, availableBase(symbol)])) : null,
+    float: {
+      target_eth: tradingFloatEth(),
+      available_eth: wethAvailable,
+      covers_max_trade: wethAvailable === null ? null : wethAvailable >= config.maxEthPerTradeValue,
+    },
+    pending: treasuryState.pending,
+    recent: treasuryState.recent.slice().reverse(),
+    updated_at: treasuryState.updated_at ? new Date(treasuryState.updated_at).toISOString() : null,
+    last_error: treasuryState.last_error,
+    settings,
+  };
+}
+
+// ── Risk management ──
+
+const riskState = {
+  reservations: {},          // pairAddress → { eth, tokenAddress } for buys in flight
+  halted_until: null,        // daily-loss circuit breaker: entries blocked until next UTC day
+  halted_reason: null,
+  breaker_overridden_day: null, // set by /resume so the breaker doesn't re-trip the same day
+};
+
+function riskSettings() {
+  return { ...DEFAULT_CONFIG.risk, ...(config.risk || {}) };
+}
+
+function utcDayStart(ts) {
+  const d = new Date(ts);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+function dailyRealizedPnlEth() {
+  const dayStart = utcDayStart(now());
+  let pnl = 0;
+  for (const t of inactiveTrades) {
+    if ((t.closed_at || 0) >= dayStart) pnl += realizedPnlEth(t);
+  }
+  return pnl;
+}
+
+/**
+ * Losing trades closed back-to-back, most recent first, with the last loss time.
+ */
+function consecutiveLosses() {
+  let count = 0;
+  let lastLossAt = null;
+  for (let i = inactiveTrades.length - 1; i >= 0; i--) {
+    const t = inactiveTrades[i];
+    if (realizedPnlEth(t) >= 0) break;
+    if (lastLossAt === null) lastLossAt = t.closed_at || null;
+    count++;
+  }
+  return { count, lastLossAt };
+}
+
+/**
+ * ETH still deployed (cost basis not yet recovered by sells), plus buys in flight.
+ * Pass a token address to get the exposure to that token only.
+ */
+function ethExposure(tokenAddress = null) {
+  let exposure = 0;
+  for (const t of Object.values(activeTrades)) {
+    if (tokenAddress && (t.tokenAddress || "").toLowerCase() !== tokenAddress) continue;
+    exposure += Math.max((t.eth_spent || 0) - (t.eth_sold || 0), 0);
+  }
+  for (const r of Object.values(riskState.reservations)) {
+    if (tokenAddress && r.tokenAddress !== tokenAddress) continue;
+    exposure += r.eth;
+  }
+  return exposure;
+}
+
+function tradeBaseSymbol(t) {
+  return t.base_symbol || baseTokenSymbol(t.baseToken);
+}
+
+/**
+ * Open cost basis in a base token's own units: base spent and not yet recovered
+ * by sells, plus buys in flight.
+ */
+function baseExposure(symbol) {
+  let exposure = 0;
+  for (const t of Object.values(activeTrades)) {
+    if (tradeBaseSymbol(t) !== symbol) continue;
+    exposure += Math.max((t.base_spent ?? t.eth_spent ?? 0) - (t.base_sold ?? t.eth_sold ?? 0), 0);
+  }
+  for (const r of Object.values(riskState.reservations)) {
+    if (r.baseSymbol === symbol) exposure += r.base || 0;
+  }
+  return exposure;
+}
+
+/**
+ * Trip the daily-loss circuit breaker if today's realized loss exceeds the limit.
+ * Only new entries are halted; exits keep running.
+ */
+function checkDailyLossBreaker() {
+  const limits = riskSettings();
+  const today = utcDayStart(now());
+  if (riskState.halted_until && now() >= riskState.halted_until) {
+    log("[RISK] Daily loss circuit breaker reset for the new day");
+    riskState.halted_until = null;
+    riskState.halted_reason = null;
+  }
+  if (!(limits.maxDailyLossEth > 0) || riskState.halted_until || riskState.breaker_overridden_day === today) return;
+
+  const pnl = dailyRealizedPnlEth();
+  if (-pnl >= limits.maxDailyLossEth) {
+    riskState.halted_until = today + 24 * 60 * 60 * 1000;
+    riskState.halted_reason = `daily realized loss ${(-pnl).toFixed(6)} ETH >= limit ${limits.maxDailyLossEth} ETH`;
+    log(`[RISK] Circuit breaker TRIPPED: ${riskState.halted_reason}. New entries paused until ${new Date(riskState.halted_until).toISOString()}`);
+  }
+}
+
+// Open trades plus in-flight first buys (a reservation on an open pair is an add-on)
+function openPositionCount() {
+  return new Set([...Object.keys(activeTrades), ...Object.keys(riskState.reservations)]).size;
+}
+
+/**
+ * Decide whether a new buy of `ethAmount` on this pair fits the portfolio limits.
+ * Returns { allowed, reason }.
+ */
+function checkRisk(pairAddress, pairData, ethAmount) {
+  const limits = riskSettings();
+
+  checkDailyLossBreaker();
+  if (riskState.halted_until) {
+    return { allowed: false, reason: `circuit breaker: ${riskState.halted_reason}` };
+  }
+
+  // Adding to an open position does not open a new trade
+  const openCount = openPositionCount();
+  if (limits.maxOpenTrades > 0 && !activeTrades[pairAddress] && openCount >= limits.maxOpenTrades) {
+    return { allowed: false, reason: `max open trades reached (${openCount}/${limits.maxOpenTrades})` };
+  }
+
+  if (limits.maxTotalEthExposure > 0) {
+    const exposure = ethExposure();
+    if (exposure + ethAmount > limits.maxTotalEthExposure) {
+      return { allowed: false, reason: `total exposure ${(exposure + ethAmount).toFixed(6)} ETH would exceed ${limits.maxTotalEthExposure} ETH` };
+    }
+  }
+
+  const tokenAddress = (pairData.tokenAddress || "").toLowerCase();
+  if (limits.maxEthPerToken > 0 && tokenAddress) {
+    const exposure = ethExposure(tokenAddress);
+    if (exposure + ethAmount > limits.maxEthPerToken) {
+      return { allowed: false, reason: `token exposure ${(exposure + ethAmount).toFixed(6)} ETH would exceed ${limits.maxEthPerToken} ETH` };
+    }
+  }
+
+  const baseTokenAddress = detectBaseToken(pairData.token0, pairData.token1);
+  const baseSymbol = baseTokenSymbol(baseTokenAddress);
+  const budget = (limits.baseTokenBudgets || {})[baseSymbol];
+  if (budget > 0) {
+    const ethRate = baseEthRate(baseTokenAddress);
+    if (!ethRate) return { allowed: false, reason: `no USD price for ${baseSymbol} to size against its budget` };
+    const exposure = baseExposure(baseSymbol) + ethAmount / ethRate;
+    if (exposure > budget) {
+      return { allowed: false, reason: `${baseSymbol} exposure ${exposure.toFixed(4)} would exceed budget ${budget} ${baseSymbol}` };
+    }
+  }
+
+  if (limits.maxConsecutiveLosses > 0) {
+    const { count, lastLossAt } = consecutiveLosses();
+    const cooldownUntil = (lastLossAt || 0) + limits.lossCooldownMinutes * 60 * 1000;
+    if (count >= limits.maxConsecutiveLosses && now() < cooldownUntil) {
+      return { allowed: false, reason: `${count} consecutive losses, cooling down until ${new Date(cooldownUntil).toISOString()}` };
+    }
+  }
+
+  return { allowed: true, reason: null };
+}
+
+function utilization(value, limit) {
+  return { value, limit, pct: limit > 0 ? parseFloat(((value / limit) * 100).toFixed(2)) : null };
+}
+
+function getRiskStatus() {
+  const limits = riskSettings();
+  const { count, lastLossAt } = consecutiveLosses();
+  const cooldownUntil = limits.maxConsecutiveLosses > 0 && count >= limits.maxConsecutiveLosses
+    ? (lastLossAt || 0) + limits.lossCooldownMinutes * 60 * 1000
+    : null;
+  const dailyLoss = Math.max(-dailyRealizedPnlEth(), 0);
+
+  return {
+    limits,
+    open_trades: utilization(openPositionCount(), limits.maxOpenTrades),
+    total_exposure_eth: utilization(ethExposure(), limits.maxTotalEthExposure),
+    daily_realized_loss_eth: utilization(dailyLoss, limits.maxDailyLossEth),
+    consecutive_losses: utilization(count, limits.maxConsecutiveLosses),
+    base_token_exposure: Object.fromEntries(
+      Object.entries(limits.baseTokenBudgets || {}).map(([symbol, budget]) => [symbol, utilization(baseExposure(symbol), budget)])
+    ),
+    cooldown_until: cooldownUntil && cooldownUntil > now() ? new Date(cooldownUntil).toISOString() : null,
+    entries_halted: !!riskState.halted_until,
+    halted_until: riskState.halted_until ? new Date(riskState.halted_until).toISOString() : null,
+    halted_reason: riskState.halted_reason,
+  };
+}
 
-  const settleParam = abiCoder.encode(
-    ["address", "uint128"],
-    [correctedIsToken0In ? token0 : token1, amountIn]
-  );
+// ── Protective orders ──
 
-  const takeParam = abiCoder.encode(
-    ["address", "uint128"],
-    [correctedIsToken0In ? token1 : token0, minAmountOut]
-  );
+// Stop-loss, take-profit tiers, trailing stop and max hold time attached to each
+// trade as `trade.protection`. They are checked on every feed event for the pair
+// and by a timer, so a position stays protected when its events stop arriving.
+const PROTECTION_ORDER_KEYS = ["stopLossPct", "takeProfits", "trailingStopPct", "maxHoldMinutes"];
+let protectionCheckRunning = false;
+const PRICE_PROBE_DIVISOR = 100n; // quiet-pair refreshes quote 1% of the position
 
-  const v4Input = abiCoder.encode(
-    ["bytes", "bytes[]"],
-    [actions, [swapParam, settleParam, takeParam]]
-  );
+function protectionSettings() {
+  return { ...DEFAULT_CONFIG.protection, ...(config.protection || {}) };
+}
 
-  const commands = ethers.solidityPacked(["uint8"], [V4_COMMANDS.V4_SWAP]);
-  const inputs = [v4Input];
-  const deadline = Math.floor(Date.now() / 1000) + 60;
+/**
+ * Validate a protection spec ({ stopLossPct, takeProfits, trailingStopPct,
+ * maxHoldMinutes }, any subset; null clears a field). Returns error strings.
+ */
+function validateProtection(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) return ["must be an object"];
 
-  // Pre-flight simulation
-  try {
-    await universalRouter["execute(bytes,bytes[],uint256)"].staticCall(
-      commands, inputs, deadline, { value: 0 }
-    );
-    log("[SWAP] V4 pre-flight simulation passed");
-  } catch (simError) {
-    log(`[SWAP] V4 pre-flight simulation failed: ${simError.message}`);
+  const errors = [];
+  for (const key of ["stopLossPct", "trailingStopPct", "maxHoldMinutes"]) {
+    if (spec[key] === undefined || spec[key] === null) continue;
+    if (typeof spec[key] !== "number" || !(spec[key] >= 0)) errors.push(`${key} must be a number >= 0`);
+  }
+  for (const key of ["stopLossPct", "trailingStopPct"]) {
+    if (spec[key] >= 100) errors.push(`${key} must be below 100`);
+  }
+  if (spec.takeProfits !== undefined && spec.takeProfits !== null) {
+    if (!Array.isArray(spec.takeProfits)) {
+      errors.push("takeProfits must be an array");
+    } else {
+      spec.takeProfits.forEach((tp, i) => {
+        if (!tp || typeof tp.atPct !== "number" || !(tp.atPct > 0)) errors.push(`takeProfits[${i}].atPct must be a number > 0`);
+        if (!tp || typeof tp.sellPct !== "number" || !(tp.sellPct > 0 && tp.sellPct <= 100)) errors.push(`takeProfits[${i}].sellPct must be > 0 and <= 100`);
+      });
+    }
   }
+  return errors;
+}
 
-  const receipt = await sendTransactionWithRetry(async (nonce) => {
-    const gasConfig = await getGasConfig();
-    return universalRouter["execute(bytes,bytes[],uint256)"](
-      commands, inputs, deadline,
-      {
-        nonce,
-        gasLimit: 800000,
-        maxFeePerGas: gasConfig.maxFeePerGas,
-        maxPriorityFeePerGas: gasConfig.maxPriorityFeePerGas,
-        type: 2,
-        value: 0,
-      }
-    );
-  });
+/**
+ * Convert a validated spec into the trade's protection record. Take-profit tiers
+ * are sorted by trigger level and carry filled_at once executed. Returns null
+ * when no order is set.
+ */
+function buildProtection(spec) {
+  const protection = {
+    stop_loss_pct: spec.stopLossPct || null,
+    take_profits: (spec.takeProfits || [])
+      .map((tp) => ({ at_pct: tp.atPct, sell_pct: tp.sellPct, filled_at: tp.filled_at || null }))
+      .sort((a, b) => a.at_pct - b.at_pct),
+    trailing_stop_pct: spec.trailingStopPct || null,
+    max_hold_minutes: spec.maxHoldMinutes || null,
+  };
+  const hasOrder = protection.stop_loss_pct || protection.take_profits.length > 0 ||
+    protection.trailing_stop_pct || protection.max_hold_minutes;
+  return hasOrder ? protection : null;
+}
 
-  const tokenDecimals = isToken0In ? (tradeData.token1Decimals || 18) : (tradeData.token0Decimals || 18);
-  return parseTransactionLogsV4(receipt, tokenDecimals, isToken0In);
+/**
+ * Resolve the spec for a policy: config-wide defaults overridden field by field
+ * by the policy's own `protection`.
+ */
+function protectionSpecForPolicy(policyId) {
+  const defaults = protectionSettings();
+  const policy = findPolicy(policyId);
+  const overrides = (policy && policy.protection) || {};
+  const spec = {};
+  for (const key of PROTECTION_ORDER_KEYS) {
+    spec[key] = overrides[key] !== undefined ? overrides[key] : defaults[key];
+  }
+  return spec;
 }
 
-// ── Transaction log parsing ──
+function protectionForPolicy(policyId) {
+  return buildProtection(protectionSpecForPolicy(policyId));
+}
 
-function parseTransactionLogs(txReceipt, tokenDecimals) {
-  try {
-    const transferEventSignature = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
-    const normalizedWallet = "0x" + wallet.address.toLowerCase().slice(2).padStart(64, "0");
+/**
+ * Merge a validated spec into an open trade's protection. Fields absent from
+ * the spec are kept, including the fill state of existing take-profit tiers.
+ */
+function updateTradeProtection(trade, spec) {
+  const current = trade.protection || { take_profits: [] };
+  const keep = (key, field) => (spec[key] !== undefined ? spec[key] : current[field]);
+  trade.protection = buildProtection({
+    stopLossPct: keep("stopLossPct", "stop_loss_pct"),
+    trailingStopPct: keep("trailingStopPct", "trailing_stop_pct"),
+    maxHoldMinutes: keep("maxHoldMinutes", "max_hold_minutes"),
+    takeProfits: spec.takeProfits !== undefined
+      ? spec.takeProfits
+      : current.take_profits.map((tp) => ({ atPct: tp.at_pct, sellPct: tp.sell_pct, filled_at: tp.filled_at })),
+  });
+  return trade.protection;
+}
 
-    const transferLog = txReceipt.logs.find(
-      (log) =>
-        log.topics[0] === transferEventSignature &&
-        log.topics[2] &&
-        log.topics[2].toLowerCase() === normalizedWallet
-    );
+/**
+ * Return the order a trade's current state triggers as { reason, percent, tier },
+ * or null. Full exits take precedence over take-profit tiers.
+ */
+function triggeredProtection(trade) {
+  const protection = trade.protection;
+  if (!protection) return null;
 
-    if (!transferLog) {
-      return { success: false, message: "Could not find transfer event in transaction logs" };
-    }
+  const heldMs = now() - (trade.opened_at || now());
+  if (protection.max_hold_minutes && heldMs >= protection.max_hold_minutes * 60 * 1000) {
+    return { reason: "max_hold", percent: 100 };
+  }
 
-    const amountBig = BigInt(transferLog.data);
-    const readableAmount = formatTokenAmount(amountBig, tokenDecimals);
+  if (!(trade.current_price > 0)) return null;
+  const changePct = trade.price_change_pct || 0;
 
-    return { success: true, amountHex: amountBig.toString(), readableAmount };
-  } catch (error) {
-    return { success: false, message: "Transaction log parsing failed", error: error.message };
+  if (protection.stop_loss_pct && changePct <= -protection.stop_loss_pct) {
+    return { reason: "stop_loss", percent: 100 };
+  }
+  const peak = trade.max_price_since_entry;
+  if (protection.trailing_stop_pct && peak > 0 && trade.current_price <= peak * (1 - protection.trailing_stop_pct / 100)) {
+    return { reason: "trailing_stop", percent: 100 };
   }
-}
 
-function parseSwapLog(swapLog, tokenDecimals, isToken0In) {
-  const dataHex = swapLog.data.startsWith("0x") ? swapLog.data.slice(2) : swapLog.data;
+  const tier = (protection.take_profits || []).find((tp) => !tp.filled_at && changePct >= tp.at_pct);
+  if (tier) return { reason: "take_profit", percent: tier.sell_pct, tier };
 
-  function parseSignedInt256(hex) {
-    hex = hex.padStart(64, "0");
-    const val = BigInt("0x" + hex);
-    const max = (1n << 255n) - 1n;
-    return val > max ? val - (1n << 256n) : val;
-  }
+  return null;
+}
 
-  const amount0 = parseSignedInt256(dataHex.slice(0, 64));
-  const amount1 = parseSignedInt256(dataHex.slice(64, 128));
+/**
+ * Start the sell for a triggered protective order. Returns true when a sell was
+ * started, so the caller skips policy exits for this evaluation. A take-profit
+ * tier is marked filled up front and re-armed if the sell fails.
+ */
+function enforceProtection(pairAddress, trade) {
+  if (executing[pairAddress]) return false;
+  const order = triggeredProtection(trade);
+  if (!order) return false;
+
+  log(`[PROTECT] ${order.reason} triggered for ${trade.symbol || pairAddress} (change=${(trade.price_change_pct || 0).toFixed(2)}%, sell=${order.percent}%)`);
+  if (order.tier) order.tier.filled_at = now();
+  executeSell(pairAddress, trade, order.percent, { reason: order.reason }).then((sold) => {
+    if (!sold && order.tier) order.tier.filled_at = null;
+  });
+  return true;
+}
 
-  let tokenOutAmount = isToken0In ? amount1 : amount0;
-  if (tokenOutAmount < 0n) tokenOutAmount = -tokenOutAmount;
+/**
+ * Re-price a trade from an on-chain quote for selling its whole position. The
+ * quote includes price impact and sell tax, so the refreshed price is what an
+ * exit would realize right now.
+ */
+async function refreshTradePrice(pairAddress, trade) {
+  trade.price_refreshed_at = now();
+  const holding = BigInt(trade.tokens_in_possession_hex || "0");
+  if (holding === 0n || !(trade.tokens_in_possession > 0)) return;
+
+  const baseTokenAddress = trade.baseToken || detectBaseToken(trade.token0, trade.token1);
+  const isToken0In = trade.token0.toLowerCase() === baseTokenAddress.toLowerCase();
+  const baseDecimals = (isToken0In ? trade.token0Decimals : trade.token1Decimals) || 18;
+  const tokenDecimals = (isToken0In ? trade.token1Decimals : trade.token0Decimals) || 18;
+
+  // Quote a small slice without taxes, so the price is close to the pool's mid
+  // price like the feed's, not what dumping the whole position would fetch
+  const probe = holding / PRICE_PROBE_DIVISOR > 0n ? holding / PRICE_PROBE_DIVISOR : holding;
+  const quote = await quoteSwap({ tradeData: { ...trade, buy_tax: 0, sell_tax: 0 }, amountIn: probe, isToken0In, action: "sell" });
+  if (!quote.success) {
+    log(`[PROTECT] Price refresh failed for ${trade.symbol || pairAddress}: ${quote.error}`);
+    return;
+  }
 
-  const readableAmount = formatTokenAmount(tokenOutAmount, tokenDecimals);
-  return { success: true, amountHex: tokenOutAmount.toString(), readableAmount };
+  const baseOut = parseFloat(ethers.formatUnits(quote.amountOut, baseDecimals));
+  const tokens = parseFloat(ethers.formatUnits(probe, tokenDecimals));
+  if (!(tokens > 0) || !(baseOut > 0)) return;
+  // A quote is not a traded price, so it does not move the since-entry extremes
+  updateActiveTradeData(trade, { last_price: baseOut / tokens }, { trackExtremes: false });
 }
 
-function parseTransactionLogsV3(txReceipt, tokenDecimals, isToken0In) {
+/**
+ * Timer-driven pass over all open trades. Pairs whose feed has been quiet for
+ * refreshAfterSec are re-priced from a small probe quote first (live mode only;
+ * paper trades are priced by the feed alone).
+ */
+async function checkProtectiveOrders() {
+  if (paused || protectionCheckRunning) return;
+  protectionCheckRunning = true;
+
   try {
-    const swapEventSignature = "0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67";
-    const swapLog = txReceipt.logs.find((l) => l.topics[0].toLowerCase() === swapEventSignature);
+    const refreshMs = protectionSettings().refreshAfterSec * 1000;
+    for (const [pairAddress, trade] of Object.entries(activeTrades)) {
+      if (!trade.protection || executing[pairAddress]) continue;
+
+      const pairData = computedPairData[pairAddress];
+      const quietMs = now() - ((pairData && pairData.last_update_at) || 0);
+      if (!DRY_RUN && refreshMs > 0 && quietMs > refreshMs && now() - (trade.price_refreshed_at || 0) > refreshMs) {
+        await refreshTradePrice(pairAddress, trade);
+        if (paused || activeTrades[pairAddress] !== trade) continue;
+      }
 
-    if (!swapLog) {
-      return { success: false, message: "Could not find swap event in transaction logs" };
+      enforceProtection(pairAddress, trade);
     }
-
-    return parseSwapLog(swapLog, tokenDecimals, isToken0In);
-  } catch (error) {
-    return { success: false, message: "V3 log parsing failed", error: error.message };
+  } catch (err) {
+    log(`[PROTECT] Check failed: ${err.message}`);
+  } finally {
+    protectionCheckRunning = false;
   }
 }
 
-function parseTransactionLogsV4(txReceipt, tokenDecimals, isToken0In) {
-  try {
-    const transferEventSignature = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
-    const normalizedWallet = "0x" + wallet.address.toLowerCase().slice(2).padStart(64, "0");
+function scheduleProtectionChecks() {
+  const intervalSec = Math.max(protectionSettings().checkIntervalSec || 0, 1);
+  setTimeout(async () => {
+    await checkProtectiveOrders();
+    scheduleProtectionChecks();
+  }, intervalSec * 1000);
+}
 
-    const transferLogs = txReceipt.logs.filter(
-      (l) =>
-        l.topics[0] === transferEventSignature &&
-        l.topics[2] &&
-        l.topics[2].toLowerCase() === normalizedWallet
-    );
+// ── Position lots (scale-in) ──
 
-    if (transferLogs.length === 0) {
-      // Fallback: try V3 Swap event parsing
-      const swapEventSignature = "0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67";
-      const swapLog = txReceipt.logs.find((l) => l.topics[0].toLowerCase() === swapEventSignature);
-      if (swapLog) {
-        return parseSwapLog(swapLog, tokenDecimals, isToken0In);
-      }
-      return { success: false, message: "No transfer or swap logs found for V4 transaction" };
-    }
+// A pair holds one position; add-on buys are appended to it as lots. Position
+// totals (eth_spent, tokens_bought, ...) are cumulative and entry_price is the
+// token-weighted average of the lot prices.
 
-    const transferLog = transferLogs[transferLogs.length - 1];
-    const amountBig = BigInt(transferLog.data);
-    const readableAmount = formatTokenAmount(amountBig, tokenDecimals);
+/**
+ * Lots of a trade. Trades opened before lots existed are treated as one lot.
+ */
+function tradeLots(trade) {
+  if (trade.lots && trade.lots.length > 0) return trade.lots;
+  return [{
+    price: trade.price_at_buy || trade.entry_price,
+    eth_spent: trade.eth_spent,
+    tokens_bought: trade.tokens_bought,
+    tokens_hex: null,
+    bought_at: trade.opened_at,
+    policy_id: trade.policy_id,
+  }];
+}
 
-    return { success: true, amountHex: amountBig.toString(), readableAmount };
-  } catch (error) {
-    return { success: false, message: "V4 log parsing failed", error: error.message };
+function tradeAdds(trade) {
+  return tradeLots(trade).length - 1;
+}
+
+function resolveMaxAdds(policyId) {
+  const policy = findPolicy(policyId);
+  const maxAdds = policy && policy.maxAdds !== undefined ? policy.maxAdds : config.maxAdds;
+  const n = parseInt(maxAdds, 10);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * Fold an add-on buy into an open trade and re-average its entry price.
+ */
+function addTradeLot(trade, lot) {
+  trade.lots = [...tradeLots(trade), lot];
+
+  trade.base_spent = (trade.base_spent ?? trade.eth_spent) + (lot.base_spent ?? lot.eth_spent);
+  trade.eth_spent += lot.eth_spent;
+  if (trade.usd_at_entry !== null && trade.usd_at_entry !== undefined && usdPrices.WETH > 0) {
+    trade.usd_at_entry += lot.eth_spent * usdPrices.WETH;
   }
+  trade.eth_bought = (trade.eth_bought || 0) + lot.eth_spent;
+  trade.value_at_buy = (trade.value_at_buy || 0) + lot.eth_spent;
+  trade.tokens_bought += lot.tokens_bought;
+  trade.tokens_in_possession = (trade.tokens_in_possession || 0) + lot.tokens_bought;
+  trade.tokens_in_possession_hex = (BigInt(trade.tokens_in_possession_hex || "0") + BigInt(lot.tokens_hex)).toString();
+  trade.gas_eth = (trade.gas_eth || 0) + (lot.gas_eth || 0);
+  trade.tx_hashes = [...(trade.tx_hashes || []), ...(lot.tx_hashes || [])];
+  trade.last_buy_at = lot.bought_at;
+
+  const lotTokens = trade.lots.reduce((sum, l) => sum + (l.tokens_bought || 0), 0);
+  if (lotTokens > 0) {
+    trade.entry_price = trade.lots.reduce((sum, l) => sum + l.price * (l.tokens_bought || 0), 0) / lotTokens;
+    trade.price_at_buy = trade.entry_price;
+  }
+  updateActiveTradeData(trade, { last_price: lot.feed_price || lot.price });
 }
 
 // ── Buy / Sell execution ──
 
-async function executeBuy(pairAddress, pairData, policy, actionPercent) {
+/**
+ * Buy actionPercent of maxEthPerTradeValue of a pair, or add a lot to its open
+ * trade. `decision` is the policy's parsed decision (see parsePolicyDecision);
+ * its slippage overrides the policy's and it is recorded with the fill.
+ */
+async function executeBuy(pairAddress, pairData, policy, actionPercent, { decision = null } = {}) {
   if (executing[pairAddress]) return;
   executing[pairAddress] = true;
+  let swapAttempted = false; // wallet balances changed, refresh the treasury afterwards
 
   try {
-    const ethAmount = config.maxEthPerTradeValue * (actionPercent / 100);
-    const amountIn = ethers.parseEther(ethAmount.toFixed(18));
-
+    // Size in ETH, then convert to the pair's base token (ZORA/CLANKER via USD rates)
+    let ethAmount = config.maxEthPerTradeValue * (actionPercent / 100);
     const baseTokenAddress = detectBaseToken(pairData.token0, pairData.token1);
-    const isToken0In = pairData.token0.toLowerCase() === baseTokenAddress.toLowerCase();
-
-    // Determine spender for approval
-    let spender;
-    if (pairData.isV4) {
-      spender = CONTRACTS.permit2;
-    } else if (pairData.isV3) {
-      spender = pairData.fork === "aerodrome" ? CONTRACTS.aeroRouter : CONTRACTS.uniV3Router;
-    } else {
-      spender = CONTRACTS.tokenSwapper;
+    const baseSymbol = baseTokenSymbol(baseTokenAddress);
+    const ethRate = baseEthRate(baseTokenAddress);
+    if (!ethRate) {
+      log(`[BUY] No USD price for ${baseSymbol} yet, cannot size ${pairData.symbol || pairAddress}`);
+      return;
     }
 
-    log(`[BUY] ${pairData.symbol || pairAddress} | ${ethAmount.toFixed(6)} ETH | V${pairData.isV4 ? "4" : pairData.isV3 ? "3" : "2"}`);
+    const risk = checkRisk(pairAddress, pairData, ethAmount);
+    if (!risk.allowed) {
+      log(`[RISK] Buy blocked for ${pairData.symbol || pairAddress}: ${risk.reason}`);
+      return;
+    }
 
-    // Approve base token
-    await approveToken(baseTokenAddress, spender, amountIn);
+    // Pairs without a WETH side are bought with WETH through hub pools when routing
+    // is on. A position keeps the path it opened with: one opened without a route
+    // scales in directly, a routed one only through a route
+    const existing = activeTrades[pairAddress];
+    const route = existing && !existing.route ? null : findBuyRoute(pairData);
+    if (existing && existing.route && !route) {
+      log(`[BUY] No WETH route for ${pairData.symbol || pairAddress} any more, skipping scale-in of the routed position`);
+      return;
+    }
+    const fundSymbol = route ? "WETH" : baseSymbol;
 
-    // V4 also needs Permit2 -> Universal Router approval
-    if (pairData.isV4) {
-      await approvePermit2ToRouter(baseTokenAddress, amountIn);
+    const float = checkTreasuryFloat(fundSymbol, route ? ethAmount : ethAmount / ethRate);
+    if (!float.allowed) {
+      log(`[TREASURY] Buy blocked for ${pairData.symbol || pairAddress}: ${float.reason}`);
+      if (fundSymbol === "WETH") maintainTreasury();
+      return;
     }
 
-    const minAmountOut = 0; // Slippage protection handled by on-chain execution
+    // Reserve before the first await, so parallel entries count this buy in checkRisk
+    // and checkTreasuryFloat. The finally below releases it on every exit.
+    let baseAmount = ethAmount / ethRate;
+    const reservation = { eth: ethAmount, base: baseAmount, baseSymbol, tokenAddress: (pairData.tokenAddress || "").toLowerCase(), ...(route ? { fundSymbol, fund: ethAmount } : {}) };
+    riskState.reservations[pairAddress] = reservation;
+
+    const isToken0In = pairData.token0.toLowerCase() === baseTokenAddress.toLowerCase();
+    const baseDecimals = (isToken0In ? pairData.token0Decimals : pairData.token1Decimals) || 18;
+    let amountIn = ethers.parseUnits(baseAmount.toFixed(baseDecimals), baseDecimals);
 
     const tradeData = {
       pairAddress: pairData.pairAddress,
@@ -1334,74 +5774,287 @@ async function executeBuy(pairAddress, pairData, policy, actionPercent) {
       token1Decimals: pairData.token1Decimals,
     };
 
+    // Honeypot / tax check. Read-only, so paper trading runs it too; backtests have no chain.
+    let safety = null;
+    if (!BACKTEST && safetySettings().enabled) {
+      try {
+        const fundAmount = route ? ethers.parseEther(ethAmount.toFixed(18)) : amountIn;
+        safety = await checkTokenSafety({ pairData, tradeData, baseTokenAddress, amountIn, isToken0In, route, fundAmount });
+      } catch (error) {
+        log(`[SAFETY] Check failed for ${pairData.symbol || pairAddress}, skipping buy: ${error.message}`);
+        return;
+      }
+      if (safety.verdict === "fail") {
+        log(`[SAFETY] Buy skipped for ${pairData.symbol || pairAddress}: ${safety.reason}`);
+        return;
+      }
+      if (safety.verdict === "size_down") {
+        ethAmount *= safetySettings().sizeDownFactor;
+        baseAmount = ethAmount / ethRate;
+        amountIn = ethers.parseUnits(baseAmount.toFixed(baseDecimals), baseDecimals);
+        Object.assign(reservation, { eth: ethAmount, base: baseAmount, ...(route ? { fund: ethAmount } : {}) });
+        log(`[SAFETY] Sizing down ${pairData.symbol || pairAddress} to ${ethAmount.toFixed(6)} ETH: ${safety.reason}`);
+      }
+    }
+    // What the swap spends: the base token, or WETH at the start of a route
+    const fundToken = route ? WETH_BASE : baseTokenAddress;
+    const swapAmountIn = route ? ethers.parseEther(ethAmount.toFixed(18)) : amountIn;
+
+    // Journaled before anything is sent, so a crash mid-buy can be settled from receipts
+    const intent = {
+      intent: crypto.randomUUID(),
+      pairAddress,
+      policy_id: policy.id,
+      action_percent: actionPercent,
+      pair: { ...tradeData, symbol: pairData.symbol, name: pairData.name, tokenAddress: pairData.tokenAddress, last_price: pairData.last_price },
+      base_token: baseTokenAddress,
+      eth_rate: ethRate,
+      base_amount: baseAmount,
+      amount_in: swapAmountIn.toString(),
+      safety: safety ? safetyForContext(safety.token) : null,
+      ...(route ? { route, fund_token: fundToken } : {}),
+      ...(decision ? { decision } : {}),
+    };
+    journalAppend("buy_intent", intent);
+
+    const spender = swapSpender(pairData, route);
+
+    const venue = route ? routeLabel(route, pairData.symbol) : `V${pairData.isV4 ? "4" : pairData.isV3 ? "3" : "2"}`;
+    log(`[BUY] ${pairData.symbol || pairAddress} | ${ethAmount.toFixed(6)} ETH${baseSymbol !== "WETH" ? ` (${baseAmount.toFixed(4)} ${baseSymbol})` : ""} | ${venue}`);
+
+    // Every mined transaction of this buy, for the gas accounting
+    const receipts = [];
+    if (!DRY_RUN) {
+      // Approve the token being spent
+      receipts.push(await approveToken(fundToken, spender, swapAmountIn, "buy", intent.intent));
+
+      // V4 and routes also need Permit2 -> Universal Router approval
+      if (pairData.isV4 || route) {
+        receipts.push(await approvePermit2ToRouter(fundToken, swapAmountIn, "buy", intent.intent));
+      }
+    }
+
+    // Quote expected output and derive amountOutMinimum from the slippage tolerance.
+    // Simulated fills model their own slippage, so DRY_RUN skips the on-chain quote.
+    const slippagePct = decision && decision.slippage_pct !== undefined ? decision.slippage_pct : resolveSlippage(policy.id);
+    let minAmountOut = 0n;
+    let quoteLog = { slippage_pct: slippagePct };
+    let quote = null;
+    if (!DRY_RUN) {
+      quote = route
+        ? await quoteRoute({ tradeData, route, amountIn: swapAmountIn, action: "buy" })
+        : await quoteSwap({ tradeData, amountIn, isToken0In, action: "buy" });
+      if (!quote.success) {
+        log(`[BUY] Quote failed for ${pairData.symbol || pairAddress}: ${quote.error}, skipping`);
+        appendTradeLog({ type: "BUY", status: "FAILED", symbol: pairData.symbol, pairAddress, policy_id: policy.id, action_percent: actionPercent, eth_amount: ethAmount, decision, error: `${quote.message}: ${quote.error}` });
+        journalAppend("intent_done", { intent: intent.intent, outcome: "failed" });
+        return;
+      }
+      minAmountOut = applySlippage(quote.amountOut, slippagePct);
+      quoteLog = { quote_source: quote.source, quoted_amount_out: quote.amountOut.toString(), min_amount_out: minAmountOut.toString(), slippage_pct: slippagePct };
+    }
+
+    swapAttempted = true;
     const result = await performSwap({
       tradeData,
-      amountIn,
+      amountIn: swapAmountIn,
       isToken0In,
       minAmountOut,
       action: "buy",
+      submission: resolveSubmission(policy.id, "buy"),
+      intent: intent.intent,
+      route,
     });
 
+    if (result.receipt) receipts.push(result.receipt);
+
     if (!result.success) {
+      const gasEth = await gasCostEth(receipts.filter(Boolean));
       log(`[BUY] Failed for ${pairData.symbol || pairAddress}: ${result.message || result.error}`);
-      appendTradeLog({ type: "BUY", status: "FAILED", symbol: pairData.symbol, pairAddress, policy_id: policy.id, action_percent: actionPercent, eth_amount: ethAmount, error: result.message || result.error });
+      appendTradeLog({ type: "BUY", status: "FAILED", symbol: pairData.symbol, pairAddress, policy_id: policy.id, action_percent: actionPercent, eth_amount: ethAmount, decision, ...quoteLog, tx_hashes: receipts.filter(Boolean).map((r) => r.hash), gas_eth: gasEth, submission: result.receipt ? txSubmissionInfo(result.receipt.hash) : null, error: result.message || result.error });
+      journalAppend("intent_done", { intent: intent.intent, outcome: "failed" });
       return;
     }
 
-    const tokensBought = parseFloat(result.readableAmount);
-
-    // Create active trade record
-    activeTrades[pairAddress] = {
-      pairAddress,
-      symbol: pairData.symbol,
-      name: pairData.name,
-      token0: pairData.token0,
-      token1: pairData.token1,
-      isV3: pairData.isV3,
-      isV4: pairData.isV4,
-      isV2: pairData.isV2,
-      fee: pairData.fee,
-      fork: pairData.fork,
-      tickSpacing: pairData.tickSpacing,
-      hooks: pairData.hooks,
-      buy_tax: pairData.buy_tax,
-      sell_tax: pairData.sell_tax,
-      token0Decimals: pairData.token0Decimals,
-      token1Decimals: pairData.token1Decimals,
-      entry_price: pairData.last_price,
-      price_at_buy: pairData.last_price,
-      eth_spent: ethAmount,
-      eth_bought: ethAmount,
-      eth_sold: 0,
-      tokens_bought: tokensBought,
-      tokens_in_possession: tokensBought,
-      tokens_in_possession_hex: result.amountHex,
-      current_price: pairData.last_price,
-      price_change_pct: 0,
-      min_price_since_entry: pairData.last_price,
-      max_price_since_entry: pairData.last_price,
-      current_eth_value: ethAmount,
-      value_at_buy: ethAmount,
-      opened_at: Date.now(),
-      policy_id: policy.id,
-      tokenAddress: pairData.tokenAddress,
-      baseToken: detectBaseToken(pairData.token0, pairData.token1),
-    };
-
-    log(`[BUY] SUCCESS: ${pairData.symbol || pairAddress} | Got ${result.readableAmount} tokens for ${ethAmount.toFixed(6)} ETH`);
-    appendTradeLog({ type: "BUY", status: "SUCCESS", symbol: pairData.symbol, pairAddress, policy_id: policy.id, action_percent: actionPercent, eth_amount: ethAmount, tokens_received: result.amountHex, price: pairData.last_price });
-    saveTrades();
+    await recordBuyFill(intent, result, receipts, { ...quoteLog, fill_vs_quote_pct: quote ? fillVsQuotePct(quote.amountOut, result.amountHex) : null });
   } catch (error) {
     log(`[BUY] ERROR: ${pairData.symbol || pairAddress}: ${error.message}`);
-    appendTradeLog({ type: "BUY", status: "ERROR", symbol: pairData.symbol, pairAddress, policy_id: policy.id, action_percent: actionPercent, eth_amount: config.maxEthPerTradeValue * (actionPercent / 100), error: error.message });
+    appendTradeLog({ type: "BUY", status: "ERROR", symbol: pairData.symbol, pairAddress, policy_id: policy.id, action_percent: actionPercent, eth_amount: config.maxEthPerTradeValue * (actionPercent / 100), decision, error: error.message });
   } finally {
+    delete riskState.reservations[pairAddress];
     executing[pairAddress] = false;
+    if (swapAttempted && !DRY_RUN) maintainTreasury();
   }
 }
 
-async function executeSell(pairAddress, trade, actionPercent) {
-  if (executing[pairAddress]) return;
+/**
+ * Turn a successful buy swap into trade state: a new trade, or a lot on the open
+ * one. Shared by executeBuy and intent reconciliation (which has receipts only).
+ */
+async function recordBuyFill(intent, result, receipts, logExtra = {}) {
+  const { pairAddress, pair, safety, eth_rate: ethRate, action_percent: actionPercent } = intent;
+  const policyId = intent.policy_id;
+  const decision = intent.decision || null;
+  const baseSymbol = baseTokenSymbol(intent.base_token);
+
+  const fill = await summarizeFill({ action: "buy", tradeData: pair, baseTokenAddress: intent.base_token, amountIn: BigInt(intent.amount_in), result, receipts, feedPrice: pair.last_price, fundToken: intent.fund_token || null, baseRate: ethRate });
+  const baseSpent = fill.base_amount || intent.base_amount;
+  // Routed buys paid WETH, so that is what the position cost
+  const ethSpent = intent.route && fill.fund_amount ? fill.fund_amount : baseSpent * ethRate;
+  const tokensBought = fill.token_amount;
+  const lot = {
+    price: fill.exec_price || pair.last_price,
+    feed_price: pair.last_price,
+    slippage_vs_feed_pct: fill.slippage_vs_feed_pct,
+    base_spent: baseSpent,
+    base_eth_rate: ethRate,
+    eth_spent: ethSpent,
+    tokens_bought: tokensBought,
+    tokens_hex: fill.token_amount_hex,
+    gas_eth: fill.gas_eth,
+    tx_hashes: fill.tx_hashes,
+    bought_at: now(),
+    policy_id: policyId,
+    ...(decision ? { decision } : {}),
+  };
+  const fillLog = { eth_amount: ethSpent, base_symbol: baseSymbol, base_amount: baseSpent, tokens_received: fill.token_amount_hex, price: pair.last_price, exec_price: fill.exec_price, slippage_vs_feed_pct: fill.slippage_vs_feed_pct, gas_eth: fill.gas_eth, tx_hashes: fill.tx_hashes, safety_verdict: safety ? safety.verdict : null, round_trip_loss_pct: safety ? safety.round_trip_loss_pct : null, submission: result.receipt ? txSubmissionInfo(result.receipt.hash) : null, ...(intent.route ? { route: routeLabel(intent.route, pair.symbol) } : {}), decision };
+
+  const existing = activeTrades[pairAddress];
+  if (existing) {
+    addTradeLot(existing, lot);
+    if (decision && decision.protection) updateTradeProtection(existing, decision.protection);
+    log(`[BUY] SCALE-IN: ${pair.symbol || pairAddress} | Got ${tokensBought} tokens for ${ethSpent.toFixed(6)} ETH | lot ${existing.lots.length}, avg entry ${existing.entry_price}`);
+    appendTradeLog({ type: "BUY", status: "SUCCESS", symbol: pair.symbol, pairAddress, policy_id: policyId, policy_version: existing.policy_version, scale_in: true, lot: existing.lots.length, action_percent: actionPercent, ...fillLog, avg_entry_price: existing.entry_price, ...logExtra });
+    journalTrade(pairAddress, intent.intent);
+    return;
+  }
+
+  // Create active trade record
+  const trade = {
+    pairAddress,
+    symbol: pair.symbol,
+    name: pair.name,
+    token0: pair.token0,
+    token1: pair.token1,
+    isV3: pair.isV3,
+    isV4: pair.isV4,
+    isV2: pair.isV2,
+    fee: pair.fee,
+    fork: pair.fork,
+    tickSpacing: pair.tickSpacing,
+    hooks: pair.hooks,
+    buy_tax: pair.buy_tax,
+    sell_tax: pair.sell_tax,
+    token0Decimals: pair.token0Decimals,
+    token1Decimals: pair.token1Decimals,
+    entry_price: lot.price,
+    price_at_buy: lot.price,
+    feed_price_at_buy: pair.last_price,
+    base_symbol: baseSymbol,
+    base_spent: baseSpent,
+    base_sold: 0,
+    base_eth_rate_at_entry: ethRate,
+    base_usd_at_entry: usdPrices[baseSymbol] || null,
+    usd_at_entry: usdPrices.WETH > 0 ? ethSpent * usdPrices.WETH : null,
+    eth_spent: ethSpent,
+    eth_bought: ethSpent,
+    eth_sold: 0,
+    gas_eth: fill.gas_eth,
+    tx_hashes: fill.tx_hashes,
+    tokens_bought: tokensBought,
+    tokens_in_possession: tokensBought,
+    tokens_in_possession_hex: fill.token_amount_hex,
+    current_price: pair.last_price,
+    price_change_pct: 0,
+    min_price_since_entry: pair.last_price,
+    max_price_since_entry: pair.last_price,
+    current_base_value: baseSpent,
+    current_eth_value: ethSpent,
+    value_at_buy: ethSpent,
+    sells: [],
+    opened_at: now(),
+    last_buy_at: lot.bought_at,
+    lots: [lot],
+    policy_id: policyId,
+    policy_version: policyVersion(findPolicy(policyId)),
+    // Protective orders the policy returned with its decision override its defaults
+    protection: decision && decision.protection
+      ? buildProtection({ ...protectionSpecForPolicy(policyId), ...decision.protection })
+      : protectionForPolicy(policyId),
+    safety,
+    tokenAddress: pair.tokenAddress,
+    baseToken: intent.base_token,
+    ...(intent.route ? { route: intent.route, fund_token: intent.fund_token } : {}),
+    ...(decision ? { entry_decision: decision } : {}),
+    ...(DRY_RUN ? { simulated: true } : {}),
+  };
+
+  // Entry is the execution price, so the feed price is already measured against it
+  if (computedPairData[pairAddress]) updateActiveTradeData(trade, computedPairData[pairAddress]);
+  journalAppend("trade", { pairAddress, trade, intent: intent.intent });
+
+  log(`[BUY] SUCCESS: ${pair.symbol || pairAddress} | Got ${tokensBought} tokens for ${ethSpent.toFixed(6)} ETH @ ${fill.exec_price} (feed ${pair.last_price}, gas ${fill.gas_eth.toFixed(6)} ETH)`);
+  appendTradeLog({ type: "BUY", status: "SUCCESS", symbol: pair.symbol, pairAddress, policy_id: policyId, policy_version: trade.policy_version, action_percent: actionPercent, ...fillLog, ...logExtra });
+}
+
+/**
+ * Size a sell that should receive `sellEth`. V3/V4 pools get an exact-output swap
+ * whose input is capped at the quote plus slippage. V2 pools and taxed tokens,
+ * which an exact-output swap cannot settle, sell the quoted input exact-in, and
+ * routed trades sell the share of the position the target is worth at the feed
+ * price. Returns { amountIn, amountOut, percent, quotedIn, quoteSource } with
+ * amountOut null for exact-input sells: a 100% sell when the target is worth the
+ * whole balance, or null when it cannot be sized.
+ */
+async function planTargetSell({ trade, tradeData, route, isToken0In, baseTokenAddress, balance, sellEth, slippagePct }) {
+  const full = { amountIn: balance, amountOut: null, percent: 100 };
+  // Share of the balance in percent, kept below 100 so a partial sell never closes the trade
+  const shareOf = (amount) => Math.min(Number((amount * 1000000n) / balance) / 10000, 99.99);
+
+  if (route) {
+    if (!(trade.current_eth_value > 0)) return null;
+    if (sellEth >= trade.current_eth_value) return full;
+    const amountIn = (balance * BigInt(Math.round((sellEth / trade.current_eth_value) * 1000000))) / 1000000n;
+    return { amountIn, amountOut: null, percent: shareOf(amountIn) };
+  }
+
+  const ethRate = baseEthRate(baseTokenAddress);
+  if (!ethRate) return null;
+  const baseDecimals = (isToken0In ? tradeData.token0Decimals : tradeData.token1Decimals) || 18;
+  const amountOut = ethers.parseUnits((sellEth / ethRate).toFixed(baseDecimals), baseDecimals);
+
+  let quotedIn;
+  let quoteSource = "simulated";
+  if (DRY_RUN) {
+    quotedIn = simulatedAmountIn({ tradeData, amountOut, isToken0In, action: "sell" });
+    if (quotedIn === null) return null;
+  } else {
+    const quote = await quoteSwapIn({ tradeData, amountOut, isToken0In, action: "sell" });
+    if (!quote.success) {
+      log(`[SELL] Exact-output quote failed for ${trade.symbol || trade.pairAddress}: ${quote.error}`);
+      return null;
+    }
+    quotedIn = quote.amountIn;
+    quoteSource = quote.source;
+  }
+  if (quotedIn >= balance) return full;
+
+  const exact = (tradeData.isV3 || tradeData.isV4) && !(tradeData.sell_tax > 0);
+  if (!exact) return { amountIn: quotedIn, amountOut: null, percent: shareOf(quotedIn), quotedIn, quoteSource };
+  const maxIn = (quotedIn * BigInt(Math.round((100 + slippagePct) * 100))) / 10000n;
+  return { amountIn: maxIn < balance ? maxIn : balance, amountOut, percent: shareOf(quotedIn), quotedIn, quoteSource };
+}
+
+/**
+ * Sell actionPercent of the position's current balance, or with `sellEth` only
+ * the tokens that receive that much ETH (see planTargetSell). `reason` is recorded
+ * as the close_reason when the trade is fully closed, and `decision` (the policy's
+ * parsed decision) with the sell. Returns true on success.
+ */
+async function executeSell(pairAddress, trade, actionPercent, { reason = "policy_exit", sellEth = null, decision = null } = {}) {
+  if (executing[pairAddress]) return false;
   executing[pairAddress] = true;
+  let swapAttempted = false;
 
   try {
     // Query actual on-chain balance
@@ -1411,53 +6064,29 @@ async function executeSell(pairAddress, trade, actionPercent) {
         : trade.token0
     );
 
-    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
     let actualBalance;
-    try {
-      actualBalance = await tokenContract.balanceOf(wallet.address);
-    } catch {
+    if (DRY_RUN) {
       actualBalance = BigInt(trade.tokens_in_possession_hex || "0");
+    } else {
+      try {
+        actualBalance = await readBalance(tokenAddress);
+      } catch {
+        actualBalance = BigInt(trade.tokens_in_possession_hex || "0");
+      }
     }
 
     if (actualBalance === 0n) {
       log(`[SELL] No tokens to sell for ${trade.symbol || pairAddress}, closing trade`);
-      const pnlEth = (trade.eth_sold || 0) - (trade.eth_spent || 0);
+      const pnlEth = realizedPnlEth(trade);
       const pnlPct = trade.eth_spent > 0 ? (pnlEth / trade.eth_spent) * 100 : 0;
-      inactiveTrades.push({ ...trade, exit_price: trade.current_price || 0, closed_at: Date.now(), realized_pnl_eth: pnlEth, realized_pnl_pct: pnlPct, close_reason: "zero_balance" });
-      delete activeTrades[pairAddress];
-      saveTrades();
-      return;
-    }
-
-    // Calculate sell amount based on actionPercent
-    const sellAmount = (actualBalance * BigInt(Math.min(actionPercent, 100))) / 100n;
-
-    if (sellAmount === 0n) {
-      log(`[SELL] Sell amount is 0 for ${trade.symbol || pairAddress}`);
-      return;
+      closeTrade(pairAddress, { ...trade, exit_price: trade.current_price || 0, closed_at: now(), realized_pnl_eth: pnlEth, realized_pnl_pct: pnlPct, close_reason: "zero_balance" });
+      return true;
     }
 
     const baseTokenAddress = trade.baseToken || detectBaseToken(trade.token0, trade.token1);
     const isToken0In = trade.token0.toLowerCase() === baseTokenAddress.toLowerCase();
-
-    // Determine spender for approval
-    let spender;
-    if (trade.isV4) {
-      spender = CONTRACTS.permit2;
-    } else if (trade.isV3) {
-      spender = trade.fork === "aerodrome" ? CONTRACTS.aeroRouter : CONTRACTS.uniV3Router;
-    } else {
-      spender = CONTRACTS.tokenSwapper;
-    }
-
-    log(`[SELL] ${trade.symbol || pairAddress} | ${actionPercent}% | PnL: ${(trade.price_change_pct || 0).toFixed(2)}%`);
-
-    // Approve token being sold
-    await approveToken(tokenAddress, spender, sellAmount);
-
-    if (trade.isV4) {
-      await approvePermit2ToRouter(tokenAddress, sellAmount);
-    }
+    // Positions bought through hub pools go back to WETH the same way
+    const route = trade.route ? reverseRoute(trade.route) : null;
 
     const tradeData = {
       pairAddress: trade.pairAddress,
@@ -1475,46 +6104,227 @@ async function executeSell(pairAddress, trade, actionPercent) {
       token0Decimals: trade.token0Decimals,
       token1Decimals: trade.token1Decimals,
     };
+    const slippagePct = decision && decision.slippage_pct !== undefined ? decision.slippage_pct : resolveSlippage(trade.policy_id);
+
+    // Sell-to-target: size the sell from the ETH it should bring in
+    let plan = null;
+    if (sellEth !== null) {
+      plan = await planTargetSell({ trade, tradeData, route, isToken0In, baseTokenAddress, balance: actualBalance, sellEth, slippagePct });
+      if (!plan) {
+        log(`[SELL] Cannot size a ${sellEth.toFixed(6)} ETH sell of ${trade.symbol || pairAddress}, skipping`);
+        return false;
+      }
+      actionPercent = plan.percent;
+    }
+
+    // Calculate sell amount based on actionPercent
+    const sellAmount = plan ? plan.amountIn : (actualBalance * BigInt(Math.min(actionPercent, 100))) / 100n;
+
+    if (sellAmount === 0n) {
+      log(`[SELL] Sell amount is 0 for ${trade.symbol || pairAddress}`);
+      return false;
+    }
+
+    const spender = swapSpender(trade, route);
+
+    const priority = EMERGENCY_EXIT_REASONS.has(reason) ? "emergency" : "sell";
+
+    log(`[SELL] ${trade.symbol || pairAddress} | ${actionPercent}% (${reason}) | PnL: ${(trade.price_change_pct || 0).toFixed(2)}%`);
+
+    const intent = {
+      intent: crypto.randomUUID(),
+      pairAddress,
+      percent: actionPercent,
+      reason,
+      base_token: baseTokenAddress,
+      amount_in: sellAmount.toString(),
+      balance_before: actualBalance.toString(),
+      ...(sellEth !== null ? { sell_eth: sellEth } : {}),
+      ...(decision ? { decision } : {}),
+    };
+    journalAppend("sell_intent", intent);
+
+    // Every mined transaction of this sell, for the gas accounting
+    const receipts = [];
+    if (!DRY_RUN) {
+      // Approve token being sold
+      receipts.push(await approveToken(tokenAddress, spender, sellAmount, priority, intent.intent));
+
+      if (trade.isV4 || route) {
+        receipts.push(await approvePermit2ToRouter(tokenAddress, sellAmount, priority, intent.intent));
+      }
+    }
+
+    // Quote expected output; an exit is never blocked by a failing quoter, it falls back to no minimum.
+    // Simulated fills model their own slippage, so DRY_RUN skips the on-chain quote.
+    // An exact-output sell is already bounded by its amountIn cap.
+    let minAmountOut = 0n;
+    let quoteLog = { slippage_pct: slippagePct };
+    let quote = null;
+    if (plan && plan.amountOut !== null) {
+      minAmountOut = plan.amountOut;
+      quoteLog = { quote_source: plan.quoteSource, quoted_amount_in: plan.quotedIn.toString(), max_amount_in: sellAmount.toString(), exact_amount_out: plan.amountOut.toString(), slippage_pct: slippagePct };
+    } else if (!DRY_RUN) {
+      quote = route
+        ? await quoteRoute({ tradeData, route, amountIn: sellAmount, action: "sell" })
+        : await quoteSwap({ tradeData, amountIn: sellAmount, isToken0In, action: "sell" });
+      if (quote.success) {
+        minAmountOut = applySlippage(quote.amountOut, slippagePct);
+        quoteLog = { quote_source: quote.source, quoted_amount_out: quote.amountOut.toString(), min_amount_out: minAmountOut.toString(), slippage_pct: slippagePct };
+      } else {
+        log(`[SELL] Quote failed for ${trade.symbol || pairAddress}: ${quote.error}, selling without minAmountOut`);
+        quoteLog.quote_error = quote.error;
+      }
+    }
+    if (sellEth !== null) quoteLog.sell_eth_target = sellEth;
 
+    swapAttempted = true;
     const result = await performSwap({
       tradeData,
       amountIn: sellAmount,
       isToken0In,
-      minAmountOut: 0,
+      minAmountOut,
       action: "sell",
+      priority,
+      submission: resolveSubmission(trade.policy_id, "sell"),
+      intent: intent.intent,
+      route,
+      amountOut: plan ? plan.amountOut : null,
     });
 
+    if (result.receipt) receipts.push(result.receipt);
+
     if (!result.success) {
+      // Gas of a failed exit still belongs to the trade
+      const gasEth = await gasCostEth(receipts.filter(Boolean));
+      trade.gas_eth = (trade.gas_eth || 0) + gasEth;
       log(`[SELL] Failed for ${trade.symbol || pairAddress}: ${result.message || result.error}`);
-      appendTradeLog({ type: "SELL", status: "FAILED", symbol: trade.symbol, pairAddress, policy_id: trade.policy_id, action_percent: actionPercent, error: result.message || result.error });
-      return;
-    }
-
-    const ethReceived = parseFloat(result.readableAmount || "0");
-    trade.eth_sold += ethReceived;
-
-    if (actionPercent >= 100) {
-      const totalPnl = trade.eth_sold - trade.eth_spent;
-      const pnlPct = trade.eth_spent > 0 ? (totalPnl / trade.eth_spent) * 100 : 0;
-      log(`[SELL] CLOSED: ${trade.symbol || pairAddress} | Received ${ethReceived.toFixed(6)} ETH | Total PnL: ${totalPnl.toFixed(6)} ETH (${pnlPct.toFixed(2)}%)`);
-      inactiveTrades.push({ ...trade, exit_price: trade.current_price || 0, closed_at: Date.now(), realized_pnl_eth: totalPnl, realized_pnl_pct: pnlPct });
-      delete activeTrades[pairAddress];
-    } else {
-      // Partial sell: update remaining tokens
-      const remainingBalance = actualBalance - sellAmount;
-      trade.tokens_in_possession = parseFloat(formatTokenAmount(remainingBalance, trade.token0Decimals || 18));
-      trade.tokens_in_possession_hex = remainingBalance.toString();
-      log(`[SELL] PARTIAL: ${trade.symbol || pairAddress} | Sold ${actionPercent}% | Received ${ethReceived.toFixed(6)} ETH`);
+      appendTradeLog({ type: "SELL", status: "FAILED", symbol: trade.symbol, pairAddress, policy_id: trade.policy_id, action_percent: actionPercent, reason, decision, ...quoteLog, tx_hashes: receipts.filter(Boolean).map((r) => r.hash), gas_eth: gasEth, submission: result.receipt ? txSubmissionInfo(result.receipt.hash) : null, error: result.message || result.error });
+      journalTrade(pairAddress, intent.intent);
+      return false;
     }
 
-    appendTradeLog({ type: "SELL", status: "SUCCESS", symbol: trade.symbol, pairAddress, policy_id: trade.policy_id, action_percent: actionPercent, eth_received: ethReceived, price: trade.current_price, realized_pnl_eth: trade.eth_sold - trade.eth_spent });
-    saveTrades();
+    await recordSellFill(intent, trade, result, receipts, { ...quoteLog, amount_out: result.amountHex, fill_vs_quote_pct: quote && quote.success ? fillVsQuotePct(quote.amountOut, result.amountHex) : null });
+    return true;
   } catch (error) {
     log(`[SELL] ERROR: ${trade.symbol || pairAddress}: ${error.message}`);
-    appendTradeLog({ type: "SELL", status: "ERROR", symbol: trade.symbol, pairAddress, policy_id: trade.policy_id, action_percent: actionPercent, error: error.message });
+    appendTradeLog({ type: "SELL", status: "ERROR", symbol: trade.symbol, pairAddress, policy_id: trade.policy_id, action_percent: actionPercent, reason, decision, error: error.message });
+    return false;
   } finally {
     executing[pairAddress] = false;
+    if (swapAttempted && !DRY_RUN) maintainTreasury();
+  }
+}
+
+/**
+ * Apply a successful sell swap to its trade, closing it on a full exit. Shared by
+ * executeSell and intent reconciliation (which has receipts only).
+ */
+async function recordSellFill(intent, trade, result, receipts, logExtra = {}) {
+  const { pairAddress, percent: actionPercent, reason } = intent;
+  const baseTokenAddress = intent.base_token;
+  const decision = intent.decision || null;
+
+  // Proceeds in ETH at the current rate; ZORA/CLANKER moves since entry are part of the PnL.
+  // Routed sells received WETH directly.
+  const ethRate = baseEthRate(baseTokenAddress) ?? trade.base_eth_rate_at_entry ?? 1;
+  const fundToken = trade.route ? trade.fund_token || WETH_BASE : null;
+  const fill = await summarizeFill({ action: "sell", tradeData: trade, baseTokenAddress, amountIn: BigInt(intent.amount_in), result, receipts, feedPrice: trade.current_price, fundToken, baseRate: ethRate });
+  const ethReceived = fundToken ? fill.fund_amount : fill.base_amount * ethRate;
+  trade.eth_sold += ethReceived;
+  trade.base_sold = (trade.base_sold || 0) + fill.base_amount;
+  trade.gas_eth = (trade.gas_eth || 0) + fill.gas_eth;
+  trade.tx_hashes = [...(trade.tx_hashes || []), ...fill.tx_hashes];
+  trade.sells = [...(trade.sells || []), {
+    reason,
+    percent: actionPercent,
+    tokens_sold: fill.token_amount,
+    base_received: fill.base_amount,
+    eth_received: ethReceived,
+    price: fill.exec_price,
+    feed_price: fill.feed_price,
+    slippage_vs_feed_pct: fill.slippage_vs_feed_pct,
+    gas_eth: fill.gas_eth,
+    tx_hashes: fill.tx_hashes,
+    sold_at: now(),
+    ...(decision ? { decision } : {}),
+  }];
+
+  if (actionPercent >= 100) {
+    const totalPnl = realizedPnlEth(trade);
+    const pnlPct = trade.eth_spent > 0 ? (totalPnl / trade.eth_spent) * 100 : 0;
+    log(`[SELL] CLOSED: ${trade.symbol || pairAddress} | Received ${ethReceived.toFixed(6)} ETH @ ${fill.exec_price} (feed ${fill.feed_price}) | Total PnL: ${totalPnl.toFixed(6)} ETH (${pnlPct.toFixed(2)}%) after ${trade.gas_eth.toFixed(6)} ETH gas`);
+    closeTrade(pairAddress, { ...trade, exit_price: fill.exec_price || trade.current_price || 0, closed_at: now(), realized_pnl_eth: totalPnl, realized_pnl_pct: pnlPct, close_reason: reason, ...(decision ? { exit_decision: decision } : {}) }, intent.intent);
+    checkDailyLossBreaker();
+  } else {
+    // Partial sell: update remaining tokens
+    const remainingBalance = BigInt(intent.balance_before) - BigInt(fill.token_amount_hex);
+    trade.tokens_in_possession = parseFloat(formatTokenAmount(remainingBalance, trade.token0Decimals || 18));
+    trade.tokens_in_possession_hex = remainingBalance.toString();
+    // A partial exit can move the stops on what is left
+    if (decision && decision.protection) updateTradeProtection(trade, decision.protection);
+    log(`[SELL] PARTIAL: ${trade.symbol || pairAddress} | Sold ${actionPercent}% | Received ${ethReceived.toFixed(6)} ETH`);
+    journalTrade(pairAddress, intent.intent);
+  }
+
+  appendTradeLog({ type: "SELL", status: "SUCCESS", symbol: trade.symbol, pairAddress, policy_id: trade.policy_id, action_percent: actionPercent, reason, eth_received: ethReceived, base_symbol: tradeBaseSymbol(trade), base_amount: fill.base_amount, price: fill.feed_price, exec_price: fill.exec_price, slippage_vs_feed_pct: fill.slippage_vs_feed_pct, gas_eth: fill.gas_eth, tx_hashes: fill.tx_hashes, submission: result.receipt ? txSubmissionInfo(result.receipt.hash) : null, realized_pnl_eth: realizedPnlEth(trade), decision, ...logExtra });
+}
+
+// ── Intent reconciliation ──
+
+/**
+ * Settle buy/sell intents left open by a crash or a lost response. A swap that
+ * was mined is recorded from its receipts; one that never landed is dropped.
+ * Intents whose transactions are still in the mempool wait for the next pass.
+ */
+async function reconcileIntents() {
+  for (const intent of Object.values(journal.intents)) {
+    if (executing[intent.pairAddress]) continue; // still being worked on in this process
+    try {
+      await reconcileIntent(intent);
+    } catch (error) {
+      log(`[JOURNAL] Could not reconcile ${intent.kind} intent ${intent.intent}: ${error.message}`);
+    }
+  }
+}
+
+async function reconcileIntent(intent) {
+  const symbol = (intent.pair && intent.pair.symbol) || (activeTrades[intent.pairAddress] || {}).symbol || intent.pairAddress;
+  const receipts = [];
+  let swapReceipt = null;
+  let inFlight = false;
+  for (const tx of intent.txs) {
+    if (DRY_RUN) break;
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (receipt) {
+      receipts.push(receipt);
+      if (tx.step === "swap" && receipt.status === 1) swapReceipt = receipt;
+    } else if (await provider.getTransaction(tx.hash)) {
+      inFlight = true;
+    }
+  }
+  if (!swapReceipt && inFlight) return;
+
+  if (!swapReceipt) {
+    log(`[JOURNAL] ${intent.kind} intent for ${symbol} never filled, dropping it`);
+    journalAppend("intent_done", { intent: intent.intent, outcome: "failed" });
+    return;
   }
+
+  const result = { success: true, receipt: swapReceipt };
+  if (intent.kind === "buy") {
+    log(`[JOURNAL] Recovering buy of ${symbol} from ${swapReceipt.hash}`);
+    await recordBuyFill(intent, result, receipts, { recovered: true });
+    return;
+  }
+  const trade = activeTrades[intent.pairAddress];
+  if (!trade) {
+    log(`[JOURNAL] Sell of ${symbol} mined in ${swapReceipt.hash} but the trade is gone, dropping the intent`);
+    journalAppend("intent_done", { intent: intent.intent, outcome: "orphaned" });
+    return;
+  }
+  log(`[JOURNAL] Recovering sell of ${symbol} from ${swapReceipt.hash}`);
+  await recordSellFill(intent, trade, result, receipts, { recovered: true });
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -1525,6 +6335,209 @@ let socket;
 let updateCount = 0;
 let totalUpdateCount = 0;
 
+// ── Market data recorder ──
+
+// Writes raw feed payloads as { ts, event, data } JSONL lines — the format the
+// backtester replays. Files rotate per UTC day and when they reach maxFileMb.
+const RECORDER_FILE_RE = /^market-\d{4}-\d{2}-\d{2}-\d{6}\.jsonl(\.gz)?$/;
+const RECORDER_MAX_BUFFER = 8 * 1024 * 1024; // drop events rather than buffer without bound
+
+const recorder = {
+  stream: null,      // stream written to (gzip transform or file stream)
+  fileStream: null,  // underlying file stream (bytesWritten drives size rotation)
+  file: null,
+  day: null,
+  events: 0,
+  dropped: 0,
+  errors: 0,
+  pruning: false,
+};
+
+const RECORDER_UPDATABLE_KEYS = ["dir", "gzip", "maxFileMb", "retentionDays", "maxTotalMb", "onlyPairs"];
+const RECORDER_LIMITS = { maxFileMb: 10240, retentionDays: 3650, maxTotalMb: 1048576 };
+const RECORDER_MAX_PAIRS = 1000;
+
+function recorderSettings() {
+  const settings = { ...DEFAULT_CONFIG.recorder, ...(config.recorder || {}) };
+  settings.onlyPairs = (Array.isArray(settings.onlyPairs) ? settings.onlyPairs : []).map((a) => String(a).toLowerCase());
+  return settings;
+}
+
+function recorderDir(settings) {
+  return path.resolve(path.dirname(CONFIG_PATH), settings.dir);
+}
+
+/**
+ * Validate recorder settings from the control API (any subset of
+ * RECORDER_UPDATABLE_KEYS). `dir` must stay inside the data directory, since
+ * pruning deletes files there. Returns error strings.
+ */
+function validateRecorder(spec) {
+  const errors = [];
+  if (spec.dir !== undefined) {
+    const relative = typeof spec.dir === "string" && spec.dir.trim() !== ""
+      ? path.relative(path.dirname(CONFIG_PATH), recorderDir(spec))
+      : null;
+    if (relative === null) errors.push("dir must be a non-empty string");
+    else if (relative === "" || relative.startsWith("..") || path.isAbsolute(relative)) errors.push("dir must be a subdirectory of the data directory");
+  }
+  if (spec.gzip !== undefined && typeof spec.gzip !== "boolean") errors.push("gzip must be true or false");
+  for (const [key, max] of Object.entries(RECORDER_LIMITS)) {
+    if (spec[key] === undefined) continue;
+    if (typeof spec[key] !== "number" || !(spec[key] > 0 && spec[key] <= max)) errors.push(`${key} must be a number > 0 and <= ${max}`);
+  }
+  if (spec.onlyPairs !== undefined) {
+    if (!Array.isArray(spec.onlyPairs)) {
+      errors.push("onlyPairs must be an array");
+    } else if (spec.onlyPairs.length > RECORDER_MAX_PAIRS) {
+      errors.push(`onlyPairs must have at most ${RECORDER_MAX_PAIRS} entries`);
+    } else {
+      spec.onlyPairs.forEach((pair, i) => {
+        if (typeof pair !== "string" || !ethers.isAddress(pair)) errors.push(`onlyPairs[${i}] must be an address`);
+      });
+    }
+  }
+  return errors;
+}
+
+function openRecorderFile(settings, day) {
+  closeRecorder();
+
+  const dir = recorderDir(settings);
+  fs.mkdirSync(dir, { recursive: true });
+  const time = new Date().toISOString().slice(11, 19).replace(/:/g, "");
+  const file = path.join(dir, `market-${day}-${time}.jsonl${settings.gzip ? ".gz" : ""}`);
+
+  const fileStream = fs.createWriteStream(file, { flags: "a" });
+  let stream = fileStream;
+  if (settings.gzip) {
+    stream = zlib.createGzip();
+    stream.pipe(fileStream);
+  }
+
+  const onError = (err) => {
+    recorder.errors++;
+    log(`[RECORDER] Write error on ${file}: ${err.message}`);
+    if (recorder.stream === stream) {
+      recorder.stream = null;
+      recorder.fileStream = null;
+    }
+  };
+  stream.on("error", onError);
+  if (stream !== fileStream) fileStream.on("error", onError);
+
+  recorder.stream = stream;
+  recorder.fileStream = fileStream;
+  recorder.file = file;
+  recorder.day = day;
+  log(`[RECORDER] Writing to ${file}`);
+
+  pruneRecordings(settings);
+}
+
+/**
+ * Delete recordings older than retentionDays, then the oldest files until the
+ * directory is under maxTotalMb. Runs asynchronously, never touches the active file.
+ */
+async function pruneRecordings(settings) {
+  if (recorder.pruning) return;
+  recorder.pruning = true;
+  try {
+    const dir = recorderDir(settings);
+    const names = (await fs.promises.readdir(dir)).filter((n) => RECORDER_FILE_RE.test(n)).sort();
+    const files = [];
+    for (const name of names) {
+      const file = path.join(dir, name);
+      if (file === recorder.file) continue;
+      const stat = await fs.promises.stat(file);
+      files.push({ file, size: stat.size, mtime: stat.mtimeMs });
+    }
+
+    const cutoff = Date.now() - settings.retentionDays * 24 * 60 * 60 * 1000;
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+    for (const f of files) {
+      if (f.mtime >= cutoff && total <= settings.maxTotalMb * 1024 * 1024) break;
+      await fs.promises.unlink(f.file);
+      total -= f.size;
+      log(`[RECORDER] Pruned ${path.basename(f.file)}`);
+    }
+  } catch (err) {
+    log(`[RECORDER] Prune error: ${err.message}`);
+  } finally {
+    recorder.pruning = false;
+  }
+}
+
+/**
+ * Record a raw feed payload. Never blocks: writes go through async streams and
+ * events are dropped (and counted) if the disk can't keep up.
+ */
+function recordEvent(event, payload) {
+  try {
+    const settings = recorderSettings();
+    if (!settings.enabled) return;
+
+    if (event === "marketData" && settings.onlyPairs.length > 0) {
+      const inner = (payload && payload.data) || payload || {};
+      const pairAddress = String(payload.pairAddress || payload.pair_address || inner.pairAddress || inner.pair_address || "").toLowerCase();
+      if (!settings.onlyPairs.includes(pairAddress)) return;
+    }
+
+    const ts = Date.now();
+    const day = new Date(ts).toISOString().slice(0, 10);
+    const maxBytes = settings.maxFileMb * 1024 * 1024;
+    if (!recorder.stream || recorder.day !== day || recorder.fileStream.bytesWritten >= maxBytes) {
+      openRecorderFile(settings, day);
+    }
+
+    if (recorder.stream.writableLength > RECORDER_MAX_BUFFER) {
+      recorder.dropped++;
+      return;
+    }
+    recorder.stream.write(JSON.stringify({ ts, event, data: payload }) + "\n");
+    recorder.events++;
+  } catch (err) {
+    recorder.errors++;
+    log(`[RECORDER] Error: ${err.message}`);
+  }
+}
+
+/**
+ * Flush and close the current recording file. Resolves once the file is closed.
+ */
+function closeRecorder() {
+  const { stream, fileStream } = recorder;
+  recorder.stream = null;
+  recorder.fileStream = null;
+  recorder.day = null;
+  if (!stream) return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, 2000);
+    fileStream.on("close", () => { clearTimeout(timer); resolve(); });
+    stream.end();
+  });
+}
+
+function getRecorderStatus() {
+  const settings = recorderSettings();
+  return {
+    ...settings,
+    dir: recorderDir(settings),
+    file: recorder.stream ? recorder.file : null,
+    file_bytes: recorder.fileStream ? recorder.fileStream.bytesWritten : 0,
+    events_recorded: recorder.events,
+    events_dropped: recorder.dropped,
+    errors: recorder.errors,
+  };
+}
+
+function updateUsdPrices(rates) {
+  if (!rates) return;
+  for (const key of Object.keys(usdPrices)) {
+    if (rates[key] !== undefined) usdPrices[key] = rates[key];
+  }
+}
+
 function connectToFeed() {
   log(`[FEED] Connecting to ${SERVER_URL}...`);
 
@@ -1552,16 +6565,14 @@ function connectToFeed() {
     if (totalUpdateCount % 200 === 0) {
       log(`[FEED] ${totalUpdateCount} total events received`);
     }
+    recordEvent("marketData", update);
     processPairUpdate(update);
   });
 
   // Track USD prices for base assets
   socket.on("usdRates_update", (rates) => {
-    if (rates) {
-      for (const key of Object.keys(usdPrices)) {
-        if (rates[key] !== undefined) usdPrices[key] = rates[key];
-      }
-    }
+    recordEvent("usdRates_update", rates);
+    updateUsdPrices(rates);
   });
 
   socket.on("disconnect", (reason) => {
@@ -1606,6 +6617,125 @@ function sendJson(res, status, data) {
   res.end(body);
 }
 
+// ── Trade queries ──
+
+const TRADE_SORT_KEYS = {
+  closed_at: (t) => t.closed_at || 0,
+  opened_at: (t) => t.opened_at || 0,
+  pnl_eth: (t) => realizedPnlEth(t),
+  pnl_pct: (t) => (t.eth_spent > 0 ? realizedPnlEth(t) / t.eth_spent : 0),
+};
+const TRADES_DEFAULT_LIMIT = 100;
+const TRADES_MAX_LIMIT = 1000;
+
+// Unique and stable across restarts; breaks ties between equal sort values
+function tradeKey(t) {
+  return `${t.pairAddress}:${t.opened_at || 0}`;
+}
+
+// Query times are epoch ms or anything Date.parse accepts
+function parseQueryTime(value) {
+  if (value === null) return null;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ms) ? ms : undefined;
+}
+
+/**
+ * Parse /trades query parameters (see the README for the list). Sorting and
+ * paging apply to closed trades. Returns { error } on bad input.
+ */
+function parseTradeQuery(query) {
+  const status = query.get("status") || "all";
+  if (!["open", "closed", "all"].includes(status)) return { error: "status must be open, closed or all" };
+  const sort = query.get("sort") || "closed_at";
+  if (!TRADE_SORT_KEYS[sort]) return { error: `sort must be one of ${Object.keys(TRADE_SORT_KEYS).join(", ")}` };
+  const order = query.get("order") || "asc";
+  if (order !== "asc" && order !== "desc") return { error: "order must be asc or desc" };
+  const outcome = query.get("outcome");
+  if (outcome !== null && outcome !== "win" && outcome !== "loss") return { error: "outcome must be win or loss" };
+  const from = parseQueryTime(query.get("from"));
+  const to = parseQueryTime(query.get("to"));
+  if (from === undefined || to === undefined) return { error: "from/to must be epoch ms or an ISO date" };
+  // Without limit, offset or cursor every match is returned, as before pagination existed
+  const paginated = query.has("limit") || query.has("offset") || query.has("cursor");
+  const limit = query.has("limit") ? Number(query.get("limit")) : paginated ? TRADES_DEFAULT_LIMIT : null;
+  if (limit !== null && !(Number.isInteger(limit) && limit > 0 && limit <= TRADES_MAX_LIMIT)) return { error: `limit must be 1-${TRADES_MAX_LIMIT}` };
+  const offset = query.has("offset") ? Number(query.get("offset")) : 0;
+  if (!(Number.isInteger(offset) && offset >= 0)) return { error: "offset must be a non-negative integer" };
+
+  let cursor = null;
+  if (query.has("cursor")) {
+    if (query.has("offset")) return { error: "use either cursor or offset" };
+    try {
+      cursor = JSON.parse(Buffer.from(query.get("cursor"), "base64url").toString("utf8"));
+    } catch { /* checked below */ }
+    if (!cursor || cursor.sort !== sort || cursor.order !== order || typeof cursor.value !== "number" || typeof cursor.key !== "string") return { error: "Invalid cursor for this sort/order" };
+  }
+
+  const lower = (key) => (query.get(key) || "").toLowerCase() || null;
+  return {
+    status,
+    policyId: query.get("policy_id"),
+    symbol: lower("symbol"),
+    pair: lower("pair"),
+    closeReason: query.get("close_reason"),
+    tag: query.get("tag"),
+    outcome,
+    from,
+    to,
+    sort,
+    order,
+    limit,
+    offset,
+    cursor,
+  };
+}
+
+// Tags of the policy decisions that opened and closed a trade
+function tradeTags(t) {
+  return [...((t.entry_decision && t.entry_decision.tags) || []), ...((t.exit_decision && t.exit_decision.tags) || [])];
+}
+
+/**
+ * Open and closed trades matching a parsed /trades query, plus a summary over
+ * all matches. Open trades are filtered on opened_at, closed ones on closed_at;
+ * close_reason and outcome only match closed trades.
+ */
+function queryTrades(q) {
+  const matches = (t, time) => (q.policyId === null || String(t.policy_id) === q.policyId)
+    && (q.symbol === null || (t.symbol || "").toLowerCase() === q.symbol)
+    && (q.pair === null || (t.pairAddress || "").toLowerCase() === q.pair)
+    && (q.tag === null || tradeTags(t).includes(q.tag))
+    && (q.from === null || (time || 0) >= q.from)
+    && (q.to === null || (time || 0) < q.to);
+  const closedOnly = q.closeReason !== null || q.outcome !== null;
+
+  const open = q.status === "closed" || closedOnly
+    ? []
+    : Object.entries(activeTrades).filter(([, t]) => matches(t, t.opened_at));
+  const closed = q.status === "open" ? [] : inactiveTrades.filter((t) => matches(t, t.closed_at)
+    && (q.closeReason === null || (t.close_reason || "policy_exit") === q.closeReason)
+    && (q.outcome === null || (realizedPnlEth(t) >= 0) === (q.outcome === "win")));
+
+  const key = TRADE_SORT_KEYS[q.sort];
+  const sign = q.order === "desc" ? -1 : 1;
+  const compare = (a, b) => sign * (a.value - b.value || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  const sorted = closed.map((t) => ({ t, value: key(t), key: tradeKey(t) })).sort(compare);
+
+  const start = q.cursor ? sorted.findIndex((row) => compare(row, q.cursor) > 0) : q.offset;
+  const page = start < 0 ? [] : sorted.slice(start, q.limit === null ? undefined : start + q.limit);
+  const last = page[page.length - 1];
+  const more = page.length > 0 && start + page.length < sorted.length;
+  return {
+    open,
+    closed: page.map((row) => row.t),
+    total: sorted.length,
+    hasMore: more,
+    nextCursor: more ? Buffer.from(JSON.stringify({ sort: q.sort, order: q.order, value: last.value, key: last.key })).toString("base64url") : null,
+    summary: computeSummary(open.map(([, t]) => t), closed),
+  };
+}
+
 /**
  * Start the HTTP control server on CONTROL_PORT.
  * Binds to 127.0.0.1 only (security: trade execution capability).
@@ -1614,6 +6744,7 @@ function startControlServer() {
   controlServer = http.createServer(async (req, res) => {
     const method = req.method;
     const url = req.url.split("?")[0]; // strip query string
+    const query = new URLSearchParams(req.url.split("?")[1] || "");
 
     try {
       // ── GET /status ──────────────────────────────────────────
@@ -1638,10 +6769,25 @@ function startControlServer() {
         }
         return sendJson(res, 200, {
           paused,
+          dry_run: DRY_RUN,
           uptime_seconds: Math.floor((Date.now() - agentStartTime) / 1000),
           pairs_tracked: Object.keys(computedPairData).length,
           wallet: wallet ? wallet.address : null,
           active_trades: trades,
+          policies: getPolicyStatus(),
+          risk: getRiskStatus(),
+          rpc: getRpcStatus(),
+          storage: getStorageStatus(),
+          treasury: {
+            balances: treasuryState.balances,
+            pending: treasuryState.pending.length,
+            updated_at: treasuryState.updated_at ? new Date(treasuryState.updated_at).toISOString() : null,
+          },
+          tx: {
+            next_nonce: txManager.nextNonce,
+            queue_depth: txManager.queue.length,
+            pending: [...txManager.pending.values()].map((entry) => ({ nonce: entry.nonce, label: entry.job.label, hashes: entry.hashes })),
+          },
           summary,
         });
       }
@@ -1675,6 +6821,12 @@ function startControlServer() {
       // ── POST /resume ─────────────────────────────────────────
       if (method === "POST" && url === "/resume") {
         paused = false;
+        if (riskState.halted_until) {
+          // Manual resume overrides the daily-loss breaker for the rest of the day
+          riskState.breaker_overridden_day = utcDayStart(now());
+          riskState.halted_until = null;
+          riskState.halted_reason = null;
+        }
         log("[CONTROL] Auto-trading RESUMED");
         return sendJson(res, 200, { paused: false, message: "Auto-trading resumed." });
       }
@@ -1690,7 +6842,7 @@ function startControlServer() {
           pairs.map((addr) => {
             const trade = activeTrades[addr];
             if (!trade) return Promise.resolve({ pairAddress: addr, status: "skipped" });
-            return executeSell(addr, trade, 100)
+            return executeSell(addr, trade, 100, { reason: "manual" })
               .then(() => ({ pairAddress: addr, symbol: trade.symbol, status: "sold" }))
               .catch((e) => ({ pairAddress: addr, symbol: trade.symbol, status: "error", error: e.message }));
           })
@@ -1706,17 +6858,31 @@ function startControlServer() {
         const body = await parseBody(req);
         const addr = (body.pairAddress || "").toLowerCase();
         const percent = parseFloat(body.percent || 100);
+        const byTarget = body.sellEth !== undefined || !!body.recoverInitial;
 
         if (!addr) return sendJson(res, 400, { error: "Missing pairAddress" });
-        if (percent <= 0 || percent > 100) return sendJson(res, 400, { error: "percent must be 1-100" });
+        if (!byTarget && (percent <= 0 || percent > 100)) return sendJson(res, 400, { error: "percent must be 1-100" });
 
         const trade = activeTrades[addr];
         if (!trade) return sendJson(res, 404, { error: `No active trade for ${addr}` });
 
         if (executing[addr]) return sendJson(res, 409, { error: `Trade on ${addr} is already executing` });
 
+        if (byTarget) {
+          // Same semantics as an exitFunc returning { sellEth } / { recoverInitial: true }
+          const action = parseExitAction({ sellEth: body.sellEth, recoverInitial: body.recoverInitial }, trade);
+          if (!action) return sendJson(res, 400, { error: body.recoverInitial ? "Cost basis already recovered" : "sellEth must be > 0" });
+          log(`[CONTROL] Manual SELL ${action.sellEth.toFixed(6)} ETH of ${trade.symbol || addr}`);
+          const ok = await executeSell(addr, trade, 100, { reason: action.reason || "manual", sellEth: action.sellEth });
+          return sendJson(res, ok ? 200 : 502, {
+            message: `Sell of ${action.sellEth.toFixed(6)} ETH ${ok ? "executed" : "failed"} for ${trade.symbol || addr}`,
+            pairAddress: addr,
+            sell_eth: action.sellEth,
+          });
+        }
+
         log(`[CONTROL] Manual SELL ${percent}% of ${trade.symbol || addr}`);
-        await executeSell(addr, trade, percent);
+        await executeSell(addr, trade, percent, { reason: "manual" });
         return sendJson(res, 200, {
           message: `Sell ${percent}% executed for ${trade.symbol || addr}`,
           pairAddress: addr,
@@ -1733,7 +6899,6 @@ function startControlServer() {
         if (!addr) return sendJson(res, 400, { error: "Missing pairAddress" });
         if (ethAmount <= 0) return sendJson(res, 400, { error: "ethAmount must be > 0" });
 
-        if (activeTrades[addr]) return sendJson(res, 409, { error: `Already have an active trade on ${addr}` });
         if (executing[addr]) return sendJson(res, 409, { error: `Trade on ${addr} is already executing` });
 
         const pairData = computedPairData[addr];
@@ -1743,24 +6908,78 @@ function startControlServer() {
         const actionPercent = Math.min(Math.round((ethAmount / config.maxEthPerTradeValue) * 100), 100);
         const actualEth = config.maxEthPerTradeValue * (actionPercent / 100);
 
-        log(`[CONTROL] Manual BUY on ${pairData.symbol || addr} for ~${actualEth.toFixed(6)} ETH (action=${actionPercent}%)`);
-        await executeBuy(addr, pairData, { id: "manual" }, actionPercent);
+        const risk = checkRisk(addr, pairData, actualEth);
+        if (!risk.allowed) return sendJson(res, 409, { error: `Blocked by risk limits: ${risk.reason}` });
+
+        // An open trade gets an add-on lot, keeping its original policy
+        const existing = activeTrades[addr];
+        const policy = existing ? { id: existing.policy_id } : { id: "manual" };
+        log(`[CONTROL] Manual ${existing ? "SCALE-IN" : "BUY"} on ${pairData.symbol || addr} for ~${actualEth.toFixed(6)} ETH (action=${actionPercent}%)`);
+        await executeBuy(addr, pairData, policy, actionPercent);
         return sendJson(res, 200, {
-          message: `Buy executed for ${pairData.symbol || addr}`,
+          message: `${existing ? "Add-on buy" : "Buy"} executed for ${pairData.symbol || addr}`,
           pairAddress: addr,
           eth_amount: actualEth,
           action_percent: actionPercent,
+          lots: activeTrades[addr] ? tradeLots(activeTrades[addr]).length : 0,
         });
       }
 
+      // ── POST /protection ─────────────────────────────────────
+      // Set protective orders on an open trade ({ pairAddress, ... }) or as a
+      // policy's defaults for its future trades ({ policyId, ... }).
+      if (method === "POST" && url === "/protection") {
+        const body = await parseBody(req);
+        const spec = {};
+        for (const key of PROTECTION_ORDER_KEYS) {
+          if (body[key] !== undefined) spec[key] = body[key];
+        }
+        const errors = validateProtection(spec);
+        if (errors.length > 0) return sendJson(res, 400, { error: "Invalid protection", errors });
+
+        if (body.pairAddress) {
+          const addr = body.pairAddress.toLowerCase();
+          const trade = activeTrades[addr];
+          if (!trade) return sendJson(res, 404, { error: `No active trade for ${addr}` });
+
+          const protection = updateTradeProtection(trade, spec);
+          journalTrade(addr);
+          log(`[CONTROL] Protection for ${trade.symbol || addr} set to ${JSON.stringify(protection)}`);
+          return sendJson(res, 200, { message: `Protection updated for ${trade.symbol || addr}`, pairAddress: addr, protection });
+        }
+
+        if (body.policyId !== undefined) {
+          const policy = findPolicy(body.policyId);
+          if (!policy) return sendJson(res, 404, { error: `Unknown policy ${body.policyId}` });
+
+          const next = { ...(policy.protection || {}), ...spec };
+          for (const key of Object.keys(next)) {
+            if (next[key] === null) delete next[key];
+          }
+          policy.protection = next;
+          saveConfig(config);
+          log(`[CONTROL] Protection for policy "${policy.id}" set to ${JSON.stringify(next)}`);
+          return sendJson(res, 200, { message: `Protection updated for policy ${policy.id} (applies to new trades)`, policy_id: policy.id, protection: next });
+        }
+
+        return sendJson(res, 400, { error: "Missing pairAddress or policyId" });
+      }
+
       // ── GET /trades ──────────────────────────────────────────
       if (method === "GET" && url === "/trades") {
-        const summary = computeSummary();
+        const tradeQuery = parseTradeQuery(query);
+        if (tradeQuery.error) return sendJson(res, 400, { error: tradeQuery.error });
+        const selected = queryTrades(tradeQuery);
 
-        const open = Object.entries(activeTrades).map(([addr, t]) => ({
+        const open = selected.open.map(([addr, t]) => ({
           pairAddress: addr,
           symbol: t.symbol || "",
           policy_id: t.policy_id,
+          policy_version: t.policy_version || null,
+          base_symbol: tradeBaseSymbol(t),
+          base_spent: t.base_spent ?? t.eth_spent,
+          base_sold: t.base_sold ?? (t.eth_sold || 0),
+          usd_at_entry: t.usd_at_entry ?? null,
           entry_price: t.entry_price,
           current_price: t.current_price,
           price_change_pct: parseFloat((t.price_change_pct || 0).toFixed(2)),
@@ -1768,32 +6987,131 @@ function startControlServer() {
           eth_sold: t.eth_sold || 0,
           current_eth_value: t.current_eth_value || 0,
           total_value: (t.eth_sold || 0) + (t.current_eth_value || 0),
-          pnl_eth: parseFloat(((t.eth_sold || 0) + (t.current_eth_value || 0) - t.eth_spent).toFixed(6)),
-          pnl_pct: t.eth_spent > 0 ? parseFloat((((t.eth_sold || 0) + (t.current_eth_value || 0) - t.eth_spent) / t.eth_spent * 100).toFixed(2)) : 0,
+          gas_eth: t.gas_eth || 0,
+          pnl_eth: parseFloat(((t.current_eth_value || 0) + realizedPnlEth(t)).toFixed(6)),
+          pnl_pct: t.eth_spent > 0 ? parseFloat((((t.current_eth_value || 0) + realizedPnlEth(t)) / t.eth_spent * 100).toFixed(2)) : 0,
+          feed_price_at_buy: t.feed_price_at_buy || null,
+          entry_slippage_pct: weightedSlippagePct(tradeLots(t), "eth_spent"),
+          exit_slippage_pct: weightedSlippagePct(t.sells, "eth_received"),
           tokens_bought: t.tokens_bought,
           tokens_in_possession: t.tokens_in_possession,
           tokens_sold: t.tokens_bought - t.tokens_in_possession,
+          tx_hashes: t.tx_hashes || [],
+          protection: t.protection || null,
+          entry_decision: t.entry_decision || null,
+          adds: tradeAdds(t),
+          lots: tradeLots(t),
           opened_at: t.opened_at,
-          age_ms: Date.now() - (t.opened_at || Date.now()),
+          age_ms: now() - (t.opened_at || now()),
         }));
 
-        const closed = inactiveTrades.map((t) => ({
+        const closed = selected.closed.map((t) => ({
           pairAddress: t.pairAddress,
           symbol: t.symbol || "",
           policy_id: t.policy_id,
+          policy_version: t.policy_version || null,
+          base_symbol: tradeBaseSymbol(t),
+          base_spent: t.base_spent ?? t.eth_spent,
+          base_sold: t.base_sold ?? (t.eth_sold || 0),
+          usd_at_entry: t.usd_at_entry ?? null,
           entry_price: t.entry_price,
           exit_price: t.exit_price || t.current_price,
           eth_spent: t.eth_spent,
           eth_sold: t.eth_sold || 0,
-          pnl_eth: parseFloat(((t.eth_sold || 0) - t.eth_spent).toFixed(6)),
-          pnl_pct: t.eth_spent > 0 ? parseFloat((((t.eth_sold || 0) - t.eth_spent) / t.eth_spent * 100).toFixed(2)) : 0,
+          gas_eth: t.gas_eth || 0,
+          pnl_eth: parseFloat(realizedPnlEth(t).toFixed(6)),
+          pnl_pct: t.eth_spent > 0 ? parseFloat((realizedPnlEth(t) / t.eth_spent * 100).toFixed(2)) : 0,
+          entry_slippage_pct: weightedSlippagePct(tradeLots(t), "eth_spent"),
+          exit_slippage_pct: weightedSlippagePct(t.sells, "eth_received"),
           tokens_bought: t.tokens_bought,
+          tx_hashes: t.tx_hashes || [],
+          adds: tradeAdds(t),
+          lots: tradeLots(t),
+          sells: t.sells || [],
           opened_at: t.opened_at,
           closed_at: t.closed_at,
           close_reason: t.close_reason || "policy_exit",
+          entry_decision: t.entry_decision || null,
+          exit_decision: t.exit_decision || null,
         }));
 
-        return sendJson(res, 200, { summary, open_trades: open, closed_trades: closed });
+        return sendJson(res, 200, {
+          summary: selected.summary,
+          open_trades: open,
+          closed_trades: closed,
+          page: { total: selected.total, limit: tradeQuery.limit, offset: tradeQuery.cursor ? null : tradeQuery.offset, has_more: selected.hasMore, next_cursor: selected.nextCursor },
+        });
+      }
+
+      // ── GET /wallet ──────────────────────────────────────────
+      if (method === "GET" && url === "/wallet") {
+        try {
+          await refreshTreasuryBalances();
+          treasuryState.last_error = null;
+        } catch (error) {
+          treasuryState.last_error = error.message; // serve the cached balances
+        }
+        return sendJson(res, 200, getTreasuryStatus());
+      }
+
+      // ── GET /tx ──────────────────────────────────────────────
+      if (method === "GET" && url === "/tx") {
+        return sendJson(res, 200, getTxStatus());
+      }
+
+      // ── POST /tx/:hash/speedup, /tx/:hash/cancel ─────────────
+      const txRoute = url.match(/^\/tx\/(0x[0-9a-fA-F]{64})\/(speedup|cancel)$/);
+      if (method === "POST" && txRoute) {
+        const entry = findPendingTx(txRoute[1]);
+        if (!entry) return sendJson(res, 404, { error: `No pending transaction ${txRoute[1]}` });
+        if (entry.cancel) return sendJson(res, 409, { error: `Nonce ${entry.nonce} is already being cancelled (${entry.cancel.reason})` });
+
+        let sent;
+        if (txRoute[2] === "speedup") {
+          const fees = await bumpedFees(entry);
+          if (!feesWithinCap(fees)) {
+            return sendJson(res, 409, { error: `Bumped fee ${ethers.formatUnits(fees.maxFeePerGas, "gwei")} gwei exceeds tx.maxFeeGwei ${txSettings().maxFeeGwei}` });
+          }
+          sent = await replacePendingTx(entry, fees);
+        } else {
+          sent = await cancelPendingTx(entry, "manual");
+        }
+        if (sent.error) return sendJson(res, 502, { error: sent.error });
+        log(`[CONTROL] ${txRoute[2] === "speedup" ? "Sped up" : "Cancelling"} nonce ${entry.nonce} (${entry.job.label}): ${sent.hash}`);
+        return sendJson(res, 200, { nonce: entry.nonce, label: entry.job.label, hash: sent.hash, hashes: entry.hashes, max_fee_gwei: ethers.formatUnits(entry.fees.maxFeePerGas, "gwei") });
+      }
+
+      // ── GET /recorder ────────────────────────────────────────
+      if (method === "GET" && url === "/recorder") {
+        return sendJson(res, 200, getRecorderStatus());
+      }
+
+      // ── POST /recorder/start ─────────────────────────────────
+      if (method === "POST" && url === "/recorder/start") {
+        const body = await parseBody(req);
+        const spec = {};
+        for (const key of RECORDER_UPDATABLE_KEYS) {
+          if (body[key] !== undefined) spec[key] = body[key];
+        }
+        const errors = validateRecorder(spec);
+        if (errors.length > 0) return sendJson(res, 400, { error: "Invalid recorder settings", errors });
+
+        const next = { ...recorderSettings(), ...spec, enabled: true };
+        // Settings such as gzip/dir apply to a fresh file
+        await closeRecorder();
+        config.recorder = next;
+        saveConfig(config);
+        log(`[CONTROL] Recorder STARTED (${JSON.stringify(next)})`);
+        return sendJson(res, 200, { message: "Recorder started.", recorder: getRecorderStatus() });
+      }
+
+      // ── POST /recorder/stop ──────────────────────────────────
+      if (method === "POST" && url === "/recorder/stop") {
+        config.recorder = { ...recorderSettings(), enabled: false };
+        await closeRecorder();
+        saveConfig(config);
+        log("[CONTROL] Recorder STOPPED");
+        return sendJson(res, 200, { message: "Recorder stopped.", recorder: getRecorderStatus() });
       }
 
       // ── GET /config ──────────────────────────────────────────
@@ -1804,14 +7122,9 @@ function startControlServer() {
       // ── POST /config ─────────────────────────────────────────
       if (method === "POST" && url === "/config") {
         const body = await parseBody(req);
-        const updatable = ["maxEthPerTradeValue", "slippage", "groupInterval", "maxGroups", "onlyPairs", "excludePairs"];
-        const updated = {};
-        for (const key of updatable) {
-          if (body[key] !== undefined) {
-            config[key] = body[key];
-            updated[key] = body[key];
-          }
-        }
+        const errors = validateConfigUpdate(body);
+        if (errors.length > 0) return sendJson(res, 400, { error: "Invalid config, nothing changed", errors });
+        const updated = applyConfigUpdate(body);
         if (Object.keys(updated).length > 0) {
           saveConfig(config);
           log(`[CONTROL] Config updated: ${JSON.stringify(updated)}`);
@@ -1819,6 +7132,51 @@ function startControlServer() {
         return sendJson(res, 200, { message: "Config updated", updated, config });
       }
 
+      // ── POST /policies ───────────────────────────────────────
+      if (method === "POST" && url === "/policies") {
+        const body = await parseBody(req);
+        const policies = Array.isArray(body) ? body : body.policies;
+        const errors = validatePolicies(policies);
+        if (errors.length > 0) {
+          return sendJson(res, 400, { error: "Invalid policies, nothing changed", errors });
+        }
+
+        const changes = applyPolicies(policies);
+        saveConfig(config);
+        log(`[CONTROL] Policies replaced: ${JSON.stringify(changes)}`);
+        return sendJson(res, 200, { message: "Policies updated", changes, policies: getPolicyStatus() });
+      }
+
+      // ── /policies/:id/stats|disable|enable ───────────────────
+      const policyRoute = url.match(/^\/policies\/([^/]+)\/(stats|disable|enable)$/);
+      if (policyRoute) {
+        const policyId = decodeURIComponent(policyRoute[1]);
+        const policy = findPolicy(policyId);
+
+        if (method === "GET" && policyRoute[2] === "stats") {
+          const stats = computePolicyStats(policyId);
+          if (!policy && stats.open_trades + stats.closed_trades === 0) return sendJson(res, 404, { error: `Unknown policy ${policyId}` });
+          return sendJson(res, 200, {
+            ...stats,
+            configured: !!policy,
+            health: policy ? getPolicyHealth(policy.id) : null,
+            guards: policy ? resolvePolicyGuards(policy) : null,
+          });
+        }
+
+        if (method === "POST" && policyRoute[2] !== "stats") {
+          if (!policy) return sendJson(res, 404, { error: `Unknown policy ${policyId}` });
+          if (policyRoute[2] === "disable") {
+            const body = await parseBody(req);
+            disablePolicyEntries(policy.id, body.reason ? `manual: ${body.reason}` : "manual");
+          } else {
+            enablePolicy(policy.id);
+          }
+          log(`[CONTROL] Policy "${policy.id}" ${policyRoute[2]}d`);
+          return sendJson(res, 200, { message: `Policy ${policy.id} ${policyRoute[2]}d`, health: getPolicyHealth(policy.id) });
+        }
+      }
+
       // ── 404 ──────────────────────────────────────────────────
       sendJson(res, 404, { error: `Unknown endpoint: ${method} ${url}` });
     } catch (err) {
@@ -1841,7 +7199,225 @@ function startControlServer() {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// Section 8: Main Entry Point
+// Section 8: Offline Backtester
+// ═══════════════════════════════════════════════════════════════
+
+// Trade log entries produced during a backtest (kept in memory, never written to disk)
+const backtestLog = [];
+let backtestQuiet = false;
+
+/**
+ * Normalize an event timestamp (ms, seconds or ISO string) to epoch milliseconds.
+ */
+function toEpochMs(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return value < 1e12 ? value * 1000 : value;
+  const num = Number(value);
+  if (Number.isFinite(num)) return toEpochMs(num);
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Parse one JSONL line into { ts, event, data }. Accepts recorder lines
+ * ({ ts, event, data }) as well as bare marketData payloads carrying a timestamp.
+ */
+function parseRecordedEvent(line) {
+  const obj = JSON.parse(line);
+  if (obj && obj.event && obj.data !== undefined) {
+    return { ts: toEpochMs(obj.ts), event: obj.event, data: obj.data };
+  }
+  const inner = obj.data || {};
+  return { ts: toEpochMs(obj.timestamp ?? inner.timestamp ?? obj.ts), event: "marketData", data: obj };
+}
+
+function parseBacktestArgs(argv) {
+  const opts = { files: [], config: null, out: null, from: null, to: null, closeOpen: false, quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--config") opts.config = argv[++i];
+    else if (arg === "--out") opts.out = argv[++i];
+    else if (arg === "--from") opts.from = toEpochMs(argv[++i]);
+    else if (arg === "--to") opts.to = toEpochMs(argv[++i]);
+    else if (arg === "--close-open") opts.closeOpen = true;
+    else if (arg === "--quiet") opts.quiet = true;
+    else opts.files.push(arg);
+  }
+  return opts;
+}
+
+/**
+ * Expand directories into their recorder files (chronological by name).
+ */
+function expandBacktestFiles(paths) {
+  const files = [];
+  for (const p of paths) {
+    if (fs.statSync(p).isDirectory()) {
+      const names = fs.readdirSync(p).filter((n) => RECORDER_FILE_RE.test(n)).sort();
+      files.push(...names.map((n) => path.join(p, n)));
+    } else {
+      files.push(p);
+    }
+  }
+  return files;
+}
+
+function backtestTradeRow(t, status) {
+  const pnlEth = realizedPnlEth(t) + (status === "open" ? (t.current_eth_value || 0) : 0);
+  const endTs = status === "open" ? now() : t.closed_at;
+  return {
+    status,
+    pairAddress: t.pairAddress,
+    symbol: t.symbol || "",
+    policy_id: t.policy_id,
+    base_symbol: tradeBaseSymbol(t),
+    entry_price: t.entry_price,
+    exit_price: status === "open" ? t.current_price : (t.exit_price || t.current_price),
+    eth_spent: t.eth_spent,
+    eth_sold: t.eth_sold || 0,
+    adds: tradeAdds(t),
+    gas_eth: t.gas_eth || 0,
+    pnl_eth: pnlEth,
+    entry_slippage_pct: weightedSlippagePct(tradeLots(t), "eth_spent"),
+    exit_slippage_pct: weightedSlippagePct(t.sells, "eth_received"),
+    pnl_pct: t.eth_spent > 0 ? (pnlEth / t.eth_spent) * 100 : 0,
+    max_price_since_entry: t.max_price_since_entry,
+    min_price_since_entry: t.min_price_since_entry,
+    opened_at: new Date(t.opened_at).toISOString(),
+    closed_at: status === "open" ? null : new Date(t.closed_at).toISOString(),
+    hold_minutes: (endTs - t.opened_at) / 60000,
+    close_reason: status === "open" ? null : (t.close_reason || "policy_exit"),
+  };
+}
+
+/**
+ * Replay recorded marketData / usdRates_update events through the live policy
+ * engine (processPairUpdate → integrateNewData → evaluateEntries/evaluateExits)
+ * on a virtual clock with simulated fills. Returns the computeSummary() shape
+ * plus a per-trade report.
+ */
+async function runBacktest(opts) {
+  const readline = require("readline");
+
+  if (opts.config) {
+    Object.assign(config, loadConfig(opts.config));
+  }
+  backtestQuiet = opts.quiet;
+
+  let events = 0;
+  let firstTs = null;
+  let lastCleanup = null;
+  let lastProtectionCheck = null;
+
+  for (const file of expandBacktestFiles(opts.files)) {
+    const raw = fs.createReadStream(file);
+    const input = file.endsWith(".gz") ? raw.pipe(zlib.createGunzip()) : raw;
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+
+      let evt;
+      try {
+        evt = parseRecordedEvent(line);
+      } catch (err) {
+        log(`[BACKTEST] Skipping malformed line in ${file}: ${err.message}`);
+        continue;
+      }
+
+      const ts = evt.ts !== null ? evt.ts : virtualNow;
+      if (ts === null) continue;
+      if (opts.from && ts < opts.from) continue;
+      if (opts.to && ts > opts.to) continue;
+
+      // Never move the clock backwards on slightly out-of-order events
+      virtualNow = virtualNow !== null ? Math.max(virtualNow, ts) : ts;
+      if (firstTs === null) firstTs = virtualNow;
+
+      if (evt.event === "usdRates_update") {
+        updateUsdPrices(evt.data);
+      } else if (evt.event === "marketData") {
+        events++;
+        processPairUpdate(evt.data);
+        // Simulated executions resolve in microtasks; drain them before the next event
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+
+      if (lastCleanup === null) lastCleanup = virtualNow;
+      if (virtualNow - lastCleanup >= 15 * 60 * 1000) {
+        cleanupOldGroups();
+        lastCleanup = virtualNow;
+      }
+
+      // Timer-driven protective orders on the virtual clock (e.g. max hold on a quiet pair)
+      if (lastProtectionCheck === null) lastProtectionCheck = virtualNow;
+      if (virtualNow - lastProtectionCheck >= protectionSettings().checkIntervalSec * 1000) {
+        await checkProtectiveOrders();
+        await new Promise((resolve) => setImmediate(resolve));
+        lastProtectionCheck = virtualNow;
+      }
+    }
+  }
+
+  if (opts.closeOpen) {
+    for (const [pairAddress, trade] of Object.entries(activeTrades)) {
+      await executeSell(pairAddress, trade, 100, { reason: "backtest_end" });
+    }
+  }
+
+  return {
+    summary: computeSummary(),
+    events,
+    from: firstTs !== null ? new Date(firstTs).toISOString() : null,
+    to: virtualNow !== null ? new Date(virtualNow).toISOString() : null,
+    policies: config.policies.map((p) => p.id),
+    trades: [
+      ...inactiveTrades.map((t) => backtestTradeRow(t, "closed")),
+      ...Object.values(activeTrades).map((t) => backtestTradeRow(t, "open")),
+    ],
+    trade_log: backtestLog,
+  };
+}
+
+async function backtestMain() {
+  const opts = parseBacktestArgs(process.argv.slice(3));
+  if (opts.files.length === 0) {
+    console.error("Usage: node standalone-agent.js backtest <events.jsonl...> [options]");
+    console.error("\nOptions:");
+    console.error("  --config <path>   Policy config (default: CONFIG_PATH / ./agent-config.json)");
+    console.error("  --from <time>     Skip events before this time (ISO or epoch)");
+    console.error("  --to <time>       Skip events after this time (ISO or epoch)");
+    console.error("  --out <path>      Write the full JSON report to a file");
+    console.error("  --close-open      Sell positions still open at the end of the replay");
+    console.error("  --quiet           Suppress engine logs during the replay");
+    process.exit(1);
+  }
+
+  const report = await runBacktest(opts);
+  const { summary } = report;
+
+  console.log("\n" + "=".repeat(60));
+  console.log("  Backtest Report");
+  console.log("=".repeat(60));
+  console.log(`  Events:        ${report.events} (${report.from} → ${report.to})`);
+  console.log(`  Policies:      ${report.policies.join(", ") || "none"}`);
+  console.log(`  Trades:        ${summary.closed_trades} closed, ${summary.open_trades} open`);
+  console.log(`  Win rate:      ${summary.win_rate_pct.toFixed(2)}% (${summary.wins}W / ${summary.losses}L)`);
+  console.log(`  Realized PnL:  ${summary.realized_pnl_eth.toFixed(6)} ETH`);
+  console.log(`  Unrealized:    ${summary.unrealized_pnl_eth.toFixed(6)} ETH`);
+  console.log(`  Net ROI:       ${summary.net_roi_pct.toFixed(2)}%`);
+  for (const t of report.trades) {
+    console.log(`  ${t.status.padEnd(6)} ${(t.symbol || t.pairAddress).padEnd(14)} ${t.pnl_pct >= 0 ? "+" : ""}${t.pnl_pct.toFixed(2)}% | ${t.hold_minutes.toFixed(1)} min | ${t.close_reason || "-"}`);
+  }
+
+  if (opts.out) {
+    fs.writeFileSync(opts.out, JSON.stringify(report, null, 2), "utf8");
+    console.log(`\n  Report written to ${opts.out}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// Section 9: Main Entry Point
 // ═══════════════════════════════════════════════════════════════
 
 async function main() {
@@ -1849,38 +7425,43 @@ async function main() {
   console.log("  Standalone Trading Agent — Base Chain");
   console.log("=".repeat(60));
 
-  // Validate PRIVATE_KEY
-  if (!PRIVATE_KEY) {
+  // Validate PRIVATE_KEY (paper trading runs without one)
+  if (!PRIVATE_KEY && !DRY_RUN) {
     console.error("\nError: PRIVATE_KEY environment variable is required.");
     console.error("Usage: PRIVATE_KEY=0x... node standalone-agent.js");
     console.error("\nOptional env vars:");
     console.error("  RPC_URL        — Base RPC endpoint (default: https://mainnet.base.org)");
+    console.error("  RPC_URLS       — Comma-separated RPC endpoints for failover (overrides RPC_URL)");
     console.error("  CONFIG_PATH    — Path to agent-config.json (default: ./agent-config.json)");
     console.error("  SERVER_URL     — Market data server (default: https://alpha.cssgod.io)");
     console.error("  CONTROL_PORT   — HTTP control server port (default: 31415)");
+    console.error("  DRY_RUN        — Set to 1 to paper trade without sending transactions");
     process.exit(1);
   }
 
   // Setup provider and wallet
-  provider = new ethers.JsonRpcProvider(RPC_URL);
-  wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+  initRpcPool(RPC_URLS.length > 0 ? RPC_URLS : [RPC_URL]);
+  wallet = PRIVATE_KEY ? new ethers.Wallet(PRIVATE_KEY, provider) : ethers.Wallet.createRandom().connect(provider);
 
+  if (DRY_RUN) {
+    log("[INIT] DRY_RUN enabled: swaps are simulated at feed prices, no transactions will be sent");
+    log(`[INIT] Simulated trades: ${TRADES_PATH}`);
+  }
   log(`[INIT] Wallet: ${wallet.address}`);
-  log(`[INIT] RPC:    ${RPC_URL}`);
+  log(`[INIT] RPC:    ${rpcPool.endpoints.map((e) => e.name).join(", ")}`);
   log(`[INIT] Server: ${SERVER_URL}`);
   log(`[INIT] Config: ${CONFIG_PATH}`);
 
-  // Check ETH balance
-  try {
-    const balance = await provider.getBalance(wallet.address);
-    const ethBalance = parseFloat(ethers.formatEther(balance));
-    log(`[INIT] ETH Balance: ${ethBalance.toFixed(6)} ETH`);
+  // Pick the best endpoint before the first reads
+  await checkRpcHealth();
 
-    if (ethBalance < 0.001) {
-      log("[INIT] WARNING: Very low ETH balance. You may not be able to execute trades.");
-    }
-  } catch (error) {
-    log(`[INIT] Could not fetch balance: ${error.message}`);
+  // Wallet inventory; live mode also tops up the gas reserve and WETH float
+  await maintainTreasury();
+  if (treasuryState.balances) {
+    const balances = treasuryState.balances;
+    log(`[INIT] Balances: ${balances.ETH.toFixed(6)} ETH, ${balances.WETH.toFixed(6)} WETH, ${balances.ZORA.toFixed(2)} ZORA, ${balances.CLANKER.toFixed(4)} CLANKER`);
+  } else {
+    log(`[INIT] Could not fetch balances: ${treasuryState.last_error}`);
   }
 
   // Log config summary
@@ -1898,26 +7479,42 @@ async function main() {
   if (config.excludePairs.length > 0) {
     log(`[INIT] Excluded pairs: ${config.excludePairs.length}`);
   }
+  if (recorderSettings().enabled) {
+    log(`[INIT] Recording market data to ${recorderDir(recorderSettings())}`);
+  }
 
   if (config.policies.length === 0) {
     log("[INIT] WARNING: No policies configured. The agent will track data but will not trade.");
     log("[INIT] Create an agent-config.json file with entryFunc/exitFunc policies to enable trading.");
   }
 
-  // Load saved trades from previous session
+  // Load saved trades from previous session, then settle swaps that were in flight when it stopped
+  loadPolicyState();
   loadTrades();
+  loadTradeLogStats();
+  if (Object.keys(journal.intents).length > 0) {
+    log(`[JOURNAL] ${Object.keys(journal.intents).length} open intent(s) from the last session, reconciling`);
+    await reconcileIntents();
+  }
+  setInterval(reconcileIntents, 60 * 1000);
 
   // Verify on-chain balances for restored trades (removes zero-balance trades, updates amounts)
   if (Object.keys(activeTrades).length > 0) {
     await checkTradeBalances();
   }
 
+  // Apply policyGuards to the restored history, so a breach is acted on before the first entry
+  for (const policy of config.policies) checkPolicyGuards(policy.id);
+
   // Connect to market data feed
   connectToFeed();
 
   // Start HTTP control server
   startControlServer();
 
+  // Hot-reload policies/config when CONFIG_PATH is edited
+  watchConfigFile();
+
   // Fetch initial gas price, then refresh every 30 seconds
   async function updateGasPrice() {
     try {
@@ -1925,7 +7522,9 @@ async function main() {
       if (feeData?.gasPrice) {
         gasPriceGwei = parseFloat(ethers.formatUnits(feeData.gasPrice, "gwei"));
       }
-    } catch (e) { /* keep previous value */ }
+    } catch (e) {
+      reportRpcError(e); // keep previous value
+    }
   }
   await updateGasPrice();
   setInterval(updateGasPrice, 30000);
@@ -1936,6 +7535,15 @@ async function main() {
   // Periodic balance check (every 5 minutes) — prunes zero-balance trades, syncs amounts
   setInterval(checkTradeBalances, 5 * 60 * 1000);
 
+  // Protective orders (stop-loss / take-profit / trailing / max hold), even on quiet pairs
+  scheduleProtectionChecks();
+
+  // Gas reserve / WETH float upkeep
+  scheduleTreasuryChecks();
+
+  // RPC endpoint health and failover
+  scheduleRpcHealthChecks();
+
   // Status logging interval (every 60 seconds)
   setInterval(() => {
     const pairCount = Object.keys(computedPairData).length;
@@ -1956,6 +7564,7 @@ async function main() {
     log(statusMsg);
     updateCount = 0; // Reset counter
     saveTrades();
+    recordPnlSnapshot();
   }, 60000);
 
   // SIGINT handler
@@ -1971,10 +7580,11 @@ async function main() {
     }
 
     saveTrades();
+    if (sqliteEnabled()) sqliteStore.db.close();
     cleanupPid();
     if (controlServer) controlServer.close();
     if (socket) socket.disconnect();
-    process.exit(0);
+    closeRecorder().then(() => process.exit(0));
   });
 
   log("[INIT] Agent started. Waiting for market data...\n");
@@ -1985,7 +7595,7 @@ module.exports = { loadConfig, saveConfig, loadTrades, saveTrades, checkTradeBal
 
 // Run main only when executed directly
 if (require.main === module) {
-  main().catch((err) => {
+  (BACKTEST ? backtestMain : main)().catch((err) => {
     console.error("Fatal error:", err);
     process.exit(1);
   });
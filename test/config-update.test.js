@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { loadAgent } = require("./helpers/agent");
+
+test("runtime config updates are type-checked and bounded per key", () => {
+  const { agent } = loadAgent();
+  assert.deepEqual(agent.validateConfigUpdate(agent.DEFAULT_CONFIG), []);
+  assert.deepEqual(agent.validateConfigUpdate({ groupInterval: 5, maxGroups: 120, risk: { maxOpenTrades: 3 }, submission: { mode: "both", actions: { buy: "private" } } }), []);
+
+  // Each update is rejected with exactly one error naming the offending key
+  const rejected = [
+    [{ maxEthPerTradeValue: 0 }, /^maxEthPerTradeValue must be a number > 0$/],
+    [{ maxEthPerTradeValue: "0.01" }, /^maxEthPerTradeValue must be a number > 0$/],
+    [{ slippage: 101 }, /^slippage must be a number >= 0 and <= 100$/],
+    [{ groupInterval: NaN }, /^groupInterval must be a number > 0$/],
+    [{ maxGroups: 1.5 }, /^maxGroups must be an integer >= 1$/],
+    [{ onlyPairs: "0x5555555555555555555555555555555555555555" }, /^onlyPairs must be an array$/],
+    [{ onlyPairs: ["not-an-address"] }, /^onlyPairs\[0\] must be an address$/],
+    [{ risk: [] }, /^risk must be an object$/],
+    [{ risk: { maxOpenTrades: -1 } }, /^risk\.maxOpenTrades must be an integer >= 0$/],
+    [{ risk: { baseTokenBudgets: { ZORA: "many" } } }, /^risk\.baseTokenBudgets\.ZORA must be a number >= 0$/],
+    [{ risk: { maxOpenTrade: 3 } }, /^risk: unknown key "maxOpenTrade"$/],
+    [{ protection: { stopLossPct: 150 } }, /^protection: stopLossPct must be below 100$/],
+    [{ protection: { takeProfits: [{ atPct: 10 }] } }, /^protection: takeProfits\[0\]\.sellPct/],
+    [{ protection: { checkIntervalSec: 0 } }, /^protection\.checkIntervalSec must be a number > 0$/],
+    [{ tx: { autoCancel: "no" } }, /^tx\.autoCancel must be true or false$/],
+    [{ tx: { maxPending: 0 } }, /^tx\.maxPending must be an integer >= 1$/],
+    [{ rpc: { quorum: 0 } }, /^rpc\.quorum must be an integer >= 1$/],
+    [{ submission: { mode: "stealth" } }, /^submission\.mode must be one of public, private, both$/],
+    [{ submission: { actions: { buy: "x" } } }, /^submission\.actions: buy must be one of/],
+    [{ submission: { relayMethod: "eth_call" } }, /^submission\.relayMethod must be eth_sendRawTransaction or eth_sendBundle$/],
+    [{ submission: { relayHeaders: { "x-key": 1 } } }, /^submission\.relayHeaders\.x-key must be a string$/],
+    [{ routing: { maxHops: 5 } }, /^routing\.maxHops must be an integer >= 2 and <= 4$/],
+    [{ policyGuards: { minWinRatePct: -1 } }, /^policyGuards\.minWinRatePct must be a number >= 0$/],
+  ];
+  for (const [update, message] of rejected) {
+    const errors = agent.validateConfigUpdate(update);
+    assert.equal(errors.length, 1, `${JSON.stringify(update)}: ${errors.join("; ")}`);
+    assert.match(errors[0], message);
+  }
+  assert.deepEqual(agent.validateConfigUpdate({ slippage: -1, tx: { maxPending: 0 } }), ["slippage must be a number >= 0 and <= 100", "tx.maxPending must be an integer >= 1"]);
+  assert.deepEqual(agent.validateConfigUpdate([]), ["config must be an object"]);
+});
+
+test("a config file with a bad value is rejected as a whole", () => {
+  const { agent, logs } = loadAgent({ config: { groupInterval: 1, maxGroups: 60 } });
+  fs.writeFileSync(agent.CONFIG_PATH, JSON.stringify({ groupInterval: 0, maxGroups: 30, policies: [{ id: "p1" }] }));
+  agent.reloadConfigFromDisk();
+  assert.equal(agent.config.groupInterval, 1);
+  assert.equal(agent.config.maxGroups, 60);
+  assert.deepEqual(agent.config.policies, []);
+  assert.ok(logs.some((line) => line.includes("Reload rejected, invalid config: groupInterval must be a number > 0")));
+
+  fs.writeFileSync(agent.CONFIG_PATH, JSON.stringify({ groupInterval: 5, maxGroups: 30 }));
+  agent.reloadConfigFromDisk();
+  assert.equal(agent.config.groupInterval, 5);
+  assert.equal(agent.config.maxGroups, 30);
+});
@@ -0,0 +1,39 @@
+/**
+ * Load a fresh copy of standalone-agent.js for a test. Its state (config,
+ * trades, pid file) lives in a new temp directory, `log` output is captured
+ * in `logs`, and `get` / `set` read and replace any top-level binding, e.g.
+ * set("provider", stub). `agent.<name>` is shorthand for get("<name>").
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Module = require("module");
+
+const AGENT_PATH = path.join(__dirname, "..", "..", "standalone-agent.js");
+
+function loadAgent({ config = null, env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-test-"));
+  if (config) fs.writeFileSync(path.join(dir, "agent-config.json"), JSON.stringify(config));
+  Object.assign(process.env, {
+    PIDFILE: path.join(dir, "agent.pid"),
+    CONFIG_PATH: path.join(dir, "agent-config.json"),
+    TRADES_PATH: path.join(dir, "agent-trades.json"),
+    TRADE_LOG_PATH: path.join(dir, "agent-trade-log.jsonl"),
+    ...env,
+  });
+
+  const mod = new Module(AGENT_PATH, module);
+  mod.filename = AGENT_PATH;
+  mod.paths = Module._nodeModulePaths(path.dirname(AGENT_PATH));
+  // Direct eval inside the module scope reaches its top-level bindings
+  const source = fs.readFileSync(AGENT_PATH, "utf8");
+  mod._compile(`${source}\nmodule.exports.__scope = { get: (name) => eval(name), set: (name, value) => eval(name + " = value") };`, AGENT_PATH);
+
+  const { get, set } = mod.exports.__scope;
+  const logs = [];
+  set("log", (msg) => logs.push(msg));
+  const agent = new Proxy({}, { get: (_, name) => get(name) });
+  return { agent, get, set, logs, dir };
+}
+
+module.exports = { loadAgent };
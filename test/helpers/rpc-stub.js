@@ -0,0 +1,59 @@
+/**
+ * Minimal JSON-RPC node over HTTP for tests. `handlers` maps a method to a
+ * function (params, node) returning the result, or throwing to answer with a
+ * JSON-RPC error. Every request is recorded in `calls`. `kill()` drops open
+ * connections and stops listening, like a node going away mid-run.
+ */
+const http = require("http");
+
+const DEFAULT_HANDLERS = {
+  eth_chainId: () => "0x2105",
+  net_version: () => "8453",
+  eth_blockNumber: (params, node) => "0x" + node.blockNumber.toString(16),
+};
+
+async function startRpcStub(handlers = {}, { blockNumber = 100 } = {}) {
+  const node = { calls: [], blockNumber, handlers: { ...DEFAULT_HANDLERS, ...handlers }, url: null };
+  const sockets = new Set();
+
+  const answer = (request) => {
+    node.calls.push({ method: request.method, params: request.params });
+    const handler = node.handlers[request.method];
+    try {
+      if (!handler) throw Object.assign(new Error(`method ${request.method} not supported`), { code: -32601 });
+      return { jsonrpc: "2.0", id: request.id, result: handler(request.params, node) };
+    } catch (error) {
+      return { jsonrpc: "2.0", id: request.id, error: { code: error.code || -32000, message: error.message } };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      const payload = JSON.parse(body);
+      const reply = Array.isArray(payload) ? payload.map(answer) : answer(payload);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  node.url = `http://127.0.0.1:${server.address().port}`;
+
+  node.count = (method) => node.calls.filter((c) => c.method === method).length;
+  let closed = null;
+  node.kill = () => {
+    if (!closed) {
+      closed = new Promise((resolve) => server.close(() => resolve()));
+      for (const socket of sockets) socket.destroy();
+    }
+    return closed;
+  };
+  return node;
+}
+
+module.exports = { startRpcStub };
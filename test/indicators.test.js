@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAgent } = require("./helpers/agent");
+
+const PAIR = "0x000000000000000000000000000000000000f00d";
+
+// Deterministic one-minute bars around 1.0
+function makeGroups(count, startKey = 1000) {
+  let seed = 7;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const groups = [];
+  let close = 1;
+  for (let i = 0; i < count; i++) {
+    const open = close;
+    close = open * (1 + (rand() - 0.5) * 0.1);
+    const buy = rand() * 10;
+    const sell = rand() * 10;
+    groups.push({
+      groupKey: startKey + i,
+      first_price: open,
+      last_price: close,
+      max_price: Math.max(open, close) * (1 + rand() * 0.02),
+      min_price: Math.min(open, close) * (1 - rand() * 0.02),
+      buy_volume: buy,
+      sell_volume: sell,
+      total_volume: buy + sell,
+    });
+  }
+  return groups;
+}
+
+// Straightforward whole-series versions of the indicators, recomputed from scratch
+const ref = {
+  sma(groups, period) {
+    if (groups.length < period) return null;
+    return groups.slice(-period).reduce((sum, g) => sum + g.last_price, 0) / period;
+  },
+  ema(groups, period) {
+    if (groups.length < period) return null;
+    let ema = groups.slice(0, period).reduce((sum, g) => sum + g.last_price, 0) / period;
+    for (const g of groups.slice(period)) ema = g.last_price * (2 / (period + 1)) + ema * (1 - 2 / (period + 1));
+    return ema;
+  },
+  rsi(groups, period) {
+    if (groups.length <= period) return null;
+    const changes = groups.slice(1).map((g, i) => g.last_price - groups[i].last_price);
+    let gain = changes.slice(0, period).reduce((sum, c) => sum + Math.max(c, 0), 0) / period;
+    let loss = changes.slice(0, period).reduce((sum, c) => sum + Math.max(-c, 0), 0) / period;
+    for (const c of changes.slice(period)) {
+      gain = (gain * (period - 1) + Math.max(c, 0)) / period;
+      loss = (loss * (period - 1) + Math.max(-c, 0)) / period;
+    }
+    return loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss);
+  },
+  atr(groups, period) {
+    if (groups.length < period) return null;
+    const ranges = groups.map((g, i) => (i === 0 ? g.max_price - g.min_price
+      : Math.max(g.max_price - g.min_price, Math.abs(g.max_price - groups[i - 1].last_price), Math.abs(g.min_price - groups[i - 1].last_price))));
+    let atr = ranges.slice(0, period).reduce((sum, r) => sum + r, 0) / period;
+    for (const r of ranges.slice(period)) atr = (atr * (period - 1) + r) / period;
+    return atr;
+  },
+  zscore(groups, period) {
+    if (groups.length < period) return null;
+    const values = groups.slice(-period).map((g) => g.last_price);
+    const mean = values.reduce((sum, v) => sum + v, 0) / period;
+    const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / period);
+    return sd > 0 ? (values[period - 1] - mean) / sd : 0;
+  },
+  imbalance(groups, period) {
+    const window = groups.slice(-period);
+    const buys = window.reduce((sum, g) => sum + g.buy_volume, 0);
+    const sells = window.reduce((sum, g) => sum + g.sell_volume, 0);
+    return buys + sells > 0 ? (buys - sells) / (buys + sells) : 0;
+  },
+};
+
+const POLICY = "return { sma: ctx.ta.sma(10), ema: ctx.ta.ema(8), rsi: ctx.ta.rsi(14), atr: ctx.ta.atr(5), zscore: ctx.ta.zscore(20), imbalance: ctx.ta.imbalance(3) };";
+
+function setup() {
+  const ctx = loadAgent({ config: { policyTimeoutMs: 1000 } });
+  ctx.agent.compileFunc("entry:ta", POLICY);
+  const run = (groups) => {
+    const out = ctx.agent.runPolicyFunc("ta", "entry:ta", PAIR, JSON.stringify({ groups }));
+    assert.equal(out.ok, true, out.error);
+    return out.result;
+  };
+  return { ...ctx, run };
+}
+
+function assertMatches(actual, groups, label) {
+  const expected = {
+    sma: ref.sma(groups, 10), ema: ref.ema(groups, 8), rsi: ref.rsi(groups, 14),
+    atr: ref.atr(groups, 5), zscore: ref.zscore(groups, 20), imbalance: ref.imbalance(groups, 3),
+  };
+  for (const [name, value] of Object.entries(expected)) {
+    if (value === null) assert.equal(actual[name], null, `${label} ${name}`);
+    else assert.ok(Math.abs(actual[name] - value) <= 1e-9 * Math.max(1, Math.abs(value)), `${label} ${name}: ${actual[name]} vs ${value}`);
+  }
+}
+
+test("incremental indicators match a full recompute as groups close and the newest one forms", () => {
+  const { run } = setup();
+  const groups = makeGroups(60);
+  for (let n = 1; n <= groups.length; n++) {
+    const seen = groups.slice(0, n);
+    // The forming group changes between calls; only its final version may be folded in
+    const forming = { ...seen[n - 1], last_price: seen[n - 1].last_price * 1.5, max_price: seen[n - 1].max_price * 1.5 };
+    run([...seen.slice(0, -1), forming]);
+    assertMatches(run(seen), seen, `after ${n} groups`);
+  }
+});
+
+test("the cache follows a sliding window and starts over when groups go back in time", () => {
+  const { run, agent } = setup();
+  const groups = makeGroups(80);
+  for (let n = 1; n <= groups.length; n++) run(groups.slice(Math.max(0, n - 30), n));
+  // Window-bounded indicators equal the recompute over the visible groups
+  const visible = groups.slice(-30);
+  const out = run(visible);
+  for (const name of ["sma", "zscore", "imbalance"]) {
+    const value = ref[name](visible, { sma: 10, zscore: 20, imbalance: 3 }[name]);
+    assert.ok(Math.abs(out[name] - value) < 1e-9, name);
+  }
+  // Smoothed ones keep the history that scrolled out of view
+  assert.ok(Math.abs(out.ema - ref.ema(groups, 8)) < 1e-9);
+
+  // A new backtest run starts from earlier group keys
+  const rerun = makeGroups(25, 500);
+  assertMatches(run(rerun), rerun, "after a restart");
+  assert.ok(agent.runPolicyFunc("ta", "entry:ta", PAIR, JSON.stringify({ groups: [] })).ok);
+});
+
+test("bad indicator parameters fail the policy call", () => {
+  const { agent } = setup();
+  agent.compileFunc("entry:bad", "return ctx.ta.sma(0);");
+  const out = agent.runPolicyFunc("bad", "entry:bad", PAIR, JSON.stringify({ groups: makeGroups(5) }));
+  assert.equal(out.ok, false);
+  assert.match(out.error, /period must be an integer/);
+});
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { loadAgent } = require("./helpers/agent");
+const { startRpcStub } = require("./helpers/rpc-stub");
+
+const PAIR = "0x000000000000000000000000000000000000f00d";
+const TOKEN = "0x9999999999999999999999999999999999999999";
+const WETH = "0x4200000000000000000000000000000000000006";
+const WALLET = "0x000000000000000000000000000000000000a11c";
+const SWAP_HASH = "0x" + "ab".repeat(32);
+const GONE_HASH = "0x" + "cd".repeat(32);
+const BLOCK_HASH = "0x" + "01".repeat(32);
+const topic = (address) => ethers.zeroPadValue(address, 32);
+
+function transferLog(token, from, to, amount, index) {
+  return {
+    address: token, topics: [ethers.id("Transfer(address,address,uint256)"), topic(from), topic(to)],
+    data: ethers.toBeHex(amount, 32), blockHash: BLOCK_HASH, blockNumber: "0x64", transactionHash: SWAP_HASH,
+    transactionIndex: "0x0", logIndex: ethers.toBeHex(index), removed: false,
+  };
+}
+
+// A mined swap that paid 0.01 WETH for 5000 tokens, with a 1e-6 ETH L1 fee on top of gas
+const SWAP_RECEIPT = {
+  transactionHash: SWAP_HASH, blockHash: BLOCK_HASH, blockNumber: "0x64", transactionIndex: "0x0",
+  from: WALLET, to: PAIR, contractAddress: null, status: "0x1", type: "0x2", root: null,
+  gasUsed: "0x30d40", cumulativeGasUsed: "0x30d40", effectiveGasPrice: "0x3b9aca00", logsBloom: "0x" + "00".repeat(256),
+  logs: [transferLog(WETH, WALLET, PAIR, ethers.parseEther("0.01"), 0), transferLog(TOKEN, PAIR, WALLET, ethers.parseEther("5000"), 1)],
+  l1Fee: "0xe8d4a51000",
+};
+
+function writeJournal(dir, events) {
+  const lines = events.map((event, i) => JSON.stringify({ seq: i + 1, ts: 1000 + i, ...event }) + "\n");
+  fs.writeFileSync(`${dir}/agent-trades.journal.jsonl`, lines.join(""));
+}
+
+/**
+ * Agent whose journal holds `events` from a previous session, reconciled against
+ * a node that knows only SWAP_HASH.
+ */
+async function restartWith(events) {
+  const node = await startRpcStub({
+    eth_getTransactionReceipt: ([hash]) => (hash === SWAP_HASH ? SWAP_RECEIPT : null),
+    eth_getTransactionByHash: () => null,
+  });
+  const ctx = loadAgent({ config: { policies: [{ id: "p1" }] } });
+  writeJournal(ctx.dir, events);
+  const provider = new ethers.JsonRpcProvider(node.url, 8453, { staticNetwork: true });
+  ctx.set("provider", provider);
+  ctx.set("wallet", { address: WALLET });
+  ctx.agent.loadTrades();
+  const stop = async () => {
+    provider.destroy();
+    await node.kill();
+  };
+  return { ...ctx, node, stop };
+}
+
+const journalLines = (dir) => fs.readFileSync(`${dir}/agent-trades.journal.jsonl`, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+
+test("a buy mined before the crash is recovered from its receipt", async () => {
+  const pair = { pairAddress: PAIR, symbol: "ZTOK", token0: WETH, token1: TOKEN, token0Decimals: 18, token1Decimals: 18, isV2: true, tokenAddress: TOKEN, last_price: 0.000002 };
+  const { agent, dir, logs, stop } = await restartWith([
+    { type: "buy_intent", intent: "i1", pairAddress: PAIR, policy_id: "p1", action_percent: 100, pair, base_token: WETH, eth_rate: 1, base_amount: 0.01, amount_in: ethers.parseEther("0.01").toString(), safety: null },
+    { type: "tx_sent", intent: "i1", step: "swap", hash: SWAP_HASH, nonce: 3 },
+  ]);
+  try {
+    assert.equal(agent.journal.intents.i1.txs.length, 1, "replayed from the journal");
+    await agent.reconcileIntents();
+
+    const trade = agent.activeTrades[PAIR];
+    assert.equal(trade.tokens_bought, 5000);
+    assert.equal(trade.eth_spent, 0.01);
+    assert.equal(trade.entry_price, 0.000002);
+    assert.deepEqual(trade.tx_hashes, [SWAP_HASH]);
+    assert.ok(Math.abs(trade.gas_eth - (200000 * 1e-9 + 1e-6)) < 1e-12, `gas ${trade.gas_eth}`);
+    assert.deepEqual(agent.journal.intents, {});
+    assert.ok(logs.some((line) => line.includes(`Recovering buy of ZTOK from ${SWAP_HASH}`)));
+
+    const fill = JSON.parse(fs.readFileSync(`${dir}/agent-trade-log.jsonl`, "utf8").trim());
+    assert.equal(fill.type, "BUY");
+    assert.equal(fill.status, "SUCCESS");
+    assert.equal(fill.recovered, true);
+    assert.equal(journalLines(dir).at(-1).intent, "i1", "the trade event closes the intent");
+  } finally {
+    await stop();
+  }
+});
+
+test("a sell whose trade is gone is dropped as orphaned, an unsent one as failed", async () => {
+  const { agent, dir, logs, stop } = await restartWith([
+    { type: "sell_intent", intent: "s1", pairAddress: PAIR, pair: { symbol: "ZTOK" } },
+    { type: "tx_sent", intent: "s1", step: "swap", hash: SWAP_HASH, nonce: 4 },
+    { type: "sell_intent", intent: "s2", pairAddress: PAIR, pair: { symbol: "ZTOK" } },
+    { type: "tx_sent", intent: "s2", step: "swap", hash: GONE_HASH, nonce: 5 },
+  ]);
+  try {
+    await agent.reconcileIntents();
+    assert.deepEqual(agent.journal.intents, {});
+    assert.deepEqual(agent.activeTrades, {});
+    const done = journalLines(dir).filter((event) => event.type === "intent_done");
+    assert.deepEqual(done.map(({ intent, outcome }) => ({ intent, outcome })), [{ intent: "s1", outcome: "orphaned" }, { intent: "s2", outcome: "failed" }]);
+    assert.ok(logs.some((line) => line.includes("but the trade is gone")));
+  } finally {
+    await stop();
+  }
+});
+
+test("a torn last journal line is skipped and the rest is replayed into a fresh snapshot", () => {
+  const { agent, dir, logs } = loadAgent();
+  // The crash cut the second append short
+  fs.writeFileSync(`${dir}/agent-trades.journal.jsonl`, [
+    JSON.stringify({ seq: 1, ts: 1000, type: "trade", pairAddress: PAIR, trade: { pairAddress: PAIR, symbol: "ZTOK" } }),
+    '{"seq":2,"ts":1001,"type":"trade_clo',
+  ].join("\n"));
+  agent.loadTrades();
+  assert.deepEqual(Object.keys(agent.activeTrades), [PAIR]);
+  assert.equal(agent.journal.seq, 1);
+  assert.ok(logs.some((line) => line.includes("Skipping unreadable line 2")));
+
+  const snapshot = JSON.parse(fs.readFileSync(`${dir}/agent-trades.json`, "utf8"));
+  assert.equal(snapshot.journal_seq, 1);
+  assert.deepEqual(Object.keys(snapshot.activeTrades), [PAIR]);
+  assert.equal(fs.readFileSync(`${dir}/agent-trades.journal.jsonl`, "utf8"), "");
+});
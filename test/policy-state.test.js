@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadAgent } = require("./helpers/agent");
+
+const POLICIES = [{ id: "p1", guards: { minClosedTrades: 2, maxLossEth: 0.01 } }, { id: "p2" }];
+
+// A fresh agent process reading the state files of `dir`
+function restart(dir) {
+  const ctx = loadAgent({ env: { CONFIG_PATH: path.join(dir, "agent-config.json") } });
+  ctx.agent.config.policies = POLICIES;
+  ctx.agent.loadPolicyState();
+  return { ...ctx, dir };
+}
+
+const losingTrade = (closedAt) => ({ policy_id: "p1", eth_spent: 0.1, eth_sold: 0.09, gas_eth: 0, opened_at: closedAt - 1000, closed_at: closedAt });
+
+test("a guard stop survives a policy update and a restart", () => {
+  const first = restart(loadAgent().dir);
+  const { agent } = first;
+  agent.inactiveTrades.push(losingTrade(1000), losingTrade(2000));
+  agent.checkPolicyGuards("p1");
+  assert.equal(agent.getPolicyHealth("p1").entries_disabled, true);
+  assert.match(agent.getPolicyHealth("p1").entries_disabled_reason, /realized loss/);
+
+  const saved = JSON.parse(fs.readFileSync(agent.POLICY_STATE_PATH, "utf8"));
+  assert.equal(saved.p1.entries_disabled, true);
+  assert.equal(saved.p2, undefined);
+
+  // New code gets a clean sandbox record but keeps the entry stop
+  agent.recordPolicyFailure("p1", "error", "boom");
+  agent.invalidatePolicy("p1");
+  assert.equal(agent.getPolicyHealth("p1").errors, 0);
+  assert.equal(agent.getPolicyHealth("p1").entries_disabled, true);
+  assert.ok(first.logs.some((line) => line.includes("entries stay disabled after the update")));
+
+  const second = restart(first.dir);
+  assert.equal(second.agent.POLICY_STATE_PATH, agent.POLICY_STATE_PATH);
+  assert.equal(second.agent.getPolicyHealth("p1").entries_disabled, true);
+  assert.equal(second.agent.getPolicyHealth("p1").entries_disabled_reason, agent.getPolicyHealth("p1").entries_disabled_reason);
+  assert.equal(second.agent.getPolicyHealth("p2").entries_disabled, false);
+});
+
+test("a re-enable persists its guard baseline so old losses do not stop the policy again", () => {
+  const first = restart(loadAgent().dir);
+  first.agent.disablePolicyEntries("p1", "manual");
+  first.agent.enablePolicy("p1");
+  const since = first.agent.getPolicyHealth("p1").guard_since;
+  assert.ok(since > 0);
+
+  const second = restart(first.dir);
+  const { agent } = second;
+  assert.equal(agent.getPolicyHealth("p1").entries_disabled, false);
+  assert.equal(agent.getPolicyHealth("p1").guard_since, since);
+
+  agent.inactiveTrades.push(losingTrade(since - 2000), losingTrade(since - 1000));
+  agent.checkPolicyGuards("p1");
+  assert.equal(agent.getPolicyHealth("p1").entries_disabled, false, "losses before the re-enable are not counted");
+
+  agent.inactiveTrades.push(losingTrade(since + 1000), losingTrade(since + 2000));
+  agent.checkPolicyGuards("p1");
+  assert.equal(agent.getPolicyHealth("p1").entries_disabled, true);
+});
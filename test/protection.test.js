@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { loadAgent } = require("./helpers/agent");
+
+test("quiet pairs are re-priced from a 1% probe quote that leaves the extremes alone", async () => {
+  const { agent, set } = loadAgent();
+  const quotes = [];
+  // A thin pool: 1% of the position gets the mid price, the full position 40% less
+  set("quoteSwap", async ({ amountIn, tradeData }) => {
+    quotes.push({ amountIn, tradeData });
+    const full = ethers.parseUnits("1000", 18);
+    const mid = (amountIn * 2n) / 1000n; // 0.002 WETH per token
+    return { success: true, amountOut: amountIn === full ? (mid * 6n) / 10n : mid, source: "test" };
+  });
+
+  const trade = {
+    symbol: "THIN", token0: "0x4200000000000000000000000000000000000006", token1: "0x9999999999999999999999999999999999999999",
+    token0Decimals: 18, token1Decimals: 18, sell_tax: 5, buy_tax: 5,
+    tokens_in_possession: 1000, tokens_in_possession_hex: ethers.parseUnits("1000", 18).toString(),
+    price_at_buy: 0.0025, min_price_since_entry: 0.0021, max_price_since_entry: 0.003,
+  };
+  await agent.refreshTradePrice("0xpair", trade);
+
+  assert.equal(quotes.length, 1);
+  assert.equal(quotes[0].amountIn, ethers.parseUnits("10", 18));
+  assert.equal(quotes[0].tradeData.sell_tax, 0, "the pool price, like the feed's, is untaxed");
+  assert.ok(Math.abs(trade.current_price - 0.002) < 1e-12);
+  assert.ok(Math.abs(trade.price_change_pct - -20) < 1e-9);
+  assert.equal(trade.min_price_since_entry, 0.0021);
+  assert.equal(trade.max_price_since_entry, 0.003);
+
+  // Feed prices still move them
+  agent.updateActiveTradeData(trade, { last_price: 0.002 });
+  assert.equal(trade.min_price_since_entry, 0.002);
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { loadAgent } = require("./helpers/agent");
+const { startRpcStub } = require("./helpers/rpc-stub");
+
+const PAIR = "0x000000000000000000000000000000000000f00d";
+const TOKEN = "0x9999999999999999999999999999999999999999";
+const WETH = "0x4200000000000000000000000000000000000006";
+const e18 = (n) => ethers.parseUnits(String(n), 18);
+
+test("slippage floors and fill-vs-quote percentages", () => {
+  const { agent } = loadAgent();
+  assert.equal(agent.applySlippage(1000000n, 10), 900000n);
+  assert.equal(agent.applySlippage("1000000", 0.5), 995000n);
+  assert.equal(agent.applySlippage(1000000n, 100), 0n);
+  assert.equal(agent.applySlippage(999n, 1), 989n, "rounds down");
+
+  assert.equal(agent.fillVsQuotePct(1000n, 990n), -1);
+  assert.equal(agent.fillVsQuotePct(1000n, "1010"), 1);
+  assert.equal(agent.fillVsQuotePct(3000000n, 2999000n), -0.0333, "truncated to 4 decimals");
+  assert.equal(agent.fillVsQuotePct(0n, 5n), 0);
+});
+
+test("a policy's slippage applies whether its id comes in as a number or a string", () => {
+  const { agent } = loadAgent({ config: { slippage: 5, policies: [{ id: 7, slippage: 2 }] } });
+  assert.equal(agent.resolveSlippage(7), 2);
+  assert.equal(agent.resolveSlippage("7"), 2);
+  assert.equal(agent.resolveSlippage("8"), 5);
+});
+
+test("grossUpForTax is the smallest amount that is still `amount` after applyTax", () => {
+  const { agent } = loadAgent();
+  for (const amount of [1n, 999n, 10n ** 18n + 7n]) {
+    for (const tax of [0, 0.3, 5, 12.5, 99]) {
+      const gross = agent.grossUpForTax(amount, tax);
+      assert.ok(agent.applyTax(gross, tax) >= amount, `${amount} at ${tax}%`);
+      assert.ok(gross === 0n || agent.applyTax(gross - 1n, tax) < amount, `${amount} at ${tax}% is minimal`);
+    }
+  }
+  assert.equal(agent.grossUpForTax(1000n, 0), 1000n);
+  assert.equal(agent.grossUpForTax(1000n, null), 1000n);
+  assert.equal(agent.grossUpForTax(1n, 100), 10000n, "a 100% tax is capped at 99.99%");
+});
+
+test("V2 quotes follow the constant-product formula with the 0.3% fee and sell tax", async () => {
+  const reserves = { r0: e18(1000), r1: e18(2000) };
+  const node = await startRpcStub({
+    eth_call: () => ethers.AbiCoder.defaultAbiCoder().encode(["uint112", "uint112", "uint32"], [reserves.r0, reserves.r1, 0]),
+  });
+  const { agent, set } = loadAgent();
+  const provider = new ethers.JsonRpcProvider(node.url, 8453, { staticNetwork: true });
+  set("provider", provider);
+  const tradeData = { pairAddress: PAIR, token0: WETH, token1: TOKEN, isV2: true, sell_tax: 0 };
+  try {
+    // Buy: WETH (token0) in, token1 out
+    const amountIn = e18(1);
+    const expected = (amountIn * 9970n * reserves.r1) / (reserves.r0 * 10000n + amountIn * 9970n);
+    const out = await agent.quoteV2({ tradeData, amountIn, isToken0In: true, action: "buy" });
+    assert.equal(out, expected);
+
+    // The exact-output inverse needs at most one wei more than was put in
+    const back = await agent.quoteV2In({ tradeData, amountOut: out, isToken0In: true, action: "buy" });
+    assert.ok(back >= amountIn && back - amountIn <= 1n, `${back} vs ${amountIn}`);
+
+    // Sell: the sell tax comes off the tokens sent into the pair
+    const taxed = await agent.quoteV2({ tradeData: { ...tradeData, sell_tax: 10 }, amountIn: e18(10), isToken0In: true, action: "sell" });
+    assert.equal(taxed, await agent.quoteV2({ tradeData, amountIn: e18(9), isToken0In: true, action: "sell" }));
+
+    await assert.rejects(agent.quoteV2In({ tradeData, amountOut: reserves.r1, isToken0In: true, action: "buy" }), /cannot cover/);
+    reserves.r0 = 0n;
+    await assert.rejects(agent.quoteV2({ tradeData, amountIn, isToken0In: true, action: "buy" }), /no reserves/);
+  } finally {
+    provider.destroy();
+    await node.kill();
+  }
+});
+
+test("paper exact-output fills gross up for the pool fee, taxes and price impact", () => {
+  const { agent } = loadAgent();
+  const tradeData = { pairAddress: PAIR, token0: WETH, token1: TOKEN, token0Decimals: 18, token1Decimals: 18, isV2: true, buy_tax: 0, sell_tax: 0 };
+  const near = (actual, expected) => assert.ok(Math.abs(Number(ethers.formatUnits(actual, 18)) - expected) < 1e-9, `${ethers.formatUnits(actual, 18)} vs ${expected}`);
+
+  assert.equal(agent.simulatedAmountIn({ tradeData, amountOut: e18(1), isToken0In: true, action: "buy" }), null, "no price yet");
+
+  // 0.002 WETH per token, no liquidity figure so no impact
+  agent.computedPairData[PAIR] = { last_price: 0.002, liquidity: 0 };
+  near(agent.simulatedAmountIn({ tradeData, amountOut: e18(1000), isToken0In: true, action: "buy" }), 2 / 0.997);
+  near(agent.simulatedAmountIn({ tradeData: { ...tradeData, buy_tax: 5 }, amountOut: e18(1000), isToken0In: true, action: "buy" }), 2 / 0.95 / 0.997);
+  near(agent.simulatedAmountIn({ tradeData, amountOut: e18(2), isToken0In: true, action: "sell" }), 2 / 0.997 / 0.002);
+  near(agent.simulatedAmountIn({ tradeData: { ...tradeData, sell_tax: 10 }, amountOut: e18(2), isToken0In: true, action: "sell" }), 2 / 0.997 / 0.002 / 0.9);
+
+  // $2000 ETH and a $40,000 pool: 2 ETH ($4000) trades into the $20,000 side
+  agent.usdPrices.WETH = 2000;
+  agent.computedPairData[PAIR].liquidity = 40000;
+  const impact = 4000 / (20000 + 4000);
+  near(agent.simulatedAmountIn({ tradeData, amountOut: e18(2), isToken0In: true, action: "sell" }), 2 / (0.997 * (1 - impact)) / 0.002);
+});
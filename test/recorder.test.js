@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { loadAgent } = require("./helpers/agent");
+
+test("recorder settings from the control API are type-checked and bounded", () => {
+  const { agent } = loadAgent();
+  assert.deepEqual(agent.validateRecorder({ dir: "recordings/feed", gzip: true, maxFileMb: 50, retentionDays: 3, maxTotalMb: 500, onlyPairs: ["0x5555555555555555555555555555555555555555"] }), []);
+
+  const check = (spec) => agent.validateRecorder(spec);
+  const PAIR = "0x5555555555555555555555555555555555555555";
+  for (const dir of ["", 42]) assert.deepEqual(check({ dir }), ["dir must be a non-empty string"]);
+  for (const dir of ["..", "../elsewhere", "/tmp", "recordings/../.."]) {
+    assert.deepEqual(check({ dir }), ["dir must be a subdirectory of the data directory"], dir);
+  }
+  assert.deepEqual(check({ gzip: 1 }), ["gzip must be true or false"]);
+  assert.deepEqual(check({ maxFileMb: "100" }), ["maxFileMb must be a number > 0 and <= 10240"]);
+  assert.deepEqual(check({ maxFileMb: NaN }), ["maxFileMb must be a number > 0 and <= 10240"]);
+  assert.deepEqual(check({ maxFileMb: 1e9 }), ["maxFileMb must be a number > 0 and <= 10240"]);
+  assert.deepEqual(check({ retentionDays: 0 }), ["retentionDays must be a number > 0 and <= 3650"]);
+  assert.deepEqual(check({ maxTotalMb: null }), ["maxTotalMb must be a number > 0 and <= 1048576"]);
+  assert.deepEqual(check({ onlyPairs: PAIR }), ["onlyPairs must be an array"]);
+  assert.deepEqual(check({ onlyPairs: [PAIR, 42, "not-an-address"] }), ["onlyPairs[1] must be an address", "onlyPairs[2] must be an address"]);
+  assert.deepEqual(check({ onlyPairs: Array(1001).fill(PAIR) }), ["onlyPairs must have at most 1000 entries"]);
+  assert.deepEqual(check({ gzip: "yes", retentionDays: -1 }), ["gzip must be true or false", "retentionDays must be a number > 0 and <= 3650"]);
+});
+
+test("a bad recorder config never breaks the feed handler", () => {
+  const { agent, logs, dir } = loadAgent({ config: { recorder: { enabled: true, dir: "rec", onlyPairs: "0xabc" } } });
+  assert.deepEqual(agent.recorderSettings().onlyPairs, []);
+  assert.equal(agent.recorderDir(agent.recorderSettings()), path.join(dir, "rec"));
+
+  agent.config.recorder = { enabled: true, dir: 42 };
+  assert.doesNotThrow(() => agent.recordEvent("marketData", null));
+  assert.equal(agent.recorder.errors, 1);
+  assert.ok(logs.some((line) => line.startsWith("[RECORDER] Error")));
+});
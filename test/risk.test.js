@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAgent } = require("./helpers/agent");
+
+const PAIR = "0x000000000000000000000000000000000000f00d";
+const OTHER_PAIR = "0x000000000000000000000000000000000000beef";
+const TOKEN = "0x9999999999999999999999999999999999999999";
+const OTHER_TOKEN = "0x8888888888888888888888888888888888888888";
+const NOON = Date.UTC(2026, 9, 19, 12);
+const MINUTE = 60 * 1000;
+
+/**
+ * Agent with the given risk limits and its clock at NOON. `pairData` buys
+ * TOKEN with WETH unless given another base. The control server, if started,
+ * takes a free port.
+ */
+function setup(risk) {
+  const ctx = loadAgent({ config: { risk }, env: { CONTROL_PORT: "0" } });
+  ctx.set("virtualNow", NOON);
+  const pairData = (base = ctx.agent.WETH_BASE, tokenAddress = TOKEN) => ({ token0: base, token1: tokenAddress, tokenAddress });
+  return { ...ctx, pairData };
+}
+
+// A closed trade with the given realized PnL
+const closed = (pnl, closedAt) => ({ pairAddress: OTHER_PAIR, eth_spent: 1, eth_sold: 1 + pnl, gas_eth: 0, closed_at: closedAt });
+
+test("max open trades counts open positions and first buys in flight, not add-ons", () => {
+  const { agent, pairData } = setup({ maxOpenTrades: 2 });
+  agent.activeTrades[PAIR] = { eth_spent: 0.01 };
+  assert.deepEqual(agent.checkRisk(OTHER_PAIR, pairData(), 0.01), { allowed: true, reason: null });
+
+  agent.riskState.reservations[OTHER_PAIR] = { eth: 0.01, tokenAddress: OTHER_TOKEN };
+  const third = "0x000000000000000000000000000000000000cafe";
+  assert.deepEqual(agent.checkRisk(third, pairData(), 0.01), { allowed: false, reason: "max open trades reached (2/2)" });
+  assert.equal(agent.checkRisk(PAIR, pairData(), 0.01).allowed, true, "scaling in opens nothing new");
+  agent.riskState.reservations[PAIR] = { eth: 0.01, tokenAddress: TOKEN };
+  assert.equal(agent.checkRisk(third, pairData(), 0.01).reason, "max open trades reached (2/2)", "an add-on in flight is not another position");
+});
+
+test("total and per-token exposure count unrecovered cost and buys in flight", () => {
+  const { agent, pairData } = setup({ maxTotalEthExposure: 1 });
+  agent.activeTrades[PAIR] = { tokenAddress: TOKEN, eth_spent: 0.75, eth_sold: 0.25 };
+  agent.riskState.reservations[OTHER_PAIR] = { eth: 0.25, tokenAddress: OTHER_TOKEN };
+  assert.equal(agent.checkRisk(OTHER_PAIR, pairData(), 0.25).allowed, true, "exactly at the limit");
+  assert.deepEqual(agent.checkRisk(OTHER_PAIR, pairData(), 0.5), { allowed: false, reason: "total exposure 1.250000 ETH would exceed 1 ETH" });
+
+  agent.config.risk = { maxEthPerToken: 0.75 };
+  assert.equal(agent.checkRisk(PAIR, pairData(), 0.25).allowed, true);
+  assert.deepEqual(agent.checkRisk(PAIR, pairData(), 0.5), { allowed: false, reason: "token exposure 1.000000 ETH would exceed 0.75 ETH" });
+  assert.equal(agent.checkRisk(OTHER_PAIR, pairData(agent.WETH_BASE, OTHER_TOKEN), 0.5).allowed, true, "other tokens have their own cap");
+});
+
+test("base token budgets are in the base token's own units", () => {
+  const { agent, pairData } = setup({ baseTokenBudgets: { ZORA: 1000 } });
+  const zoraPair = pairData(agent.ZORA_BASE);
+  assert.deepEqual(agent.checkRisk(PAIR, zoraPair, 0.001), { allowed: false, reason: "no USD price for ZORA to size against its budget" });
+
+  // 1 ZORA = 0.00001 ETH
+  agent.usdPrices.WETH = 2000;
+  agent.usdPrices.ZORA = 0.02;
+  agent.activeTrades[PAIR] = { base_symbol: "ZORA", base_spent: 800, base_sold: 100, eth_spent: 0.008 };
+  agent.riskState.reservations[OTHER_PAIR] = { eth: 0.001, base: 100, baseSymbol: "ZORA", tokenAddress: OTHER_TOKEN };
+  assert.equal(agent.checkRisk(PAIR, zoraPair, 0.002).allowed, true, "700 open + 100 in flight + 200");
+  assert.deepEqual(agent.checkRisk(PAIR, zoraPair, 0.003), { allowed: false, reason: "ZORA exposure 1100.0000 would exceed budget 1000 ZORA" });
+  assert.equal(agent.checkRisk(PAIR, pairData(), 1).allowed, true, "WETH buys have no budget");
+});
+
+test("the daily-loss breaker halts entries until the next UTC day unless /resume overrides it", async () => {
+  const { agent, set, logs, pairData } = setup({ maxDailyLossEth: 0.1 });
+  agent.inactiveTrades.push(closed(-0.5, NOON - 13 * 60 * MINUTE), closed(-0.0625, NOON - 60 * MINUTE));
+  assert.equal(agent.checkRisk(PAIR, pairData(), 0.01).allowed, true, "yesterday's loss does not count");
+
+  agent.inactiveTrades.push(closed(-0.0625, NOON - MINUTE));
+  assert.deepEqual(agent.checkRisk(PAIR, pairData(), 0.01), { allowed: false, reason: "circuit breaker: daily realized loss 0.125000 ETH >= limit 0.1 ETH" });
+  assert.equal(agent.riskState.halted_until, Date.UTC(2026, 9, 20));
+  assert.ok(logs.some((line) => line.startsWith("[RISK] Circuit breaker TRIPPED")));
+
+  // Resuming through the control API overrides the breaker for the rest of the day
+  agent.startControlServer();
+  try {
+    await new Promise((resolve) => agent.controlServer.listening ? resolve() : agent.controlServer.once("listening", resolve));
+    const res = await fetch(`http://127.0.0.1:${agent.controlServer.address().port}/resume`, { method: "POST" });
+    assert.equal(res.status, 200);
+  } finally {
+    await new Promise((resolve) => agent.controlServer.close(resolve));
+  }
+  agent.inactiveTrades.push(closed(-0.25, NOON + MINUTE));
+  set("virtualNow", NOON + 2 * MINUTE);
+  assert.equal(agent.checkRisk(PAIR, pairData(), 0.01).allowed, true, "no re-trip the same day");
+
+  // The next day starts from zero and can trip again
+  set("virtualNow", NOON + 24 * 60 * MINUTE);
+  assert.equal(agent.checkRisk(PAIR, pairData(), 0.01).allowed, true);
+  agent.inactiveTrades.push(closed(-0.125, NOON + 24 * 60 * MINUTE));
+  assert.match(agent.checkRisk(PAIR, pairData(), 0.01).reason, /^circuit breaker: daily realized loss 0\.125000 ETH/);
+});
+
+test("consecutive losses pause entries for lossCooldownMinutes after the last one", () => {
+  const { agent, set, pairData } = setup({ maxConsecutiveLosses: 2, lossCooldownMinutes: 30 });
+  agent.inactiveTrades.push(closed(-0.25, NOON - 50 * MINUTE), closed(0.25, NOON - 40 * MINUTE), closed(-0.25, NOON - 20 * MINUTE));
+  assert.equal(agent.checkRisk(PAIR, pairData(), 0.01).allowed, true, "a win breaks the streak");
+
+  agent.inactiveTrades.push(closed(-0.25, NOON - 10 * MINUTE));
+  assert.deepEqual(agent.checkRisk(PAIR, pairData(), 0.01), { allowed: false, reason: `2 consecutive losses, cooling down until ${new Date(NOON + 20 * MINUTE).toISOString()}` });
+
+  set("virtualNow", NOON + 20 * MINUTE);
+  assert.equal(agent.checkRisk(PAIR, pairData(), 0.01).allowed, true, "cool-down over");
+});
@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAgent } = require("./helpers/agent");
+
+const PAIR = "0x000000000000000000000000000000000000f00d";
+const TOKEN = "0x9999999999999999999999999999999999999999";
+
+test("a routed position skips its scale-in when no route is left instead of buying directly", async () => {
+  const { agent, set, logs } = loadAgent({ config: { routing: { enabled: false } } });
+  const funded = [];
+  set("baseEthRate", () => 1);
+  set("checkRisk", () => ({ allowed: true }));
+  set("checkTreasuryFloat", (symbol) => {
+    funded.push(symbol);
+    return { allowed: false, reason: "test stops here" };
+  });
+  const pairData = { pairAddress: PAIR, symbol: "ZTOK", token0: agent.ZORA_BASE, token1: TOKEN, isV3: true, fee: 3000 };
+
+  agent.activeTrades[PAIR] = { symbol: "ZTOK", route: [{ tokenIn: agent.WETH_BASE, tokenOut: agent.ZORA_BASE }, { tokenIn: agent.ZORA_BASE, tokenOut: TOKEN }] };
+  await agent.executeBuy(PAIR, pairData, { id: "p1" }, 100);
+  assert.deepEqual(funded, []);
+  assert.ok(logs.some((line) => line.includes("skipping scale-in of the routed position")));
+  assert.equal(agent.executing[PAIR], false);
+
+  // A position opened directly keeps scaling in with its base token
+  agent.activeTrades[PAIR] = { symbol: "ZTOK" };
+  await agent.executeBuy(PAIR, pairData, { id: "p1" }, 100);
+  assert.deepEqual(funded, ["ZORA"]);
+});
@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { loadAgent } = require("./helpers/agent");
+const { startRpcStub } = require("./helpers/rpc-stub");
+
+const WALLET_KEY = "0x" + "11".repeat(32);
+const TOKEN = "0x00000000000000000000000000000000000000cc";
+
+const balanceNode = (balance, options) => startRpcStub({
+  eth_call: () => ethers.toBeHex(balance, 32),
+  eth_getBalance: () => ethers.toBeHex(balance),
+}, options);
+
+// ethers reuses a getBlockNumber answer for 250ms, so space out health checks
+// the way scheduleRpcHealthChecks would
+const healthCheck = async (agent) => {
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  await agent.checkRpcHealth();
+};
+
+function setupPool(nodes, rpc = {}) {
+  const ctx = loadAgent({ config: { rpc: { timeoutMs: 1000, maxFailures: 2, ...rpc } } });
+  ctx.agent.initRpcPool(nodes.map((node) => node.url));
+  ctx.set("wallet", new ethers.Wallet(WALLET_KEY, ctx.agent.provider));
+  return ctx;
+}
+
+async function teardown(ctx, nodes) {
+  for (const endpoint of ctx.agent.rpcPool.endpoints) endpoint.provider.destroy();
+  await Promise.all(nodes.map((node) => node.kill()));
+}
+
+test("fails over to the next endpoint when the active node goes away", async () => {
+  const nodes = [await balanceNode(5n), await balanceNode(5n)];
+  const ctx = setupPool(nodes);
+  const { agent } = ctx;
+  try {
+    await healthCheck(agent);
+    assert.equal(agent.rpcPool.active.url, nodes[0].url);
+
+    await nodes[0].kill();
+    await healthCheck(agent);
+    assert.equal(agent.rpcPool.endpoints[0].healthy, true, "one failure is not enough to mark it down");
+    await healthCheck(agent);
+
+    assert.equal(agent.rpcPool.endpoints[0].healthy, false);
+    assert.equal(agent.rpcPool.active.url, nodes[1].url);
+    assert.equal(agent.provider, agent.rpcPool.endpoints[1].provider);
+    assert.equal(agent.wallet.provider, agent.provider);
+    assert.ok(ctx.logs.some((line) => line.includes("Switching to")));
+
+    const before = nodes[1].count("eth_call");
+    assert.equal(await agent.readBalance(TOKEN), 5n);
+    assert.equal(nodes[1].count("eth_call"), before + 1);
+  } finally {
+    await teardown(ctx, nodes);
+  }
+});
+
+test("scores endpoints by errors and block lag and marks lagging ones down until they catch up", async () => {
+  const nodes = [await balanceNode(1n), await balanceNode(1n), await balanceNode(1n, { blockNumber: 80 })];
+  const ctx = setupPool(nodes, { maxBlockLag: 5 });
+  const { agent } = ctx;
+  try {
+    await healthCheck(agent);
+    const [a, b, c] = agent.rpcPool.endpoints;
+    assert.equal(agent.rpcPool.best_block, 100);
+    assert.equal(c.healthy, false);
+    assert.ok(ctx.logs.some((line) => line.includes("20 blocks behind")));
+    assert.ok(agent.endpointScore(c) >= agent.endpointScore(a) + 20 * 500 - 1000);
+
+    agent.recordRpcFailure(b, new Error("boom"));
+    assert.ok(agent.endpointScore(b) > agent.endpointScore(a));
+    assert.equal(b.healthy, true);
+
+    nodes[2].blockNumber = 100;
+    await healthCheck(agent);
+    assert.equal(c.healthy, true);
+    assert.ok(ctx.logs.some((line) => line.includes("recovered")));
+    assert.equal(agent.getRpcStatus().endpoints.length, 3);
+  } finally {
+    await teardown(ctx, nodes);
+  }
+});
+
+test("balance reads need a quorum and fall back to the endpoint furthest ahead", async () => {
+  const nodes = [await balanceNode(100n), await balanceNode(7n), await balanceNode(100n)];
+  const ctx = setupPool(nodes, { quorum: 3 });
+  const { agent } = ctx;
+  try {
+    await healthCheck(agent);
+    assert.equal(await agent.readBalance(TOKEN), 100n);
+    assert.equal(await agent.readBalance(null), 100n);
+    assert.ok(nodes.every((node) => node.count("eth_call") === 1 && node.count("eth_getBalance") === 1));
+    assert.ok(ctx.logs.some((line) => line.includes("No quorum")), "100/7/100 agrees only 2 of 3");
+
+    ctx.logs.length = 0;
+    agent.config.rpc = { ...agent.config.rpc, quorum: 2 };
+    agent.rpcPool.endpoints[1].healthy = false;
+    assert.equal(await agent.readBalance(TOKEN), 100n);
+    assert.ok(!ctx.logs.some((line) => line.includes("No quorum")));
+
+    // Two endpoints disagree: the one with the highest block wins
+    agent.rpcPool.endpoints[1].healthy = true;
+    agent.rpcPool.endpoints[2].healthy = false;
+    agent.rpcPool.endpoints[1].block_number = 101;
+    assert.equal(await agent.readBalance(TOKEN), 7n);
+    assert.ok(ctx.logs.some((line) => line.includes("No quorum")));
+  } finally {
+    await teardown(ctx, nodes);
+  }
+});
+
+test("signed transactions are broadcast to rpc.broadcastFanout endpoints", async () => {
+  const accept = (params) => ethers.keccak256(params[0]);
+  const nodes = [
+    await startRpcStub({ eth_sendRawTransaction: () => { throw new Error("txpool is full"); } }),
+    await startRpcStub({ eth_sendRawTransaction: accept }),
+    await startRpcStub({ eth_sendRawTransaction: accept }),
+  ];
+  const ctx = setupPool(nodes, { broadcastFanout: 2, maxFailures: 5 });
+  const { agent } = ctx;
+  try {
+    const tx = { to: TOKEN, value: 0n, nonce: 3, gasLimit: 21000n, maxFeePerGas: 10n ** 9n, maxPriorityFeePerGas: 10n ** 8n, chainId: 8453n, type: 2 };
+    const response = await agent.signAndBroadcast(tx);
+    assert.equal(response.nonce, 3);
+
+    const raws = nodes.map((node) => node.calls.filter((c) => c.method === "eth_sendRawTransaction").map((c) => c.params[0]));
+    assert.equal(raws[0].length, 1, "the active endpoint rejects but is still tried");
+    assert.deepEqual(raws[1], raws[0], "the same signed bytes go to every endpoint");
+    assert.equal(raws[2].length, 0, "fan-out is capped at broadcastFanout");
+    assert.equal(response.hash, ethers.keccak256(raws[0][0]));
+
+    agent.config.rpc = { ...agent.config.rpc, broadcastFanout: 3 };
+    await agent.signAndBroadcast({ ...tx, nonce: 4 });
+    assert.equal(nodes[2].count("eth_sendRawTransaction"), 1);
+
+    // Every endpoint rejecting surfaces the active endpoint's error
+    for (const node of nodes) node.handlers.eth_sendRawTransaction = () => { throw new Error("nonce too low"); };
+    await assert.rejects(agent.signAndBroadcast({ ...tx, nonce: 5 }), /nonce too low/);
+  } finally {
+    await teardown(ctx, nodes);
+  }
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadAgent } = require("./helpers/agent");
+
+const PAIR = "0x000000000000000000000000000000000000f00d";
+const OLD_PAIR = "0x000000000000000000000000000000000000beef";
+
+let hasNodeSqlite = true;
+try {
+  require("node:sqlite");
+} catch {
+  hasNodeSqlite = false; // Node < 22.5, or 22.x before it was unflagged
+}
+
+test("JSON trade files migrate into SQLite and load back after a restart", { skip: !hasNodeSqlite && "node:sqlite is not available" }, () => {
+  const config = { storage: { backend: "sqlite" } };
+  const first = loadAgent({ config });
+  const paths = { CONFIG_PATH: path.join(first.dir, "agent-config.json"), TRADES_PATH: path.join(first.dir, "agent-trades.json"), TRADE_LOG_PATH: path.join(first.dir, "agent-trade-log.jsonl") };
+  fs.writeFileSync(paths.TRADES_PATH, JSON.stringify({
+    activeTrades: { [PAIR]: { pairAddress: PAIR, symbol: "ZTOK", policy_id: 1, opened_at: 2000, eth_spent: 0.01 } },
+    inactiveTrades: [{ pairAddress: OLD_PAIR, symbol: "OLD", policy_id: 1, opened_at: 1000, closed_at: 1500, eth_spent: 0.02, eth_sold: 0.03 }],
+    pending_intents: [{ intent: "i1", kind: "sell", pairAddress: PAIR, txs: [] }],
+    journal_seq: 3,
+  }));
+  fs.writeFileSync(paths.TRADE_LOG_PATH, [
+    JSON.stringify({ timestamp: "2026-01-01T00:00:00.000Z", type: "BUY", status: "SUCCESS", pairAddress: OLD_PAIR, policy_id: 1, eth_amount: 0.02 }),
+    JSON.stringify({ timestamp: "2026-01-01T00:05:00.000Z", type: "SELL", status: "SUCCESS", pairAddress: OLD_PAIR, policy_id: 1, eth_received: 0.03 }),
+    '{"timestamp":"2026-01-01T00:06',
+  ].join("\n"));
+  // One event after the snapshot, replayed on top of the migrated state
+  fs.writeFileSync(path.join(first.dir, "agent-trades.journal.jsonl"), JSON.stringify({ seq: 4, ts: 2500, type: "intent_done", intent: "i1", outcome: "failed" }) + "\n");
+
+  first.agent.loadTrades();
+  assert.equal(first.agent.getStorageStatus().driver, "node:sqlite");
+  assert.ok(first.logs.some((line) => line.includes("Migrated 2 trade(s)") && line.includes("2 trade log entries")));
+  assert.deepEqual(Object.keys(first.agent.activeTrades), [PAIR]);
+  assert.equal(first.agent.inactiveTrades[0].symbol, "OLD");
+  assert.deepEqual(first.agent.journal.intents, {});
+  assert.equal(first.agent.journal.seq, 4);
+
+  first.agent.loadTradeLogStats();
+  assert.equal(first.agent.tradeLogStats["1"].buys, 1);
+  assert.equal(first.agent.tradeLogStats["1"].sells, 1);
+  first.agent.appendTradeLog({ type: "BUY", status: "FAILED", pairAddress: PAIR, symbol: "ZTOK", policy_id: 1, eth_amount: 0.01, gas_eth: 0.0001 });
+  first.agent.sqliteStore.db.close();
+
+  // A restart reads the database only; the JSON files are not imported twice
+  const second = loadAgent({ config, env: paths });
+  second.agent.loadTrades();
+  second.agent.loadTradeLogStats();
+  assert.ok(!second.logs.some((line) => line.includes("Migrated")));
+  assert.deepEqual(second.agent.activeTrades, first.agent.activeTrades);
+  assert.deepEqual(second.agent.inactiveTrades, first.agent.inactiveTrades);
+  assert.deepEqual(second.agent.journal.intents, {});
+  assert.equal(second.agent.journal.seq, 4);
+  assert.deepEqual(second.agent.sqlAll("SELECT type, status, eth_amount FROM fills ORDER BY id").map((row) => ({ ...row })), [
+    { type: "BUY", status: "SUCCESS", eth_amount: 0.02 },
+    { type: "SELL", status: "SUCCESS", eth_amount: 0.03 },
+    { type: "BUY", status: "FAILED", eth_amount: 0.01 },
+  ]);
+  assert.deepEqual(second.agent.tradeLogStats["1"], { buys: 1, sells: 1, failed_buys: 1, failed_sells: 0, errors: 0, failed_gas_eth: 0.0001 });
+  second.agent.sqliteStore.db.close();
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { loadAgent } = require("./helpers/agent");
+const { startRpcStub } = require("./helpers/rpc-stub");
+
+const WALLET_KEY = "0x" + "11".repeat(32);
+const ROUTER = "0x000000000000000000000000000000000000b0b0";
+
+async function signedSwap() {
+  const signer = new ethers.Wallet(WALLET_KEY);
+  return signer.signTransaction({ to: ROUTER, data: "0x01", nonce: 7, gasLimit: 500000n, maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n, chainId: 8453n, type: 2 });
+}
+
+async function waitFor(condition, what, timeoutMs = 3000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`timed out waiting for ${what}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Agent with a bundle relay stub and a chain whose head is `chain.block`.
+ */
+async function setup({ rejectBlocks = [] } = {}) {
+  const relay = await startRpcStub({
+    eth_sendBundle: ([bundle]) => {
+      if (rejectBlocks.includes(Number(bundle.blockNumber))) throw new Error("block already built");
+      return { bundleHash: ethers.keccak256(bundle.txs[0]) };
+    },
+  });
+  const ctx = loadAgent({
+    config: {
+      tx: { pollMs: 5, stuckAfterSec: 10, maxFeeGwei: 0 },
+      submission: { relayUrl: relay.url, relayMethod: "eth_sendBundle", bundleBlocks: 3, fallbackAfterSec: 60 },
+    },
+  });
+  const chain = { block: 100 };
+  ctx.set("provider", { getBlockNumber: async () => chain.block });
+  const targets = () => relay.calls.filter((c) => c.method === "eth_sendBundle").map((c) => Number(c.params[0].blockNumber));
+  return { ...ctx, relay, chain, targets };
+}
+
+test("a bundle targets the next bundleBlocks blocks", async () => {
+  const { agent, relay, targets } = await setup({ rejectBlocks: [101] });
+  try {
+    const signed = await signedSwap();
+    const sent = await agent.sendToRelay(signed);
+    assert.deepEqual(targets(), [101, 102, 103]);
+    assert.equal(sent.bundle_until, 103, "one refused block does not fail the submission");
+    assert.equal(sent.hash, ethers.keccak256(signed));
+
+    relay.handlers.eth_sendBundle = () => { throw new Error("relay overloaded"); };
+    await assert.rejects(agent.sendToRelay(signed), /relay overloaded/);
+  } finally {
+    await relay.kill();
+  }
+});
+
+test("a pending bundle is re-sent for later blocks until it is mined", async () => {
+  const { agent, relay, chain, targets, set, logs } = await setup();
+  const signed = await signedSwap();
+  let mined = null;
+  try {
+    set("wallet", { address: "0x000000000000000000000000000000000000a11c", getNonce: async () => 7 });
+    set("getGasConfig", async () => ({ maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n }));
+    set("submitTransaction", async () => ({ ...(await agent.sendToRelay(signed)), route: "private", signed }));
+    set("findPendingReceipt", async () => mined);
+
+    const job = agent.sendTransactionWithRetry(async () => ({ to: ROUTER, data: "0x01", gasLimit: 500000n }), { label: "test swap", submission: "private" });
+    await waitFor(() => agent.txManager.pending.size === 1, "the broadcast");
+    assert.equal(agent.txManager.pending.get(7).bundle_until, 103);
+
+    chain.block = 102;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(targets().length, 3, "not re-sent while target blocks are still ahead");
+
+    chain.block = 103;
+    await waitFor(() => agent.txManager.pending.get(7).bundle_until === 106, "the re-send");
+    assert.deepEqual(targets().slice(3), [104, 105, 106]);
+    assert.ok(logs.some((line) => line.includes("re-sent for blocks 104-106")));
+
+    mined = { hash: ethers.keccak256(signed), status: 1 };
+    assert.equal((await job).hash, mined.hash);
+  } finally {
+    mined = mined || { hash: ethers.keccak256(signed), status: 1 }; // stop the tracker if an assertion failed
+    await relay.kill();
+  }
+});
@@ -0,0 +1,202 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { loadAgent } = require("./helpers/agent");
+const { startRpcStub } = require("./helpers/rpc-stub");
+
+const WALLET_KEY = "0x" + "22".repeat(32);
+const WETH = "0x4200000000000000000000000000000000000006";
+const TOKEN = "0x9999999999999999999999999999999999999999";
+const PAIR = "0x5555555555555555555555555555555555555555";
+const SWAPPER = "0x3b7b4f5CBffd457cD6E64C3C65e653bafD648Aa3".toLowerCase();
+
+const erc20 = new ethers.Interface([
+  "function balanceOf(address) view returns (uint256)",
+  "function approve(address,uint256) returns (bool)",
+  "function transfer(address,uint256) returns (bool)",
+  "function deposit() payable",
+]);
+const swapper = new ethers.Interface(["function swap(address pair, uint amountIn, uint amountOutMin, bool isToken0In, uint taxPercent)"]);
+const pairAbi = new ethers.Interface(["function getReserves() view returns (uint112, uint112, uint32)"]);
+
+const pairData = {
+  pairAddress: PAIR, token0: WETH, token1: TOKEN, tokenAddress: TOKEN, symbol: "TAX",
+  isV2: true, isV3: false, isV4: false, token0Decimals: 18, token1Decimals: 18, buy_tax: 1, sell_tax: 1,
+};
+
+/**
+ * A WETH/TOKEN V2 pair without LP fee whose token keeps `buyTax`/`sellTax`
+ * percent of every transfer out of / into the pair, replayed per eth_simulateV1 request.
+ */
+function tokenModel({ buyTax, sellTax, blockSells = false }) {
+  const ok = (value = 1n) => ({ status: "0x1", returnData: ethers.toBeHex(value, 32) });
+  const revert = (message) => ({ status: "0x0", returnData: "0x", error: { code: 3, message } });
+
+  return (params, node) => {
+    node.simulations = (node.simulations || 0) + 1;
+    const reserves = { weth: 100n * 10n ** 18n, token: 1000000n * 10n ** 18n };
+    const wallet = { weth: 0n, token: 0n };
+    const calls = params[0].blockStateCalls[0].calls.map((call) => {
+      const to = call.to.toLowerCase();
+      if (to === SWAPPER) {
+        const [, amountIn, , baseIn] = swapper.decodeFunctionData("swap", call.data);
+        if (baseIn) {
+          if (wallet.weth < amountIn) return revert("insufficient WETH");
+          const out = (amountIn * reserves.token) / (reserves.weth + amountIn);
+          wallet.weth -= amountIn;
+          reserves.weth += amountIn;
+          reserves.token -= out;
+          wallet.token += (out * (100n - buyTax)) / 100n;
+        } else {
+          if (blockSells) return revert("execution reverted: trading disabled");
+          const arrived = (amountIn * (100n - sellTax)) / 100n;
+          const out = (arrived * reserves.weth) / (reserves.token + arrived);
+          wallet.token -= amountIn;
+          reserves.token += arrived;
+          reserves.weth -= out;
+          wallet.weth += out;
+        }
+        return ok(0n);
+      }
+      const { name, args } = erc20.parseTransaction({ data: call.data, value: call.value });
+      if (name === "deposit") {
+        wallet.weth += BigInt(call.value);
+        return ok(0n);
+      }
+      if (name === "approve") return ok();
+      if (name === "transfer") {
+        if (blockSells && args[0].toLowerCase() === PAIR) return revert("execution reverted: trading disabled");
+        wallet.token -= args[1];
+        return ok();
+      }
+      const owner = args[0].toLowerCase();
+      if (to === TOKEN) return ok(owner === PAIR ? reserves.token : wallet.token);
+      return ok(owner === PAIR ? reserves.weth : wallet.weth);
+    });
+    return [{ number: "0x64", calls }];
+  };
+}
+
+async function setup(handlers) {
+  const node = await startRpcStub(handlers);
+  const ctx = loadAgent();
+  ctx.agent.initRpcPool([node.url]);
+  ctx.set("wallet", new ethers.Wallet(WALLET_KEY, ctx.agent.provider));
+  return { ...ctx, node };
+}
+
+async function teardown({ agent, node }) {
+  for (const endpoint of agent.rpcPool.endpoints) endpoint.provider.destroy();
+  await node.kill();
+}
+
+const check = (agent, amountIn) => agent.checkTokenSafety({
+  pairData, tradeData: { ...pairData }, baseTokenAddress: WETH, amountIn, isToken0In: true,
+});
+
+test("simulates the real buy and sell and measures taxes from balances", async () => {
+  const ctx = await setup({ eth_simulateV1: tokenModel({ buyTax: 5n, sellTax: 10n }) });
+  try {
+    const result = await check(ctx.agent, 10n ** 16n);
+    assert.equal(result.method, "simulation");
+    assert.equal(result.verdict, "size_down", "14.5% is above sizeDownAbovePct");
+    assert.equal(result.buy_tax_pct, 5);
+    assert.equal(result.sell_tax_pct, 10);
+    // The model pair charges no LP fee, so all of the loss is tax: 1 - 0.95 * 0.9
+    assert.ok(result.pool_round_trip_loss_pct < 0.01, `pool loss ${result.pool_round_trip_loss_pct}`);
+    assert.ok(Math.abs(result.round_trip_loss_pct - 14.5) < 0.05, `round trip ${result.round_trip_loss_pct}`);
+    assert.equal(result.sell_transfer_error, null);
+    assert.equal(ctx.node.simulations, 3, "buy, then sell and transfer from the post-buy state");
+
+    // Cached per token
+    await check(ctx.agent, 10n ** 16n);
+    assert.equal(ctx.node.simulations, 3);
+  } finally {
+    await teardown(ctx);
+  }
+});
+
+test("the sell runs on the pool the buy left behind", async () => {
+  const ctx = await setup({ eth_simulateV1: tokenModel({ buyTax: 0n, sellTax: 0n }) });
+  try {
+    // 10 WETH into a 100 WETH pool without fees round-trips to 10 WETH; selling
+    // into the pre-buy pool instead would lose ~17%
+    const result = await check(ctx.agent, 10n * 10n ** 18n);
+    assert.equal(result.buy_tax_pct, 0);
+    assert.ok(result.round_trip_loss_pct < 0.01, `no fee, no tax: ${result.round_trip_loss_pct}`);
+    assert.equal(result.verdict, "pass");
+  } finally {
+    await teardown(ctx);
+  }
+});
+
+test("tokens that block transfers into the pool fail the check", async () => {
+  const ctx = await setup({ eth_simulateV1: tokenModel({ buyTax: 0n, sellTax: 0n, blockSells: true }) });
+  try {
+    const result = await check(ctx.agent, 10n ** 16n);
+    assert.equal(result.verdict, "fail");
+    assert.match(result.sell_error, /trading disabled/);
+    assert.match(result.sell_transfer_error, /trading disabled/);
+  } finally {
+    await teardown(ctx);
+  }
+});
+
+test("falls back to quotes and feed taxes without eth_simulateV1", async () => {
+  const ctx = await setup({
+    eth_simulateV1: () => { throw Object.assign(new Error("the method eth_simulateV1 does not exist/is not available"), { code: -32601 }); },
+    eth_call: ([call]) => {
+      if (call.data.startsWith(pairAbi.getFunction("getReserves").selector)) {
+        return pairAbi.encodeFunctionResult("getReserves", [100n * 10n ** 18n, 1000000n * 10n ** 18n, 0]);
+      }
+      if (call.data.startsWith(erc20.getFunction("balanceOf").selector)) return ethers.toBeHex(0n, 32);
+      return ethers.toBeHex(1n, 32); // transfer
+    },
+  });
+  try {
+    const result = await check(ctx.agent, 10n ** 16n);
+    assert.equal(result.method, "quote");
+    assert.equal(result.buy_tax_pct, 1);
+    assert.equal(result.sell_tax_pct, 1);
+    assert.ok(Math.abs(result.round_trip_loss_pct - (result.pool_round_trip_loss_pct + 2)) < 0.1);
+    assert.equal(ctx.get("simulateV1Supported"), false);
+    assert.ok(ctx.logs.some((line) => line.includes("eth_simulateV1 not available")));
+  } finally {
+    await teardown(ctx);
+  }
+});
+
+test("a buy stays reserved while its safety check runs, so parallel entries respect the risk limits", async () => {
+  const { agent, set, logs } = loadAgent({ config: { risk: { maxOpenTrades: 1 } } });
+  const other = { ...pairData, pairAddress: "0x6666666666666666666666666666666666666666", tokenAddress: "0x7777777777777777777777777777777777777777", token1: "0x7777777777777777777777777777777777777777", symbol: "OTHER" };
+  let release;
+  const checks = [];
+  set("baseEthRate", () => 1);
+  set("checkTokenSafety", (args) => {
+    checks.push(args.pairData.symbol);
+    return new Promise((resolve) => { release = resolve; });
+  });
+  let reserved = null;
+  set("swapSpender", () => {
+    reserved = { ...agent.riskState.reservations[PAIR] };
+    throw new Error("stop before sending");
+  });
+
+  const first = agent.executeBuy(PAIR, pairData, { id: "p1" }, 100);
+  await agent.executeBuy(other.pairAddress, other, { id: "p1" }, 100);
+  assert.deepEqual(checks, ["TAX"], "the second entry never reaches its safety check");
+  assert.ok(logs.some((line) => line.includes("Buy blocked for OTHER") && line.includes("max open trades")));
+  assert.equal(agent.riskState.reservations[PAIR].eth, 0.005);
+
+  // A size_down verdict shrinks the reservation that is already held
+  release({ verdict: "size_down", reason: "12% round trip", token: TOKEN });
+  await first;
+  assert.equal(reserved.eth, 0.0025);
+  assert.equal(reserved.base, 0.0025);
+  assert.deepEqual(agent.riskState.reservations, {}, "released once the buy ends");
+
+  // A failed check releases it too
+  set("checkTokenSafety", async () => ({ verdict: "fail", reason: "honeypot" }));
+  await agent.executeBuy(other.pairAddress, other, { id: "p1" }, 100);
+  assert.deepEqual(agent.riskState.reservations, {});
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAgent } = require("./helpers/agent");
+
+const pair = (i) => "0x" + i.toString(16).padStart(40, "0");
+
+// Closed trade i, closed at i * 1000. PnL is `pnl` thousandths of an ETH; from T3 on they tie.
+function closedTrade(i, pnl = Math.min(i, 3)) {
+  return { pairAddress: pair(i), symbol: `T${i}`, policy_id: "p1", eth_spent: 0.01, eth_sold: 0.01 + pnl * 0.001, gas_eth: 0, opened_at: i * 1000 - 500, closed_at: i * 1000 };
+}
+
+function setup(count = 6) {
+  const { agent } = loadAgent();
+  for (let i = 1; i <= count; i++) agent.inactiveTrades.push(closedTrade(i));
+  const query = (params) => {
+    const q = agent.parseTradeQuery(new URLSearchParams(params));
+    return q.error ? q : agent.queryTrades(q);
+  };
+  return { agent, query };
+}
+
+test("/trades without limit, offset or cursor returns every closed trade", () => {
+  const { agent, query } = setup(150);
+  const all = query("");
+  assert.equal(all.closed.length, 150);
+  assert.equal(all.hasMore, false);
+  assert.equal(all.nextCursor, null);
+  assert.equal(agent.parseTradeQuery(new URLSearchParams("")).limit, null);
+
+  const paged = query("offset=10");
+  assert.equal(paged.closed.length, 100, "paging without a limit uses the default page size");
+  assert.equal(paged.hasMore, true);
+  assert.equal(query("offset=100").hasMore, false);
+});
+
+test("cursors walk ties in a stable order and do not shift when trades close", () => {
+  const { agent, query } = setup();
+  const seen = [];
+  let result = query("sort=pnl_eth&order=desc&limit=2");
+  seen.push(...result.closed.map((t) => t.symbol));
+  assert.equal(result.hasMore, true);
+
+  // A trade closing between pages sorts onto the first page and must not repeat the last row
+  agent.inactiveTrades.push(closedTrade(7, 99));
+  while (result.nextCursor) {
+    result = query(`sort=pnl_eth&order=desc&limit=2&cursor=${result.nextCursor}`);
+    seen.push(...result.closed.map((t) => t.symbol));
+  }
+  assert.equal(result.hasMore, false);
+  // Ties break on the trade key, in the same direction as the sort
+  assert.deepEqual(seen, ["T6", "T5", "T4", "T3", "T2", "T1"], "T7 sorts before the cursor and nothing repeats");
+
+  const cursor = query("sort=pnl_eth&order=desc&limit=2").nextCursor;
+  assert.match(query(`sort=closed_at&limit=2&cursor=${cursor}`).error, /Invalid cursor/);
+  assert.match(query(`sort=pnl_eth&order=desc&cursor=${cursor}&offset=2`).error, /either cursor or offset/);
+  assert.match(query("cursor=not-a-cursor").error, /Invalid cursor/);
+});
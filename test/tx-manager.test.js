@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadAgent } = require("./helpers/agent");
+
+const WALLET = "0x000000000000000000000000000000000000a11c";
+const ROUTER = "0x000000000000000000000000000000000000b0b0";
+
+/**
+ * Agent whose chain access is faked: sends are recorded and get sequential
+ * hashes, and a sent hash is mined by setting `chain.mined`.
+ */
+function setup(tx) {
+  const ctx = loadAgent({ config: { tx: { pollMs: 5, maxFeeGwei: 0, feeBumpPct: 15, ...tx } } });
+  const chain = { sent: [], mined: null };
+  ctx.set("wallet", { address: WALLET, getNonce: async () => 7 });
+  ctx.set("getGasConfig", async () => ({ maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n }));
+  ctx.set("submitTransaction", async (request) => {
+    const hash = "0x" + (chain.sent.length + 1).toString(16).padStart(64, "0");
+    chain.sent.push({ ...request, hash });
+    return { hash, gasLimit: request.gasLimit || 100000n, route: "public", signed: null };
+  });
+  ctx.set("findPendingReceipt", async (entry) => (chain.mined && entry.hashes.includes(chain.mined.hash) ? chain.mined : null));
+  return { ...ctx, chain };
+}
+
+async function waitFor(condition, what, timeoutMs = 3000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`timed out waiting for ${what}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * A swap-like job whose every build carries a new deadline `deadlineIn` seconds out.
+ */
+function swapJob(agent, { deadlineIn = 60 } = {}) {
+  let builds = 0;
+  const job = agent.sendTransactionWithRetry(async () => {
+    builds++;
+    return { to: ROUTER, data: "0x0" + builds, value: 0, gasLimit: 500000n, deadline: Math.floor(Date.now() / 1000) + deadlineIn + builds };
+  }, { label: "test swap" });
+  const outcome = job.then((receipt) => ({ receipt }), (error) => ({ error }));
+  return { outcome, builds: () => builds };
+}
+
+test("a stuck swap is sped up with bumped fees and fresh calldata, then cancelled", async () => {
+  const { agent, chain } = setup({ stuckAfterSec: 0.03, maxReplacements: 2, autoCancel: true });
+  const { outcome } = swapJob(agent);
+
+  await waitFor(() => chain.sent.length === 4, "two speed-ups and a cancel");
+  const [original, first, second, cancel] = chain.sent;
+  assert.deepEqual([original.nonce, first.nonce, second.nonce, cancel.nonce], [7, 7, 7, 7]);
+  assert.deepEqual([first.data, second.data], ["0x02", "0x03"], "each replacement is rebuilt");
+  assert.equal(first.maxFeePerGas, 1150n);
+  assert.equal(second.maxFeePerGas, 1322n);
+  assert.equal(second.gasLimit, 500000n);
+  assert.equal(cancel.to, WALLET);
+  assert.equal(cancel.value, 0);
+  assert.ok(cancel.maxFeePerGas > second.maxFeePerGas);
+  assert.match(agent.txManager.pending.get(7).cancel.reason, /2 speed-ups exhausted/);
+
+  chain.mined = { hash: cancel.hash, status: 1 };
+  const { error } = await outcome;
+  assert.equal(error.cancelled, true);
+  assert.equal(agent.txManager.pending.size, 0);
+  assert.equal(agent.txManager.recent[0].status, "cancelled");
+  assert.equal(agent.txManager.recent[0].replacements, 2);
+});
+
+test("speed-ups stop at maxFeeGwei", async () => {
+  const { agent, chain } = setup({ stuckAfterSec: 0.03, maxReplacements: 5, maxFeeGwei: 0.000001, autoCancel: true });
+  const { outcome } = swapJob(agent);
+
+  await waitFor(() => chain.sent.length === 2, "a cancel");
+  assert.equal(chain.sent[1].to, WALLET, "1150 wei is above the 1000 wei cap, so no speed-up");
+  assert.match(agent.txManager.pending.get(7).cancel.reason, /fee cap/);
+
+  chain.mined = { hash: chain.sent[0].hash, status: 1 };
+  const { receipt } = await outcome;
+  assert.equal(receipt.hash, chain.sent[0].hash, "the original landing first counts as normal");
+});
+
+test("swap deadlines outlive the first speed-up", async () => {
+  const { agent } = setup({ stuckAfterSec: 30 });
+  const before = Math.floor(Date.now() / 1000);
+  const request = await agent.swapRequest(30, async (deadline) => ({ to: ROUTER, data: "0x", deadline }));
+  assert.ok(request.deadline >= before + 60);
+});
+
+test("an expired swap is cancelled rather than sped up", async () => {
+  const { agent, chain } = setup({ stuckAfterSec: 10, autoCancel: true });
+  const { outcome } = swapJob(agent, { deadlineIn: -5 });
+
+  await waitFor(() => chain.sent.length === 2, "a cancel");
+  assert.equal(chain.sent[1].to, WALLET);
+  assert.equal(agent.txManager.pending.get(7).cancel.reason, "deadline passed");
+  chain.mined = { hash: chain.sent[1].hash, status: 1 };
+  assert.match((await outcome).error.message, /cancelled \(deadline passed\)/);
+});
+
+test("an unconfirmed cancel keeps the job open while the original can still be mined", async () => {
+  const { agent, chain, logs } = setup({ stuckAfterSec: 10, autoCancel: true, confirmTimeoutSec: 0.05 });
+  const { outcome } = swapJob(agent, { deadlineIn: -5 });
+  let settled = false;
+  outcome.then(() => { settled = true; });
+
+  await waitFor(() => logs.some((line) => line.includes("still waiting for the nonce")), "the overdue cancel");
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(settled, false);
+  assert.equal(agent.txManager.pending.size, 1);
+  assert.equal(agent.txManager.nextNonce, 8, "the nonce is not released for reuse");
+
+  chain.mined = { hash: chain.sent[0].hash, status: 1 };
+  const { receipt } = await outcome;
+  assert.equal(receipt.hash, chain.sent[0].hash);
+});
+
+test("without autoCancel an overdue transaction stays tracked until its nonce is used", async () => {
+  const { agent, chain, logs, set } = setup({ stuckAfterSec: 10, autoCancel: false, confirmTimeoutSec: 0.03 });
+  const { outcome } = swapJob(agent);
+  let settled = false;
+  outcome.then(() => { settled = true; });
+
+  await waitFor(() => logs.some((line) => line.includes("autoCancel off")), "the overdue log");
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(settled, false);
+  assert.equal(agent.getTxStatus().pending[0].overdue, true);
+  assert.equal(chain.sent.length, 1, "nothing is cancelled");
+  assert.equal(agent.txManager.nextNonce, 8);
+
+  // Another transaction took the nonce: only now is the job released
+  set("findPendingReceipt", async () => { throw new Error("nonce 7 was used by another transaction"); });
+  const { error } = await outcome;
+  assert.match(error.message, /used by another transaction/);
+  assert.equal(agent.txManager.pending.size, 0);
+  assert.equal(agent.txManager.nextNonce, null);
+});
+
+test("a manual speed-up after the deadline rebuilds the swap with a fresh one", async () => {
+  const { agent, chain } = setup({ stuckAfterSec: 10, autoCancel: false });
+  const { outcome, builds } = swapJob(agent, { deadlineIn: -5 });
+
+  await waitFor(() => agent.txManager.pending.size === 1, "the broadcast");
+  const entry = agent.txManager.pending.get(7);
+  entry.deadline = Math.floor(Date.now() / 1000) - 100;
+  const sent = await agent.replacePendingTx(entry);
+  assert.ok(sent.hash);
+  assert.equal(builds(), 2);
+  assert.ok(entry.deadline > Math.floor(Date.now() / 1000) - 10, "the rebuilt deadline replaced the stale one");
+  assert.equal(chain.sent[1].data, "0x02");
+
+  chain.mined = { hash: sent.hash, status: 1 };
+  assert.equal((await outcome).receipt.hash, sent.hash);
+});